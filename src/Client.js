@@ -1,8 +1,10 @@
 import camelcaseKeysDeep from 'camelcase-keys-deep'
-import { reject, isNil } from 'ramda'
+import { reject, isNil, map, omit } from 'ramda'
 
 import TeamClient from './subclients/TeamClient'
 import {
+  boolean,
+  date,
   func,
   integer,
   uri,
@@ -19,15 +21,65 @@ import {
   allWorkersUrl,
   buildUrl,
   infoUrl,
+  infoCredsUrl,
+  userUrl,
+  allUsersUrl,
   teamAuthTokenUrl,
   skyTokenUrl,
   skyIssuerTokenUrl,
+  skyIssuerAuthUrl,
   teamUrl
 } from './support/urls'
+import { toDuration, toISODateString } from './support/date'
 import { createHttpClient } from './support/http/factory'
 import { parseJson } from './support/http/transformers'
+import { iteratePages, toBuildWindow } from './support/http/pagination'
 import BuildClient from './subclients/BuildClient'
 import WorkerClient from './subclients/WorkerClient'
+import CheckClient from './subclients/CheckClient'
+import { FlyrcTokenStore } from './tokenStores'
+import { ConcourseError } from './errors'
+
+const workerSpecSchema = schemaFor({
+  name: string().required(),
+  platform: string().required(),
+  tags: array().items(string()).default([]),
+  team: string(),
+  resourceTypes: array().items(schemaFor({
+    type: string().required(),
+    image: string().required(),
+    version: string(),
+    privileged: boolean().default(false)
+  })).default([]),
+  addr: string().required(),
+  baggageclaimUrl: uri(),
+  version: string(),
+  ttl: integer().min(1)
+})
+
+const toWorkerRequest = spec => reject(isNil, {
+  name: spec.name,
+  platform: spec.platform,
+  tags: spec.tags,
+  team: spec.team,
+  resource_types: map(resourceType => reject(isNil, {
+    type: resourceType.type,
+    image: resourceType.image,
+    version: resourceType.version,
+    privileged: resourceType.privileged
+  }), spec.resourceTypes),
+  addr: spec.addr,
+  baggageclaim_url: spec.baggageclaimUrl,
+  version: spec.version,
+  active_containers: 0,
+  active_volumes: 0
+})
+
+// Team names key the user's roles, so are left as they are.
+const toUser = user => user && {
+  ...camelcaseKeysDeep(omit(['teams'], user)),
+  teams: user.teams || {}
+}
 
 export default class Client {
   static instanceFor
@@ -35,23 +87,61 @@ export default class Client {
     url,
     username,
     password,
+    token,
+    refreshToken,
+    login,
     teamName = 'main',
-    timeout = 5000
+    timeout = 5000,
+    retry = {},
+    tokenStore
   }) {
+    const validatedOptions = validateOptions(
+      schemaFor({
+        login: schemaFor({
+          open: func().required(),
+          port: integer().min(0),
+          timeout: integer().min(0)
+        })
+      }), { login })
+
     const apiUrl = apiUrlFor(url)
     const credentials = {
       infoUrl: infoUrl(apiUrl),
       tokenUrlPreVersion4: teamAuthTokenUrl(apiUrl, teamName),
       tokenUrlPreVersion6_1: skyTokenUrl(url),
       tokenUrlCurrent: skyIssuerTokenUrl(url),
+      authorizationUrl: skyIssuerAuthUrl(url),
       username: username,
-      password: password
+      password: password,
+      token: token,
+      refreshToken: refreshToken,
+      login: validatedOptions.login
     }
-    const httpClient = createHttpClient({ credentials, timeout })
+    const httpClient =
+      createHttpClient({ credentials, timeout, retry, tokenStore })
 
     return new Client({ apiUrl, httpClient })
   }
 
+  static async fromFlyrc ({ target, path, timeout, retry, refreshToken }) {
+    const tokenStore = new FlyrcTokenStore({ target, path })
+    const flyrcTarget = await tokenStore.getTarget()
+
+    if (!flyrcTarget || !flyrcTarget.api) {
+      throw new ConcourseError(
+        `No target "${target}" found in ${tokenStore.path}.`)
+    }
+
+    return Client.instanceFor({
+      url: flyrcTarget.api,
+      teamName: flyrcTarget.team,
+      timeout,
+      retry,
+      refreshToken,
+      tokenStore
+    })
+  }
+
   constructor (options) {
     const validatedOptions = validateOptions(
       schemaFor({
@@ -72,6 +162,39 @@ export default class Client {
     return info
   }
 
+  async getInfoCreds () {
+    const { data: infoCreds } = await this.httpClient
+      .get(infoCredsUrl(this.apiUrl), {
+        transformResponse: [parseJson, camelcaseKeysDeep]
+      })
+
+    return infoCreds
+  }
+
+  async getUser () {
+    const { data: user } = await this.httpClient
+      .get(userUrl(this.apiUrl), {
+        transformResponse: [parseJson, toUser]
+      })
+
+    return user
+  }
+
+  async listActiveUsersSince (since) {
+    const validatedOptions = validateOptions(
+      schemaFor({
+        since: date().required()
+      }), { since })
+
+    const { data: users } = await this.httpClient
+      .get(allUsersUrl(this.apiUrl), {
+        params: { since: toISODateString(validatedOptions.since) },
+        transformResponse: [parseJson, camelcaseKeysDeep]
+      })
+
+    return users
+  }
+
   async listTeams () {
     const { data: teams } = await this.httpClient
       .get(allTeamsUrl(this.apiUrl), {
@@ -127,6 +250,27 @@ export default class Client {
     })
   }
 
+  async registerWorker (spec) {
+    const validatedSpec = validateOptions(workerSpecSchema, spec)
+
+    await this.httpClient
+      .post(
+        allWorkersUrl(this.apiUrl),
+        toWorkerRequest(validatedSpec),
+        {
+          params: reject(isNil, {
+            ttl: validatedSpec.ttl && toDuration(validatedSpec.ttl)
+          })
+        })
+
+    return new WorkerClient({
+      apiUrl: this.apiUrl,
+      httpClient: this.httpClient,
+      workerName: validatedSpec.name,
+      ttl: validatedSpec.ttl
+    })
+  }
+
   async listPipelines () {
     const { data: pipelines } = await this.httpClient
       .get(allPipelinesUrl(this.apiUrl), {
@@ -168,6 +312,22 @@ export default class Client {
     return builds
   }
 
+  iterateBuilds (options = {}) {
+    const validatedOptions = validateOptions(
+      schemaFor({
+        limit: integer().min(1),
+        from: date().timestamp('unix'),
+        to: date().timestamp('unix')
+      }), options)
+
+    return iteratePages({
+      httpClient: this.httpClient,
+      url: allBuildsUrl(this.apiUrl),
+      transformResponse: [parseJson, camelcaseKeysDeep],
+      ...toBuildWindow(validatedOptions)
+    })
+  }
+
   async getBuild (buildId) {
     const { data: build } = await this.httpClient
       .get(buildUrl(this.apiUrl, buildId), {
@@ -185,6 +345,14 @@ export default class Client {
     })
   }
 
+  forCheck (checkId) {
+    return new CheckClient({
+      apiUrl: this.apiUrl,
+      httpClient: this.httpClient,
+      checkId
+    })
+  }
+
   async listResources () {
     const { data: resources } = await this.httpClient
       .get(allResourcesUrl(this.apiUrl), {
@@ -0,0 +1,40 @@
+export class ConcourseError extends Error {
+  constructor (message) {
+    super(message)
+    this.name = this.constructor.name
+  }
+}
+
+export class ValidationError extends ConcourseError {
+  constructor (message, { details = [] } = {}) {
+    super(message)
+    this.details = details
+  }
+}
+
+export class TimeoutError extends ConcourseError {
+  constructor (message, { timeout, url, method, cause } = {}) {
+    super(message)
+    this.timeout = timeout
+    this.url = url
+    this.method = method
+    this.cause = cause
+  }
+}
+
+export class HttpError extends ConcourseError {
+  constructor (message, { url, method, status, serverMessage, cause } = {}) {
+    super(message)
+    this.url = url
+    this.method = method
+    this.status = status
+    this.serverMessage = serverMessage
+    this.cause = cause
+  }
+}
+
+export class AuthenticationError extends HttpError {}
+export class ForbiddenError extends HttpError {}
+export class NotFoundError extends HttpError {}
+export class ConflictError extends HttpError {}
+export class ServerError extends HttpError {}
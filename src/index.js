@@ -1,3 +1,27 @@
 import 'core-js/stable'
 import 'regenerator-runtime/runtime'
 export { default as Client } from './Client'
+export { default as Pipeline } from './model/Pipeline'
+export { default as PipelineGraph } from './model/PipelineGraph'
+export { default as Job } from './model/Job'
+export { default as PipelineConfig } from './model/PipelineConfig'
+export { default as User } from './model/User'
+export { default as Resource } from './model/Resource'
+export { default as ResourceVersion } from './model/ResourceVersion'
+export { default as TeamRole } from './model/TeamRole'
+export {
+  InMemoryTokenStore,
+  JsonFileTokenStore,
+  FlyrcTokenStore
+} from './tokenStores'
+export {
+  ConcourseError,
+  ValidationError,
+  TimeoutError,
+  HttpError,
+  AuthenticationError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  ServerError
+} from './errors'
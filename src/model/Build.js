@@ -1,3 +1,21 @@
+import { find, includes, propEq } from 'ramda'
+import BuildStatus from './BuildStatus'
+import Resource from './Resource'
+import {
+  func,
+  integer,
+  schemaFor,
+  validateOptions
+} from '../support/validation'
+import { pollUntil } from '../support/timing'
+
+const terminalStatuses = [
+  BuildStatus.succeeded,
+  BuildStatus.failed,
+  BuildStatus.errored,
+  BuildStatus.aborted
+]
+
 export default class Build {
   static async load ({ teamName, pipelineName, jobName, buildName, client }) {
     const buildData = await client
@@ -45,4 +63,79 @@ export default class Build {
   getTeamName () {
     return this.teamName
   }
+
+  getStatus () {
+    return this.status
+  }
+
+  getStartTime () {
+    return this.startTime
+  }
+
+  getEndTime () {
+    return this.endTime
+  }
+
+  isFinished () {
+    return includes(this.status, terminalStatuses)
+  }
+
+  async getResourceFor (resourceName) {
+    return Resource.load({
+      teamName: this.teamName,
+      pipelineName: this.pipelineName,
+      resourceName,
+      client: this.client
+    })
+  }
+
+  async getResourceVersionFor (resourceName) {
+    const { inputs = [], outputs = [] } = await this.client
+      .forBuild(this.id)
+      .listResources()
+
+    const resource =
+      find(propEq('name', resourceName), outputs) ||
+      find(propEq('resource', resourceName), inputs)
+
+    return resource ? resource.version : null
+  }
+
+  async reload () {
+    const buildData = await this.client.getBuild(this.id)
+
+    this.status = buildData.status
+    this.startTime = buildData.startTime
+    this.endTime = buildData.endTime
+
+    return this
+  }
+
+  async waitForCompletion (options = {}) {
+    const { timeout, interval, onStatusChange } = validateOptions(
+      schemaFor({
+        timeout: integer().min(0).default(10 * 60 * 1000),
+        interval: integer().min(0).default(5000),
+        onStatusChange: func().default(() => () => {})
+      }), options)
+
+    return pollUntil(
+      async () => {
+        const previousStatus = this.status
+
+        await this.reload()
+
+        if (this.status !== previousStatus) {
+          onStatusChange(this.status, previousStatus, this)
+        }
+
+        return this
+      },
+      build => build.isFinished(),
+      {
+        timeout,
+        interval,
+        timeoutMessage: `Build ${this.id} did not complete within ${timeout}ms.`
+      })
+  }
 }
@@ -1,21 +1,33 @@
 import {
   any,
+  equals,
   filter,
   find,
+  findIndex,
   flatten,
-  isEmpty, isNil, last, length,
+  head,
+  isEmpty,
+  isNil,
   map,
+  minBy,
   none,
   pathOr,
+  prop,
   propEq,
+  reduce,
   uniq
 } from 'ramda'
 import { toInput } from './Input'
 import { toOutput } from './Output'
 import Build from './Build'
+import BuildStatus from './BuildStatus'
+import Resource from './Resource'
 
 export const toJob = client => jobData => new Job({ ...jobData, client })
 
+const toBuildOrNull = (client, buildData) =>
+  buildData ? new Build({ ...buildData, client }) : null
+
 const getJobsByNames = async (jobNames, pipelineName, teamName, client) => {
   const pipelineClient = client
     .forTeam(teamName)
@@ -30,6 +42,57 @@ const getJobsByNames = async (jobNames, pipelineName, teamName, client) => {
     jobNames))
 }
 
+const getUpstreamVersions = async (dependencyJobs, resourceName) =>
+  Promise.all(map(
+    async job => {
+      const build =
+        await job.getLatestBuildWithStatus(BuildStatus.succeeded)
+
+      return {
+        jobName: job.getName(),
+        version: build && await build.getResourceVersionFor(resourceName)
+      }
+    },
+    dependencyJobs))
+
+// The latest build of the job to have resolved its inputs. Pending builds, and
+// builds that errored before resolving them, have no inputs to compare.
+const getLatestBuildWithInputs = async job => {
+  const builds = job.client
+    .forTeam(job.getTeamName())
+    .forPipeline(job.getPipelineName())
+    .forJob(job.getName())
+    .iterateBuilds({ limit: 10 })
+
+  for await (const buildData of builds) {
+    if (buildData.status !== BuildStatus.pending) {
+      const resources =
+        await job.client.forBuild(buildData.id).listResources()
+
+      if (!isEmpty(pathOr([], ['inputs'], resources))) {
+        return new Build({ ...buildData, client: job.client })
+      }
+    }
+  }
+
+  return null
+}
+
+// Versions of the resource, newest first, down to and including the given
+// version.
+const getVersionsUpTo = async (resource, version) => {
+  const versions = []
+
+  for await (const resourceVersion of resource.getVersionHistory()) {
+    versions.push(resourceVersion.getVersion())
+    if (equals(resourceVersion.getVersion(), version)) {
+      break
+    }
+  }
+
+  return versions
+}
+
 export default class Job {
   static async load ({ teamName, pipelineName, jobName, client }) {
     const jobData = await client
@@ -49,6 +112,8 @@ export default class Job {
       inputs,
       outputs,
       groups,
+      nextBuild,
+      finishedBuild,
       client
     }
   ) {
@@ -59,6 +124,8 @@ export default class Job {
     this.inputs = map(toInput(client), inputs)
     this.outputs = map(toOutput(client), outputs)
     this.groups = groups
+    this.nextBuild = toBuildOrNull(client, nextBuild)
+    this.finishedBuild = toBuildOrNull(client, finishedBuild)
     this.client = client
   }
 
@@ -98,6 +165,20 @@ export default class Job {
     return this.groups
   }
 
+  getNextBuild () {
+    return this.nextBuild
+  }
+
+  getFinishedBuild () {
+    return this.finishedBuild
+  }
+
+  getCurrentStatus () {
+    const build = this.nextBuild || this.finishedBuild
+
+    return build ? build.getStatus() : null
+  }
+
   hasDependencyJobs () {
     return any(input => input.requiresAnyJobsToHavePassed(), this.getInputs())
   }
@@ -126,12 +207,12 @@ export default class Job {
       throw new Error(`No input found for resource name: ${resourceName}`)
     }
 
-    const dependencyJobNames = input.getNamesOfJobsToHavePassed()
-
-    if (isEmpty(dependencyJobNames)) {
+    if (!input.requiresAnyJobsToHavePassed()) {
       return []
     }
 
+    const dependencyJobNames = input.getNamesOfJobsToHavePassed()
+
     return getJobsByNames(
       dependencyJobNames,
       this.getPipelineName(),
@@ -170,6 +251,7 @@ export default class Job {
     const buildsData = await this.client
       .forTeam(this.getTeamName())
       .forPipeline(this.getPipelineName())
+      .forJob(this.getName())
       .listBuilds({ limit: 1 })
 
     if (isEmpty(buildsData)) {
@@ -182,32 +264,87 @@ export default class Job {
   }
 
   async getLatestBuildWithStatus (status) {
-    const pipelineClient = this.client
+    const builds = this.client
       .forTeam(this.getTeamName())
       .forPipeline(this.getPipelineName())
+      .forJob(this.getName())
+      .iterateBuilds({ limit: 10 })
 
-    let buildsData, lastBuildId
-    const buildsPerCall = 10
+    for await (const buildData of builds) {
+      if (buildData.status === status) {
+        return new Build({ ...buildData, client: this.client })
+      }
+    }
 
-    do {
-      const options = lastBuildId
-        ? { limit: buildsPerCall, since: lastBuildId }
-        : { limit: buildsPerCall }
-      buildsData = await pipelineClient.listBuilds(options)
+    return null
+  }
 
-      const buildData = find(build => build.status === status, buildsData)
+  async getVersionDriftFor (resourceName, latestBuild) {
+    const currentVersion = latestBuild &&
+      await latestBuild.getResourceVersionFor(resourceName)
+
+    const dependencyJobs = await this.getDependencyJobsFor(resourceName)
+    const upstreamVersions = isEmpty(dependencyJobs)
+      ? null
+      : filter(
+        upstream => !isNil(upstream.version),
+        await getUpstreamVersions(dependencyJobs, resourceName))
+
+    const noDrift = {
+      resourceName,
+      version: currentVersion || null,
+      upstreamJobName: null,
+      upstreamVersion: null,
+      drift: 0
+    }
 
-      if (!isNil(buildData)) {
-        return new Build({ ...buildData, client: this.client })
-      }
+    if (upstreamVersions && isEmpty(upstreamVersions)) {
+      return noDrift
+    }
+    if (!currentVersion) {
+      return { ...noDrift, drift: null }
+    }
 
-      if (isEmpty(buildsData)) {
-        return null
-      }
+    const resource = new Resource({
+      name: resourceName,
+      teamName: this.getTeamName(),
+      pipelineName: this.getPipelineName(),
+      client: this.client
+    })
+    const versions = await getVersionsUpTo(resource, currentVersion)
+    const currentPosition = findIndex(equals(currentVersion), versions)
+
+    if (currentPosition === -1) {
+      return { ...noDrift, drift: null }
+    }
 
-      lastBuildId = last(buildsData).id
-    } while (length(buildsData) === buildsPerCall)
+    const drifts = map(
+      ({ jobName, version }) => {
+        const position = findIndex(equals(version), versions)
 
-    return null
+        return {
+          upstreamJobName: jobName,
+          upstreamVersion: version,
+          drift: position === -1 ? 0 : currentPosition - position
+        }
+      },
+      upstreamVersions || [{ jobName: null, version: head(versions) }])
+
+    return {
+      ...noDrift,
+      ...reduce(minBy(prop('drift')), head(drifts), drifts)
+    }
+  }
+
+  async getVersionDrift () {
+    if (isEmpty(this.getInputs())) {
+      return []
+    }
+
+    const latestBuild = await getLatestBuildWithInputs(this)
+
+    return Promise.all(map(
+      input => this.getVersionDriftFor(input.getResourceName(), latestBuild),
+      this.getInputs()))
   }
 }
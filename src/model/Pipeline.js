@@ -1,6 +1,14 @@
 import { filter, map } from 'ramda'
 import { toJob } from './Job'
-import JobSet from './JobSet'
+import PipelineGraph from './PipelineGraph'
+import Resource from './Resource'
+import {
+  boolean,
+  schemaFor,
+  string,
+  validateOptions
+} from '../support/validation'
+import { describeGraph, renderGraph } from '../support/graph'
 
 export default class Pipeline {
   static async load ({ teamName, pipelineName, client }) {
@@ -19,6 +27,7 @@ export default class Pipeline {
     this.teamName = teamName
     this.paused = data.paused
     this.public = data.public
+    this.archived = data.archived
   }
 
   getId () { return this.id }
@@ -31,6 +40,8 @@ export default class Pipeline {
 
   isPublic () { return this.public }
 
+  isArchived () { return this.archived }
+
   async getJobs () {
     const jobsData = await this.client
       .forTeam(this.teamName)
@@ -40,24 +51,46 @@ export default class Pipeline {
     return map(toJob(this.client), jobsData)
   }
 
+  async getGraph () {
+    return new PipelineGraph(await this.getJobs())
+  }
+
+  async toGraph (options = {}) {
+    const validatedOptions = validateOptions(
+      schemaFor({
+        format: string().valid('dot', 'mermaid', 'json').default('dot'),
+        includeResources: boolean().default(false),
+        groupBy: string().valid('group')
+      }), options)
+
+    const description = describeGraph({
+      name: this.name,
+      graph: await this.getGraph(),
+      includeResources: validatedOptions.includeResources,
+      groupBy: validatedOptions.groupBy
+    })
+
+    return renderGraph(validatedOptions.format, description)
+  }
+
   async getStartPointJobs () {
-    return filter(job => !job.hasDependencyJobs(), await this.getJobs())
+    return (await this.getGraph()).getStartPointJobs()
   }
 
   async getEndPointJobs () {
-    const jobs = await this.getJobs()
-    const jobSet = new JobSet(jobs)
-
-    return filter(job => !job.hasDependentJobsIn(jobSet), jobs)
+    return (await this.getGraph()).getEndPointJobs()
   }
 
   async getMidPointJobs () {
-    const jobs = await this.getJobs()
-    const jobSet = new JobSet(jobs)
+    return (await this.getGraph()).getMidPointJobs()
+  }
 
-    return filter(
-      job => job.hasDependencyJobs() && job.hasDependentJobsIn(jobSet),
-      jobs)
+  async getDependencyJobsFor (jobName, resourceName = null) {
+    return (await this.getGraph()).getDependencyJobsFor(jobName, resourceName)
+  }
+
+  async getDependentJobsFor (jobName, resourceName = null) {
+    return (await this.getGraph()).getDependentJobsFor(jobName, resourceName)
   }
 
   async getAutomaticJobs () {
@@ -67,6 +100,26 @@ export default class Pipeline {
   async getManualJobs () {
     return filter(job => job.isManual(), await this.getJobs())
   }
+
+  async getResourceFor (resourceName) {
+    return Resource.load({
+      teamName: this.teamName,
+      pipelineName: this.name,
+      resourceName,
+      client: this.client
+    })
+  }
+
+  async getVersionDriftReport () {
+    const manualJobs = await this.getManualJobs()
+
+    return Promise.all(map(
+      async job => ({
+        jobName: job.getName(),
+        drift: await job.getVersionDrift()
+      }),
+      manualJobs))
+  }
 }
 
 // Terminology:
@@ -84,8 +137,9 @@ export default class Pipeline {
 // - Pipeline#getManualJobs() ✓
 // - Pipeline#getAutomaticJobs() ✓
 //
-// - Pipeline#getDependencyJobsFor(jobName, resourceName = null)
-// - Pipeline#getDependentJobsFor(jobName, resourceName = null)
+// - Pipeline#getDependencyJobsFor(jobName, resourceName = null) ✓
+// - Pipeline#getDependentJobsFor(jobName, resourceName = null) ✓
+// - Pipeline#getGraph() ✓
 //
 // - Job#getTriggeringResources()
 //
@@ -105,6 +159,9 @@ export default class Pipeline {
 // - Job#getDependencyJobsFor(resourceName) ✓
 // - Job#getLatestBuild() ✓
 // - Job#getLatestBuildWithStatus(status) ✓
-// - Build#getResourceFor(resourceName)
-// - Pipeline#getResourceFor`(resourceName)
-// - Resource#getVersionHistory()
+// - Build#getResourceFor(resourceName) ✓
+// - Build#getResourceVersionFor(resourceName) ✓
+// - Pipeline#getResourceFor(resourceName) ✓
+// - Resource#getVersionHistory() ✓
+// - Job#getVersionDrift() ✓
+// - Pipeline#getVersionDriftReport() ✓
@@ -0,0 +1,307 @@
+import YAML from 'yaml'
+import {
+  find,
+  fromPairs,
+  groupBy,
+  includes,
+  init,
+  isEmpty,
+  isNil,
+  map,
+  pathOr,
+  propEq,
+  sortBy,
+  toPairs
+} from 'ramda'
+
+import { ValidationError } from '../errors'
+import {
+  alternatives,
+  array,
+  boolean,
+  link,
+  object,
+  schemaFor,
+  string
+} from '../support/validation'
+
+const hookKeys = ['on_success', 'on_failure', 'on_abort', 'on_error', 'ensure']
+
+const namedEntry = keys => schemaFor({
+  name: string().required(),
+  ...keys
+}).unknown()
+
+const hooks = step => fromPairs(map(hook => [hook, step], hookKeys))
+
+// Only the parts of steps that are walked when checking references are
+// validated, so that malformed steps are reported rather than walked.
+const stepReference = link('#step')
+const step = schemaFor({
+  get: string(),
+  put: string(),
+  resource: string(),
+  passed: array().items(string()),
+  trigger: boolean(),
+  do: array().items(stepReference),
+  aggregate: array().items(stepReference),
+  in_parallel: alternatives(
+    array().items(stepReference),
+    schemaFor({ steps: array().items(stepReference) }).unknown()),
+  try: stepReference,
+  ...hooks(stepReference)
+}).unknown().id('step')
+
+const schema = schemaFor({
+  jobs: array().items(namedEntry({
+    plan: array().items(step).required(),
+    ...hooks(step)
+  })),
+  resources: array().items(namedEntry({
+    type: string().required(),
+    source: object()
+  })),
+  resource_types: array().items(namedEntry({
+    type: string().required(),
+    source: object()
+  })),
+  groups: array().items(namedEntry({
+    jobs: array().items(string())
+  })),
+  var_sources: array().items(namedEntry({
+    type: string().required(),
+    config: object()
+  })),
+  display: object()
+})
+
+const lineForOffset = (source, offset) =>
+  source.slice(0, offset).split('\n').length
+
+const lineForPath = (document, source, path) => {
+  let currentPath = path
+  while (!isEmpty(currentPath)) {
+    const node = document.getIn(currentPath, true)
+    if (node && node.range) {
+      return lineForOffset(source, node.range[0])
+    }
+    currentPath = init(currentPath)
+  }
+  return 1
+}
+
+const nestedStepsFor = (step, path) => {
+  const nested = []
+
+  if (Array.isArray(step.do)) {
+    step.do.forEach((s, i) =>
+      nested.push([s, [...path, 'do', i]]))
+  }
+  if (Array.isArray(step.aggregate)) {
+    step.aggregate.forEach((s, i) =>
+      nested.push([s, [...path, 'aggregate', i]]))
+  }
+  if (Array.isArray(step.in_parallel)) {
+    step.in_parallel.forEach((s, i) =>
+      nested.push([s, [...path, 'in_parallel', i]]))
+  } else if (step.in_parallel && Array.isArray(step.in_parallel.steps)) {
+    step.in_parallel.steps.forEach((s, i) =>
+      nested.push([s, [...path, 'in_parallel', 'steps', i]]))
+  }
+  if (step.try) {
+    nested.push([step.try, [...path, 'try']])
+  }
+  hookKeys.forEach(hook => {
+    if (step[hook]) {
+      nested.push([step[hook], [...path, hook]])
+    }
+  })
+
+  return nested
+}
+
+const walkSteps = (steps, visit) => {
+  steps.forEach(([step, path]) => {
+    if (!step || typeof step !== 'object') {
+      return
+    }
+    visit(step, path)
+    walkSteps(nestedStepsFor(step, path), visit)
+  })
+}
+
+const stepsForJob = (job, jobIndex) => {
+  const jobPath = ['jobs', jobIndex]
+  const steps = (job.plan || [])
+    .map((step, index) => [step, [...jobPath, 'plan', index]])
+
+  hookKeys.forEach(hook => {
+    if (job[hook]) {
+      steps.push([job[hook], [...jobPath, hook]])
+    }
+  })
+
+  return steps
+}
+
+const sectionDescriptions = {
+  jobs: 'job',
+  resources: 'resource',
+  resource_types: 'resource type',
+  groups: 'group',
+  var_sources: 'var source'
+}
+
+const stepTypeOf = step => {
+  if (!isNil(step.get)) return 'get'
+  if (!isNil(step.put)) return 'put'
+  return null
+}
+
+const validateUniqueNames = (config, addError) => {
+  toPairs(sectionDescriptions).forEach(([section, description]) => {
+    const entries = pathOr([], [section], config)
+    const indexed = entries.map((entry, index) => ({ entry, index }))
+    const byName = groupBy(({ entry }) => entry.name, indexed)
+
+    toPairs(byName).forEach(([name, occurrences]) => {
+      occurrences.slice(1).forEach(({ index }) => addError(
+        [section, index, 'name'],
+        `${description} "${name}" is defined more than once`))
+    })
+  })
+}
+
+const validateReferences = (config, addError) => {
+  const jobs = pathOr([], ['jobs'], config)
+  const jobNames = map(job => job.name, jobs)
+  const resourceNames =
+    map(resource => resource.name, pathOr([], ['resources'], config))
+
+  jobs.forEach((job, jobIndex) => {
+    walkSteps(stepsForJob(job, jobIndex), (step, path) => {
+      const stepType = stepTypeOf(step)
+      if (!stepType) {
+        return
+      }
+
+      const resourceName = step.resource || step[stepType]
+      if (!includes(resourceName, resourceNames)) {
+        addError(
+          [...path, step.resource ? 'resource' : stepType],
+          `job "${job.name}" ${stepType} step refers to undefined ` +
+          `resource "${resourceName}"`)
+      }
+
+      if (stepType === 'get') {
+        (step.passed || []).forEach((passedJobName, index) => {
+          if (!includes(passedJobName, jobNames)) {
+            addError(
+              [...path, 'passed', index],
+              `job "${job.name}" get step "${step.get}" requires ` +
+              `undefined job "${passedJobName}" to have passed`)
+          }
+        })
+      }
+    })
+  })
+
+  pathOr([], ['groups'], config).forEach((group, groupIndex) => {
+    (group.jobs || []).forEach((jobName, index) => {
+      if (!includes(jobName, jobNames) && !includes('*', jobName)) {
+        addError(
+          ['groups', groupIndex, 'jobs', index],
+          `group "${group.name}" refers to undefined job "${jobName}"`)
+      }
+    })
+  })
+}
+
+export default class PipelineConfig {
+  static parse (pipelineConfig) {
+    const document = YAML.parseDocument(pipelineConfig)
+
+    return new PipelineConfig({ document, source: pipelineConfig })
+  }
+
+  constructor ({ document, source }) {
+    this.document = document
+    this.source = source
+    this.config = document.errors.length > 0
+      ? {}
+      : (document.toJSON() || {})
+  }
+
+  getJobs () { return pathOr([], ['jobs'], this.config) }
+
+  getResources () { return pathOr([], ['resources'], this.config) }
+
+  getResourceTypes () { return pathOr([], ['resource_types'], this.config) }
+
+  getGroups () { return pathOr([], ['groups'], this.config) }
+
+  getVarSources () { return pathOr([], ['var_sources'], this.config) }
+
+  getJob (jobName) {
+    return find(propEq('name', jobName), this.getJobs())
+  }
+
+  getResource (resourceName) {
+    return find(propEq('name', resourceName), this.getResources())
+  }
+
+  toObject () {
+    return this.config
+  }
+
+  toYaml () {
+    return this.source
+  }
+
+  getErrors () {
+    if (this.document.errors.length > 0) {
+      return map(
+        error => ({
+          path: [],
+          line: lineForOffset(this.source, error.source.range.start),
+          message: error.message
+        }),
+        this.document.errors)
+    }
+
+    const errors = []
+    const addError = (path, message) => errors.push({
+      path,
+      line: lineForPath(this.document, this.source, path),
+      message
+    })
+
+    const { error } = schema.validate(this.config, { abortEarly: false })
+    if (error) {
+      error.details.forEach(detail => addError(detail.path, detail.message))
+      return sortBy(e => e.line, errors)
+    }
+
+    validateUniqueNames(this.config, addError)
+    validateReferences(this.config, addError)
+
+    return sortBy(e => e.line, errors)
+  }
+
+  isValid () {
+    return isEmpty(this.getErrors())
+  }
+
+  validate () {
+    const errors = this.getErrors()
+
+    if (!isEmpty(errors)) {
+      const details = map(e => `line ${e.line}: ${e.message}`, errors)
+      throw new ValidationError(
+        `Invalid pipeline config: [${details.join(', ')}].`,
+        { details })
+    }
+
+    return this
+  }
+}
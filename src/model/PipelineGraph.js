@@ -0,0 +1,244 @@
+import {
+  any,
+  filter,
+  has,
+  isEmpty,
+  isNil,
+  map,
+  pluck,
+  reduce,
+  uniq
+} from 'ramda'
+
+import { ValidationError } from '../errors'
+
+// An edge exists from an upstream job to a downstream job for each input of
+// the downstream job requiring the upstream job to have passed.
+const toEdges = (jobs, jobsByName) =>
+  reduce((edges, job) => [
+    ...edges,
+    ...reduce((inputEdges, input) => [
+      ...inputEdges,
+      ...map(
+        upstreamJobName => ({
+          upstreamJobName,
+          downstreamJobName: job.getName(),
+          resourceName: input.getResourceName(),
+          trigger: input.isTrigger()
+        }),
+        filter(
+          jobName => has(jobName, jobsByName),
+          uniq(input.getNamesOfJobsToHavePassed() || [])))
+    ], [], job.getInputs())
+  ], [], jobs)
+
+const indexEdgesBy = (key, jobs, edges) =>
+  reduce(
+    (index, edge) => ({
+      ...index,
+      [edge[key]]: [...index[edge[key]], edge]
+    }),
+    reduce((index, job) => ({ ...index, [job.getName()]: [] }), {}, jobs),
+    edges)
+
+export default class PipelineGraph {
+  constructor (jobs) {
+    this.jobs = jobs
+    this.jobsByName = reduce(
+      (jobsByName, job) => ({ ...jobsByName, [job.getName()]: job }),
+      {}, jobs)
+
+    this.edges = toEdges(jobs, this.jobsByName)
+    this.upstreamEdges = indexEdgesBy('downstreamJobName', jobs, this.edges)
+    this.downstreamEdges = indexEdgesBy('upstreamJobName', jobs, this.edges)
+  }
+
+  getJobs () {
+    return this.jobs
+  }
+
+  getJob (jobName) {
+    if (!has(jobName, this.jobsByName)) {
+      throw new ValidationError(`Unknown job "${jobName}".`)
+    }
+
+    return this.jobsByName[jobName]
+  }
+
+  getEdges () {
+    return this.edges
+  }
+
+  toJobs (jobNames) {
+    return filter(
+      job => jobNames.includes(job.getName()),
+      this.jobs)
+  }
+
+  edgesFor (index, jobName, resourceName) {
+    this.getJob(jobName)
+
+    return filter(
+      edge => isNil(resourceName) || edge.resourceName === resourceName,
+      index[jobName])
+  }
+
+  getDependencyJobsFor (jobName, resourceName = null) {
+    return this.toJobs(pluck('upstreamJobName',
+      this.edgesFor(this.upstreamEdges, jobName, resourceName)))
+  }
+
+  getDependentJobsFor (jobName, resourceName = null) {
+    return this.toJobs(pluck('downstreamJobName',
+      this.edgesFor(this.downstreamEdges, jobName, resourceName)))
+  }
+
+  closureOf (jobName, nextJobNamesFor) {
+    this.getJob(jobName)
+
+    const visited = new Set([jobName])
+    const pending = [jobName]
+
+    while (!isEmpty(pending)) {
+      nextJobNamesFor(pending.shift()).forEach(nextJobName => {
+        if (!visited.has(nextJobName)) {
+          visited.add(nextJobName)
+          pending.push(nextJobName)
+        }
+      })
+    }
+    visited.delete(jobName)
+
+    return this.toJobs([...visited])
+  }
+
+  getUpstreamJobsFor (jobName) {
+    return this.closureOf(
+      jobName,
+      name => pluck('upstreamJobName', this.upstreamEdges[name]))
+  }
+
+  getDownstreamJobsFor (jobName) {
+    return this.closureOf(
+      jobName,
+      name => pluck('downstreamJobName', this.downstreamEdges[name]))
+  }
+
+  // Jobs that will run automatically as a result of the job succeeding, i.e.,
+  // those reachable only through inputs that trigger on the passed versions.
+  getTriggeredJobsFor (jobName) {
+    return this.closureOf(
+      jobName,
+      name => pluck('downstreamJobName',
+        filter(edge => edge.trigger, this.downstreamEdges[name])))
+  }
+
+  getStartPointJobs () {
+    return filter(
+      job => isEmpty(this.upstreamEdges[job.getName()]),
+      this.jobs)
+  }
+
+  getEndPointJobs () {
+    return filter(
+      job => isEmpty(this.downstreamEdges[job.getName()]),
+      this.jobs)
+  }
+
+  getMidPointJobs () {
+    return filter(
+      job => !isEmpty(this.upstreamEdges[job.getName()]) &&
+        !isEmpty(this.downstreamEdges[job.getName()]),
+      this.jobs)
+  }
+
+  // Strongly connected components of more than one job, or of a single job
+  // requiring itself to have passed, using Tarjan's algorithm.
+  getCycles () {
+    const indices = {}
+    const lowLinks = {}
+    const stack = []
+    const onStack = new Set()
+    const cycles = []
+    let index = 0
+
+    const connect = jobName => {
+      indices[jobName] = index
+      lowLinks[jobName] = index
+      index += 1
+      stack.push(jobName)
+      onStack.add(jobName)
+
+      this.downstreamEdges[jobName].forEach(({ downstreamJobName }) => {
+        if (!has(downstreamJobName, indices)) {
+          connect(downstreamJobName)
+          lowLinks[jobName] =
+            Math.min(lowLinks[jobName], lowLinks[downstreamJobName])
+        } else if (onStack.has(downstreamJobName)) {
+          lowLinks[jobName] =
+            Math.min(lowLinks[jobName], indices[downstreamJobName])
+        }
+      })
+
+      if (lowLinks[jobName] === indices[jobName]) {
+        const component = []
+        let member
+        do {
+          member = stack.pop()
+          onStack.delete(member)
+          component.push(member)
+        } while (member !== jobName)
+
+        const isSelfDependent = any(
+          edge => edge.downstreamJobName === jobName,
+          this.downstreamEdges[jobName])
+        if (component.length > 1 || isSelfDependent) {
+          cycles.push(this.toJobs(component))
+        }
+      }
+    }
+
+    this.jobs.forEach(job => {
+      if (!has(job.getName(), indices)) {
+        connect(job.getName())
+      }
+    })
+
+    return cycles
+  }
+
+  hasCycles () {
+    return !isEmpty(this.getCycles())
+  }
+
+  // Groups jobs into stages such that every job's dependency jobs are in
+  // earlier stages.
+  getStages () {
+    const cycles = this.getCycles()
+    if (!isEmpty(cycles)) {
+      const details = map(
+        cycle => map(job => job.getName(), cycle).join(', '),
+        cycles)
+      throw new ValidationError(
+        `Pipeline has dependency cycles: [${details.join('; ')}].`,
+        { details })
+    }
+
+    const stages = []
+    const staged = new Set()
+    let remaining = this.jobs
+
+    while (!isEmpty(remaining)) {
+      const stage = filter(
+        job => this.upstreamEdges[job.getName()]
+          .every(edge => staged.has(edge.upstreamJobName)),
+        remaining)
+
+      stage.forEach(job => staged.add(job.getName()))
+      remaining = filter(job => !staged.has(job.getName()), remaining)
+      stages.push(stage)
+    }
+
+    return stages
+  }
+}
@@ -0,0 +1,132 @@
+import { isNil } from 'ramda'
+import { toResourceVersion } from './ResourceVersion'
+
+export default class Resource {
+  static async load ({ teamName, pipelineName, resourceName, client }) {
+    const resourceData = await client
+      .forTeam(teamName)
+      .forPipeline(pipelineName)
+      .getResource(resourceName)
+
+    return new Resource({ ...resourceData, client })
+  }
+
+  constructor (
+    {
+      name,
+      teamName,
+      pipelineName,
+      type,
+      lastChecked,
+      paused,
+      pinnedVersion,
+      pinnedInConfig,
+      pinComment,
+      checkError,
+      checkSetupError,
+      client
+    }) {
+    this.name = name
+    this.teamName = teamName
+    this.pipelineName = pipelineName
+    this.type = type
+    this.lastChecked = lastChecked
+    this.paused = paused
+    this.pinnedVersion = pinnedVersion
+    this.pinnedInConfig = pinnedInConfig
+    this.pinComment = pinComment
+    this.checkError = checkError
+    this.checkSetupError = checkSetupError
+    this.client = client
+  }
+
+  getName () {
+    return this.name
+  }
+
+  getTeamName () {
+    return this.teamName
+  }
+
+  getPipelineName () {
+    return this.pipelineName
+  }
+
+  getType () {
+    return this.type
+  }
+
+  getLastChecked () {
+    return this.lastChecked
+  }
+
+  isPaused () {
+    return !!this.paused
+  }
+
+  isPinned () {
+    return !isNil(this.pinnedVersion)
+  }
+
+  isPinnedInConfig () {
+    return !!this.pinnedInConfig
+  }
+
+  getPinnedVersion () {
+    return this.pinnedVersion || null
+  }
+
+  getPinComment () {
+    return this.pinComment || null
+  }
+
+  getCheckError () {
+    return this.checkError || this.checkSetupError || null
+  }
+
+  resourceClient () {
+    return this.client
+      .forTeam(this.teamName)
+      .forPipeline(this.pipelineName)
+      .forResource(this.name)
+  }
+
+  async reload () {
+    const resourceData = await this.client
+      .forTeam(this.teamName)
+      .forPipeline(this.pipelineName)
+      .getResource(this.name)
+
+    this.lastChecked = resourceData.lastChecked
+    this.paused = resourceData.paused
+    this.pinnedVersion = resourceData.pinnedVersion
+    this.pinnedInConfig = resourceData.pinnedInConfig
+    this.pinComment = resourceData.pinComment
+    this.checkError = resourceData.checkError
+    this.checkSetupError = resourceData.checkSetupError
+
+    return this
+  }
+
+  toResourceVersion (versionData) {
+    return toResourceVersion({
+      teamName: this.teamName,
+      pipelineName: this.pipelineName,
+      resourceName: this.name,
+      client: this.client
+    })(versionData)
+  }
+
+  async getVersion (versionId) {
+    const versionData = await this.resourceClient().getVersion(versionId)
+
+    return this.toResourceVersion(versionData)
+  }
+
+  async * getVersionHistory (options = {}) {
+    for await (const versionData of
+      this.resourceClient().iterateVersions(options)) {
+      yield this.toResourceVersion(versionData)
+    }
+  }
+}
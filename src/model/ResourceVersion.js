@@ -0,0 +1,87 @@
+import { map } from 'ramda'
+import Build from './Build'
+
+export const toResourceVersion =
+  ({ teamName, pipelineName, resourceName, client }) =>
+    versionData => new ResourceVersion({
+      ...versionData,
+      resource: resourceName,
+      teamName,
+      pipelineName,
+      client
+    })
+
+export default class ResourceVersion {
+  constructor (
+    {
+      id,
+      type,
+      metadata,
+      resource,
+      enabled,
+      version,
+      teamName,
+      pipelineName,
+      client
+    }) {
+    this.id = id
+    this.type = type
+    this.metadata = metadata
+    this.resourceName = resource
+    this.enabled = enabled
+    this.version = version
+    this.teamName = teamName
+    this.pipelineName = pipelineName
+    this.client = client
+  }
+
+  getId () {
+    return this.id
+  }
+
+  getType () {
+    return this.type
+  }
+
+  getMetadata () {
+    return this.metadata
+  }
+
+  getResourceName () {
+    return this.resourceName
+  }
+
+  getVersion () {
+    return this.version
+  }
+
+  isEnabled () {
+    return !!this.enabled
+  }
+
+  versionClient () {
+    return this.client
+      .forTeam(this.teamName)
+      .forPipeline(this.pipelineName)
+      .forResource(this.resourceName)
+      .forVersion(this.id)
+  }
+
+  async getBuildsWithVersionAsInput () {
+    const buildsData = await this.versionClient()
+      .listBuildsWithVersionAsInput()
+
+    return map(
+      buildData => new Build({ ...buildData, client: this.client }),
+      buildsData)
+  }
+
+  async getBuildsWithVersionAsOutput () {
+    const buildsData = await this.versionClient()
+      .listBuildsWithVersionAsOutput()
+
+    return map(
+      buildData => new Build({ ...buildData, client: this.client }),
+      buildsData)
+  }
+}
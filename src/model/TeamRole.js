@@ -0,0 +1,8 @@
+// Roles are listed from least to most privileged, each role being permitted
+// every action of the roles before it.
+export default {
+  viewer: 'viewer',
+  pipelineOperator: 'pipeline-operator',
+  member: 'member',
+  owner: 'owner'
+}
@@ -0,0 +1,153 @@
+import { any, includes, indexOf, keys, pathOr, toPairs } from 'ramda'
+
+import TeamRole from './TeamRole'
+import { ValidationError } from '../errors'
+
+const roleOrder = [
+  TeamRole.viewer,
+  TeamRole.pipelineOperator,
+  TeamRole.member,
+  TeamRole.owner
+]
+
+// Mirrors the default role action map of the Concourse API, keyed by route
+// name.
+const actionsByRole = {
+  [TeamRole.viewer]: [
+    'GetConfig',
+    'GetBuild',
+    'GetBuildPlan',
+    'BuildEvents',
+    'BuildResources',
+    'GetBuildPreparation',
+    'ListBuildArtifacts',
+    'GetCheck',
+    'ListJobs',
+    'GetJob',
+    'ListJobBuilds',
+    'ListJobInputs',
+    'GetJobBuild',
+    'ListPipelines',
+    'GetPipeline',
+    'ListPipelineBuilds',
+    'ListResources',
+    'ListResourceTypes',
+    'GetResource',
+    'ListResourceVersions',
+    'GetResourceVersion',
+    'ListBuildsWithVersionAsInput',
+    'ListBuildsWithVersionAsOutput',
+    'GetResourceCausality',
+    'ListContainers',
+    'GetContainer',
+    'ListVolumes',
+    'ListTeamBuilds',
+    'ListWorkers'
+  ],
+  [TeamRole.pipelineOperator]: [
+    'AbortBuild',
+    'CreateJobBuild',
+    'RerunJobBuild',
+    'PauseJob',
+    'UnpauseJob',
+    'PausePipeline',
+    'UnpausePipeline',
+    'PauseResource',
+    'UnpauseResource',
+    'CheckResource',
+    'CheckResourceType',
+    'EnableResourceVersion',
+    'DisableResourceVersion',
+    'PinResourceVersion',
+    'UnpinResource',
+    'SetPinCommentOnResource'
+  ],
+  [TeamRole.member]: [
+    'SaveConfig',
+    'CreateBuild',
+    'CreatePipelineBuild',
+    'DeletePipeline',
+    'OrderPipelines',
+    'ExposePipeline',
+    'HidePipeline',
+    'RenamePipeline',
+    'ArchivePipeline',
+    'HijackContainer',
+    'CreateArtifact',
+    'GetArtifact',
+    'RegisterWorker',
+    'LandWorker',
+    'RetireWorker',
+    'PruneWorker',
+    'HeartbeatWorker',
+    'DeleteWorker'
+  ],
+  [TeamRole.owner]: [
+    'SetTeam',
+    'RenameTeam',
+    'DestroyTeam'
+  ]
+}
+
+const minimumRoleFor = action => {
+  const entry = toPairs(actionsByRole)
+    .find(([, actions]) => includes(action, actions))
+
+  if (!entry) {
+    throw new ValidationError(`Unknown action "${action}".`)
+  }
+
+  return entry[0]
+}
+
+const permits = (role, minimumRole) =>
+  indexOf(role, roleOrder) >= indexOf(minimumRole, roleOrder)
+
+export default class User {
+  static async load ({ client }) {
+    const userData = await client.getUser()
+
+    return new User({ ...userData, client })
+  }
+
+  constructor ({ userId, userName, name, email, isAdmin, teams, client }) {
+    this.client = client
+
+    this.id = userId
+    this.userName = userName
+    this.name = name
+    this.email = email
+    this.admin = isAdmin
+    this.teams = teams || {}
+  }
+
+  getId () { return this.id }
+
+  getUserName () { return this.userName }
+
+  getName () { return this.name }
+
+  getEmail () { return this.email }
+
+  isAdmin () { return !!this.admin }
+
+  getTeamNames () { return keys(this.teams) }
+
+  getRolesIn (teamName) { return pathOr([], [teamName], this.teams) }
+
+  hasRoleIn (teamName, role) {
+    return includes(role, this.getRolesIn(teamName))
+  }
+
+  can (teamName, action) {
+    const minimumRole = minimumRoleFor(action)
+
+    if (this.isAdmin()) {
+      return true
+    }
+
+    return any(
+      role => permits(role, minimumRole),
+      this.getRolesIn(teamName))
+  }
+}
@@ -1,3 +1,4 @@
+import { isNil } from 'ramda'
 import {
   func,
   integer,
@@ -5,8 +6,23 @@ import {
   uri,
   validateOptions
 } from '../support/validation'
-import { buildResourcesUrl } from '../support/urls'
+import {
+  buildAbortUrl,
+  buildArtifactsUrl,
+  buildEventsUrl,
+  buildPlanUrl,
+  buildPreparationUrl,
+  buildResourcesUrl
+} from '../support/urls'
 import { parseJson } from '../support/http/transformers'
+import {
+  acceptHeader,
+  contentTypes,
+  lastEventIdHeader
+} from '../support/http/headers'
+import { createEventStream } from '../support/http/events'
+import { toPlanNode } from '../support/plan'
+import { toBuildPreparation } from '../support/preparation'
 import camelcaseKeysDeep from 'camelcase-keys-deep'
 
 export default class BuildClient {
@@ -31,4 +47,61 @@ export default class BuildClient {
 
     return resources
   }
+
+  async getPlan () {
+    const { data: { schema, plan } } = await this.httpClient
+      .get(
+        buildPlanUrl(this.apiUrl, this.buildId),
+        { transformResponse: [parseJson] })
+
+    return { schema, plan: toPlanNode(plan) }
+  }
+
+  async getPreparation () {
+    const { data: preparation } = await this.httpClient
+      .get(
+        buildPreparationUrl(this.apiUrl, this.buildId),
+        { transformResponse: [parseJson] })
+
+    return toBuildPreparation(preparation)
+  }
+
+  async listArtifacts () {
+    const { data: artifacts } = await this.httpClient
+      .get(
+        buildArtifactsUrl(this.apiUrl, this.buildId),
+        { transformResponse: [parseJson, camelcaseKeysDeep] })
+
+    return artifacts
+  }
+
+  async abort () {
+    await this.httpClient.put(
+      buildAbortUrl(
+        this.apiUrl,
+        this.buildId))
+  }
+
+  streamEvents (options = {}) {
+    const validatedOptions = validateOptions(
+      schemaFor({
+        maxReconnects: integer().min(0).default(5)
+      }), options)
+
+    return createEventStream({
+      maxReconnects: validatedOptions.maxReconnects,
+      open: ({ lastEventId, cancelToken }) => this.httpClient
+        .get(
+          buildEventsUrl(this.apiUrl, this.buildId),
+          {
+            headers: {
+              ...acceptHeader(contentTypes.eventStream),
+              ...(isNil(lastEventId) ? {} : lastEventIdHeader(lastEventId))
+            },
+            responseType: 'stream',
+            timeout: 0,
+            cancelToken
+          })
+    })
+  }
 }
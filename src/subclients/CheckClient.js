@@ -0,0 +1,58 @@
+import camelcaseKeysDeep from 'camelcase-keys-deep'
+import { includes } from 'ramda'
+
+import {
+  func,
+  integer,
+  schemaFor,
+  uri,
+  validateOptions
+} from '../support/validation'
+import { checkUrl } from '../support/urls'
+import { parseJson } from '../support/http/transformers'
+import { pollUntil } from '../support/timing'
+
+const terminalStatuses = ['succeeded', 'errored']
+
+export default class CheckClient {
+  constructor (options) {
+    const validatedOptions = validateOptions(
+      schemaFor({
+        apiUrl: uri().required(),
+        httpClient: func().required(),
+        checkId: integer().min(1).required()
+      }), options)
+
+    this.apiUrl = validatedOptions.apiUrl
+    this.httpClient = validatedOptions.httpClient
+    this.checkId = validatedOptions.checkId
+  }
+
+  async getCheck () {
+    const { data: check } = await this.httpClient
+      .get(
+        checkUrl(this.apiUrl, this.checkId),
+        { transformResponse: [parseJson, camelcaseKeysDeep] })
+
+    return check
+  }
+
+  async waitForCompletion (options = {}) {
+    const validatedOptions = validateOptions(
+      schemaFor({
+        timeout: integer().min(0).default(5 * 60 * 1000),
+        interval: integer().min(0).default(1000)
+      }), options)
+    const { timeout, interval } = validatedOptions
+
+    return pollUntil(
+      () => this.getCheck(),
+      check => includes(check.status, terminalStatuses),
+      {
+        timeout,
+        interval,
+        timeoutMessage:
+          `Check ${this.checkId} did not complete within ${timeout}ms.`
+      })
+  }
+}
@@ -1,9 +1,22 @@
-import { reject, isNil } from 'ramda'
+import {
+  find,
+  fromPairs,
+  isNil,
+  keys,
+  map,
+  propEq,
+  reject,
+  toPairs
+} from 'ramda'
 import camelcaseKeysDeep from 'camelcase-keys-deep'
 
 import {
+  array,
+  boolean,
+  date,
   func,
   integer,
+  object,
   schemaFor,
   string,
   uri,
@@ -11,15 +24,29 @@ import {
   validateOptions
 } from '../support/validation'
 import {
+  teamArtifactsUrl,
+  teamArtifactUrl,
+  teamAuthMethodsUrl,
   teamBuildsUrl,
+  teamContainerHijackUrl,
   teamContainersUrl,
   teamContainerUrl,
+  teamPipelinesOrderingUrl,
   teamPipelinesUrl,
   teamPipelineUrl, teamRenameUrl, teamUrl,
   teamVolumesUrl
 } from '../support/urls'
 import { parseJson } from '../support/http/transformers'
+import { iteratePages, toBuildWindow } from '../support/http/pagination'
+import { contentTypeHeader, contentTypes } from '../support/http/headers'
+import { packDirectory, unpackInto } from '../support/artifacts'
+import { buildExecutePlan } from '../support/plan'
+import {
+  createHijackStream,
+  resolveRequestHeaders
+} from '../support/http/hijack'
 import TeamPipelineClient from './TeamPipelineClient'
+import BuildClient from './BuildClient'
 
 export default class TeamClient {
   constructor (options) {
@@ -54,6 +81,15 @@ export default class TeamClient {
       .delete(teamUrl(this.apiUrl, this.teamName))
   }
 
+  async listAuthMethods () {
+    const { data: authMethods } = await this.httpClient
+      .get(teamAuthMethodsUrl(this.apiUrl, this.teamName), {
+        transformResponse: [parseJson, camelcaseKeysDeep]
+      })
+
+    return authMethods
+  }
+
   async listBuilds (options = {}) {
     const validatedOptions = validateOptions(
       schemaFor({
@@ -77,6 +113,126 @@ export default class TeamClient {
     return builds
   }
 
+  iterateBuilds (options = {}) {
+    const validatedOptions = validateOptions(
+      schemaFor({
+        limit: integer().min(1),
+        from: date().timestamp('unix'),
+        to: date().timestamp('unix')
+      }), options)
+
+    return iteratePages({
+      httpClient: this.httpClient,
+      url: teamBuildsUrl(this.apiUrl, this.teamName),
+      transformResponse: [parseJson, camelcaseKeysDeep],
+      ...toBuildWindow(validatedOptions)
+    })
+  }
+
+  async createBuild (plan) {
+    const validatedOptions = validateOptions(
+      schemaFor({
+        plan: object().required()
+      }), { plan })
+
+    const { data: build } = await this.httpClient
+      .post(
+        teamBuildsUrl(this.apiUrl, this.teamName),
+        validatedOptions.plan,
+        { transformResponse: [parseJson, camelcaseKeysDeep] })
+
+    return build
+  }
+
+  async createArtifact (artifact) {
+    const validatedOptions = validateOptions(
+      schemaFor({
+        artifact: object().required()
+      }), { artifact })
+
+    const { data: createdArtifact } = await this.httpClient
+      .post(
+        teamArtifactsUrl(this.apiUrl, this.teamName),
+        validatedOptions.artifact,
+        {
+          headers: contentTypeHeader(contentTypes.octetStream),
+          timeout: 0,
+          maxBodyLength: Infinity,
+          transformResponse: [parseJson, camelcaseKeysDeep]
+        })
+
+    return createdArtifact
+  }
+
+  async getArtifact (artifactId) {
+    const validatedOptions = validateOptions(
+      schemaFor({
+        artifactId: integer().min(1).required()
+      }), { artifactId })
+
+    const { data: artifact } = await this.httpClient
+      .get(
+        teamArtifactUrl(
+          this.apiUrl, this.teamName, validatedOptions.artifactId),
+        {
+          responseType: 'stream',
+          timeout: 0
+        })
+
+    return artifact
+  }
+
+  async execute (options) {
+    const validatedOptions = validateOptions(
+      schemaFor({
+        taskConfig: object().required(),
+        inputs: object().pattern(string(), string()).default({}),
+        outputs: object().pattern(string(), string()).default({}),
+        privileged: boolean().default(false),
+        tags: array().items(string()),
+        onEvent: func().default(() => () => {})
+      }), options)
+
+    const inputArtifacts = fromPairs(await Promise.all(map(
+      async ([name, directory]) => {
+        const artifact = await this.createArtifact(packDirectory(directory))
+        return [name, artifact.id]
+      },
+      toPairs(validatedOptions.inputs))))
+
+    const build = await this.createBuild(buildExecutePlan({
+      taskConfig: validatedOptions.taskConfig,
+      inputArtifacts,
+      outputNames: keys(validatedOptions.outputs),
+      privileged: validatedOptions.privileged,
+      tags: validatedOptions.tags
+    }))
+
+    const buildClient = new BuildClient({
+      apiUrl: this.apiUrl,
+      httpClient: this.httpClient,
+      buildId: build.id
+    })
+
+    let status = build.status
+    for await (const event of buildClient.streamEvents()) {
+      if (event.type === 'status') {
+        status = event.data.status
+      }
+      validatedOptions.onEvent(event)
+    }
+
+    const artifacts = await buildClient.listArtifacts()
+    for (const [name, directory] of toPairs(validatedOptions.outputs)) {
+      const artifact = find(propEq('name', name), artifacts)
+      if (artifact) {
+        await unpackInto(await this.getArtifact(artifact.id), directory)
+      }
+    }
+
+    return { build, status }
+  }
+
   async listContainers (options = {}) {
     const validatedOptions = validateOptions(
       schemaFor({
@@ -133,6 +289,31 @@ export default class TeamClient {
     return container
   }
 
+  async hijackContainer (containerId, options = {}) {
+    const validatedOptions = validateOptions(
+      schemaFor({
+        containerId: string().required(),
+        path: string().default('bash'),
+        args: array().items(string()).default([]),
+        env: array().items(string()),
+        user: string(),
+        dir: string(),
+        privileged: boolean(),
+        tty: schemaFor({
+          columns: integer().min(1).required(),
+          rows: integer().min(1).required()
+        })
+      }), { containerId, ...options })
+
+    const { containerId: validatedContainerId, ...processSpec } =
+      validatedOptions
+    const url = teamContainerHijackUrl(
+      this.apiUrl, this.teamName, validatedContainerId)
+    const headers = await resolveRequestHeaders(this.httpClient, url)
+
+    return createHijackStream({ url, headers, processSpec })
+  }
+
   async listVolumes () {
     const { data: volumes } = await this.httpClient
       .get(teamVolumesUrl(this.apiUrl, this.teamName), {
@@ -166,6 +347,18 @@ export default class TeamClient {
     return pipeline
   }
 
+  async orderPipelines (pipelineNames) {
+    const validatedOptions = validateOptions(
+      schemaFor({
+        pipelineNames: array().items(string()).required()
+      }), { pipelineNames })
+
+    await this.httpClient
+      .put(
+        teamPipelinesOrderingUrl(this.apiUrl, this.teamName),
+        validatedOptions.pipelineNames)
+  }
+
   forPipeline (pipelineName) {
     return new TeamPipelineClient({
       apiUrl: this.apiUrl,
@@ -1,12 +1,20 @@
+import YAML from 'yaml'
 import {
+  array,
+  boolean,
+  date,
   func, integer,
+  object,
   schemaFor,
   string,
   uri,
   validateOptions
 } from '../support/validation'
 import {
+  teamPipelineArchiveUrl,
   teamPipelineBuildsUrl,
+  teamPipelineExposeUrl,
+  teamPipelineHideUrl,
   teamPipelineJobsUrl,
   teamPipelineJobUrl,
   teamPipelinePauseUrl,
@@ -19,10 +27,24 @@ import {
   teamPipelineUrl
 } from '../support/urls'
 import { parseJson } from '../support/http/transformers'
-import { contentTypeHeader, contentTypes } from '../support/http/headers'
+import { iteratePages, toBuildWindow } from '../support/http/pagination'
+import {
+  configVersionFrom,
+  configVersionHeader,
+  contentTypeHeader,
+  contentTypes
+} from '../support/http/headers'
+import {
+  diffPipelineConfigs,
+  parsePipelineConfig
+} from '../support/config'
+import { interpolate, loadVarsFiles } from '../support/vars'
 import camelcaseKeysDeep from 'camelcase-keys-deep'
 import TeamPipelineJobClient from './TeamPipelineJobClient'
 import TeamPipelineResourceClient from './TeamPipelineResourceClient'
+import TeamPipelineResourceTypeClient
+  from './TeamPipelineResourceTypeClient'
+import PipelineConfig from '../model/PipelineConfig'
 import { isNil, reject } from 'ramda'
 
 class TeamPipelineClient {
@@ -57,6 +79,30 @@ class TeamPipelineClient {
         this.pipelineName))
   }
 
+  async expose () {
+    await this.httpClient.put(
+      teamPipelineExposeUrl(
+        this.apiUrl,
+        this.teamName,
+        this.pipelineName))
+  }
+
+  async hide () {
+    await this.httpClient.put(
+      teamPipelineHideUrl(
+        this.apiUrl,
+        this.teamName,
+        this.pipelineName))
+  }
+
+  async archive () {
+    await this.httpClient.put(
+      teamPipelineArchiveUrl(
+        this.apiUrl,
+        this.teamName,
+        this.pipelineName))
+  }
+
   async rename (newPipelineName) {
     const validatedOptions = validateOptions(
       schemaFor({
@@ -153,6 +199,16 @@ class TeamPipelineClient {
     })
   }
 
+  forResourceType (resourceTypeName) {
+    return new TeamPipelineResourceTypeClient({
+      apiUrl: this.apiUrl,
+      httpClient: this.httpClient,
+      teamName: this.teamName,
+      pipelineName: this.pipelineName,
+      resourceTypeName
+    })
+  }
+
   async listResourceTypes () {
     const { data: resourceTypes } = await this.httpClient
       .get(
@@ -189,20 +245,140 @@ class TeamPipelineClient {
     return builds
   }
 
-  async saveConfig (pipelineConfig) {
+  iterateBuilds (options = {}) {
     const validatedOptions = validateOptions(
       schemaFor({
-        pipelineConfig: string().required()
-      }), { pipelineConfig })
+        limit: integer().min(1),
+        from: date().timestamp('unix'),
+        to: date().timestamp('unix')
+      }), options)
+
+    return iteratePages({
+      httpClient: this.httpClient,
+      url: teamPipelineBuildsUrl(
+        this.apiUrl, this.teamName, this.pipelineName),
+      transformResponse: [parseJson, camelcaseKeysDeep],
+      ...toBuildWindow(validatedOptions)
+    })
+  }
+
+  async createBuild (plan) {
+    const validatedOptions = validateOptions(
+      schemaFor({
+        plan: object().required()
+      }), { plan })
+
+    const { data: build } = await this.httpClient
+      .post(
+        teamPipelineBuildsUrl(
+          this.apiUrl, this.teamName, this.pipelineName),
+        validatedOptions.plan,
+        { transformResponse: [parseJson, camelcaseKeysDeep] })
+
+    return build
+  }
+
+  async getConfig () {
+    const response = await this.httpClient
+      .get(
+        teamPipelineConfigUrl(this.apiUrl, this.teamName, this.pipelineName),
+        { transformResponse: [parseJson] })
+
+    return {
+      config: response.data.config,
+      version: configVersionFrom(response)
+    }
+  }
+
+  async saveConfig (pipelineConfig, options = {}) {
+    const validatedOptions = validateOptions(
+      schemaFor({
+        pipelineConfig: string().required(),
+        version: string(),
+        validate: boolean().default(false),
+        checkCredentials: boolean().default(false),
+        instanceVars: object()
+      }), { pipelineConfig, ...options })
+
+    if (validatedOptions.validate) {
+      PipelineConfig.parse(validatedOptions.pipelineConfig).validate()
+    }
+
+    const versionHeader = validatedOptions.version
+      ? configVersionHeader(validatedOptions.version)
+      : {}
+
+    const params = reject(isNil, {
+      check_creds: validatedOptions.checkCredentials ? true : undefined,
+      vars: validatedOptions.instanceVars
+        ? JSON.stringify(validatedOptions.instanceVars)
+        : undefined
+    })
 
     await this.httpClient
       .put(
         teamPipelineConfigUrl(this.apiUrl, this.teamName, this.pipelineName),
         validatedOptions.pipelineConfig,
         {
-          headers: contentTypeHeader(contentTypes.yaml)
+          params,
+          headers: {
+            ...contentTypeHeader(contentTypes.yaml),
+            ...versionHeader
+          }
         })
   }
+
+  async setPipeline (options) {
+    const validatedOptions = validateOptions(
+      schemaFor({
+        config: string().required(),
+        vars: object().default({}),
+        varsFiles: array().items(string()).default([]),
+        instanceVars: object(),
+        checkCredentials: boolean().default(false),
+        leaveCredentialVars: boolean().default(false),
+        version: string(),
+        validate: boolean().default(false)
+      }), options)
+
+    const fileVars = await loadVarsFiles(validatedOptions.varsFiles)
+    const vars = {
+      ...fileVars,
+      ...validatedOptions.vars,
+      ...validatedOptions.instanceVars
+    }
+
+    const { value, unresolvedVars } = interpolate(
+      parsePipelineConfig(validatedOptions.config),
+      vars,
+      { leaveCredentialVars: validatedOptions.leaveCredentialVars })
+    const config = YAML.stringify(value)
+
+    await this.saveConfig(config, reject(isNil, {
+      version: validatedOptions.version,
+      validate: validatedOptions.validate,
+      checkCredentials: validatedOptions.checkCredentials,
+      instanceVars: validatedOptions.instanceVars
+    }))
+
+    return { config, unresolvedVars }
+  }
+
+  async diffConfig (pipelineConfig) {
+    const validatedOptions = validateOptions(
+      schemaFor({
+        pipelineConfig: string().required()
+      }), { pipelineConfig })
+
+    const { config, version } = await this.getConfig()
+    const proposedConfig =
+      parsePipelineConfig(validatedOptions.pipelineConfig)
+
+    return {
+      ...diffPipelineConfigs(config, proposedConfig),
+      version
+    }
+  }
 }
 
 export default TeamPipelineClient
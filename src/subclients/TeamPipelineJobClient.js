@@ -1,5 +1,8 @@
+import { isNil, reject } from 'ramda'
 import {
+  date,
   func,
+  integer,
   schemaFor,
   string,
   uri,
@@ -13,6 +16,7 @@ import {
   teamPipelineJobUnpauseUrl
 } from '../support/urls'
 import { parseJson } from '../support/http/transformers'
+import { iteratePages, toBuildWindow } from '../support/http/pagination'
 import camelcaseKeysDeep from 'camelcase-keys-deep'
 
 class TeamPipelineJobClient {
@@ -51,16 +55,46 @@ class TeamPipelineJobClient {
         this.jobName))
   }
 
-  async listBuilds () {
+  async listBuilds (options = {}) {
+    const validatedOptions = validateOptions(
+      schemaFor({
+        limit: integer().min(1),
+        since: integer().min(1),
+        until: integer().min(1)
+      }), options)
+
+    const params = reject(isNil, {
+      limit: validatedOptions.limit,
+      since: validatedOptions.since,
+      until: validatedOptions.until
+    })
+
     const { data: builds } = await this.httpClient
       .get(
         teamPipelineJobBuildsUrl(
           this.apiUrl, this.teamName, this.pipelineName, this.jobName),
-        { transformResponse: [parseJson, camelcaseKeysDeep] })
+        { params, transformResponse: [parseJson, camelcaseKeysDeep] })
 
     return builds
   }
 
+  iterateBuilds (options = {}) {
+    const validatedOptions = validateOptions(
+      schemaFor({
+        limit: integer().min(1),
+        from: date().timestamp('unix'),
+        to: date().timestamp('unix')
+      }), options)
+
+    return iteratePages({
+      httpClient: this.httpClient,
+      url: teamPipelineJobBuildsUrl(
+        this.apiUrl, this.teamName, this.pipelineName, this.jobName),
+      transformResponse: [parseJson, camelcaseKeysDeep],
+      ...toBuildWindow(validatedOptions)
+    })
+  }
+
   async getBuild (buildName) {
     const validatedOptions = validateOptions(
       schemaFor({
@@ -95,6 +129,26 @@ class TeamPipelineJobClient {
     return build
   }
 
+  async rerunBuild (buildName) {
+    const validatedOptions = validateOptions(
+      schemaFor({
+        buildName: string().required()
+      }), { buildName })
+
+    const { data: build } = await this.httpClient
+      .post(
+        teamPipelineJobBuildUrl(
+          this.apiUrl,
+          this.teamName,
+          this.pipelineName,
+          this.jobName,
+          validatedOptions.buildName),
+        undefined,
+        { transformResponse: [parseJson, camelcaseKeysDeep] })
+
+    return build
+  }
+
   async listInputs () {
     const { data: inputs } = await this.httpClient
       .get(
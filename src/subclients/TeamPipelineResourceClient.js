@@ -1,6 +1,7 @@
 import {
   func,
   integer,
+  object,
   schemaFor,
   string,
   uri,
@@ -8,12 +9,17 @@ import {
 } from '../support/validation'
 import { isNil, reject } from 'ramda'
 import {
+  teamPipelineResourceCheckUrl,
+  teamPipelineResourceCheckWebhookUrl,
   teamPipelineResourcePauseUrl,
+  teamPipelineResourcePinCommentUrl,
   teamPipelineResourceUnpauseUrl,
+  teamPipelineResourceUnpinUrl,
   teamPipelineResourceVersionsUrl,
   teamPipelineResourceVersionUrl
 } from '../support/urls'
 import { parseJson } from '../support/http/transformers'
+import { iteratePages, toVersionWindow } from '../support/http/pagination'
 import camelcaseKeysDeep from 'camelcase-keys-deep'
 import TeamPipelineResourceVersionClient
   from './TeamPipelineResourceVersionClient'
@@ -54,6 +60,71 @@ class TeamPipelineResourceClient {
         this.resourceName))
   }
 
+  async check (options = {}) {
+    const validatedOptions = validateOptions(
+      schemaFor({
+        fromVersion: object()
+      }), options)
+
+    const { data: check } = await this.httpClient
+      .post(
+        teamPipelineResourceCheckUrl(
+          this.apiUrl,
+          this.teamName,
+          this.pipelineName,
+          this.resourceName),
+        reject(isNil, { from: validatedOptions.fromVersion }),
+        { transformResponse: [parseJson, camelcaseKeysDeep] })
+
+    return check
+  }
+
+  async webhook (webhookToken) {
+    const validatedOptions = validateOptions(
+      schemaFor({
+        webhookToken: string().required()
+      }), { webhookToken })
+
+    const { data: check } = await this.httpClient
+      .post(
+        teamPipelineResourceCheckWebhookUrl(
+          this.apiUrl,
+          this.teamName,
+          this.pipelineName,
+          this.resourceName),
+        null,
+        {
+          params: { webhook_token: validatedOptions.webhookToken },
+          transformResponse: [parseJson, camelcaseKeysDeep]
+        })
+
+    return check
+  }
+
+  async unpin () {
+    await this.httpClient.put(
+      teamPipelineResourceUnpinUrl(
+        this.apiUrl,
+        this.teamName,
+        this.pipelineName,
+        this.resourceName))
+  }
+
+  async setPinComment (comment) {
+    const validatedOptions = validateOptions(
+      schemaFor({
+        comment: string().allow('').required()
+      }), { comment })
+
+    await this.httpClient.put(
+      teamPipelineResourcePinCommentUrl(
+        this.apiUrl,
+        this.teamName,
+        this.pipelineName,
+        this.resourceName),
+      { pin_comment: validatedOptions.comment })
+  }
+
   async listVersions (options = {}) {
     const validatedOptions = validateOptions(
       schemaFor({
@@ -76,6 +147,23 @@ class TeamPipelineResourceClient {
     return builds
   }
 
+  iterateVersions (options = {}) {
+    const validatedOptions = validateOptions(
+      schemaFor({
+        limit: integer().min(1),
+        from: integer().min(1),
+        to: integer().min(1)
+      }), options)
+
+    return iteratePages({
+      httpClient: this.httpClient,
+      url: teamPipelineResourceVersionsUrl(
+        this.apiUrl, this.teamName, this.pipelineName, this.resourceName),
+      transformResponse: [parseJson, camelcaseKeysDeep],
+      ...toVersionWindow(validatedOptions)
+    })
+  }
+
   async getVersion (versionId) {
     const validatedOptions = validateOptions(
       schemaFor({
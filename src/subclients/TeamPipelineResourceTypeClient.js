@@ -0,0 +1,53 @@
+import { isNil, reject } from 'ramda'
+import camelcaseKeysDeep from 'camelcase-keys-deep'
+
+import {
+  func,
+  object,
+  schemaFor,
+  string,
+  uri,
+  validateOptions
+} from '../support/validation'
+import { teamPipelineResourceTypeCheckUrl } from '../support/urls'
+import { parseJson } from '../support/http/transformers'
+
+class TeamPipelineResourceTypeClient {
+  constructor (options) {
+    const validatedOptions = validateOptions(
+      schemaFor({
+        apiUrl: uri().required(),
+        httpClient: func().required(),
+        teamName: string().required(),
+        pipelineName: string().required(),
+        resourceTypeName: string().required()
+      }), options)
+
+    this.apiUrl = validatedOptions.apiUrl
+    this.httpClient = validatedOptions.httpClient
+    this.teamName = validatedOptions.teamName
+    this.pipelineName = validatedOptions.pipelineName
+    this.resourceTypeName = validatedOptions.resourceTypeName
+  }
+
+  async check (options = {}) {
+    const validatedOptions = validateOptions(
+      schemaFor({
+        fromVersion: object()
+      }), options)
+
+    const { data: check } = await this.httpClient
+      .post(
+        teamPipelineResourceTypeCheckUrl(
+          this.apiUrl,
+          this.teamName,
+          this.pipelineName,
+          this.resourceTypeName),
+        reject(isNil, { from: validatedOptions.fromVersion }),
+        { transformResponse: [parseJson, camelcaseKeysDeep] })
+
+    return check
+  }
+}
+
+export default TeamPipelineResourceTypeClient
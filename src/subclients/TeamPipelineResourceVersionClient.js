@@ -8,8 +8,11 @@ import {
 } from '../support/validation'
 import {
   teamPipelineResourceVersionCausalityUrl,
+  teamPipelineResourceVersionDisableUrl,
+  teamPipelineResourceVersionEnableUrl,
   teamPipelineResourceVersionInputToUrl,
-  teamPipelineResourceVersionOutputOfUrl
+  teamPipelineResourceVersionOutputOfUrl,
+  teamPipelineResourceVersionPinUrl
 } from '../support/urls'
 import { parseJson } from '../support/http/transformers'
 import camelcaseKeysDeep from 'camelcase-keys-deep'
@@ -75,6 +78,36 @@ class TeamPipelineResourceVersionClient {
 
     return builds
   }
+
+  async pin () {
+    await this.httpClient.put(
+      teamPipelineResourceVersionPinUrl(
+        this.apiUrl,
+        this.teamName,
+        this.pipelineName,
+        this.resourceName,
+        this.versionId))
+  }
+
+  async enable () {
+    await this.httpClient.put(
+      teamPipelineResourceVersionEnableUrl(
+        this.apiUrl,
+        this.teamName,
+        this.pipelineName,
+        this.resourceName,
+        this.versionId))
+  }
+
+  async disable () {
+    await this.httpClient.put(
+      teamPipelineResourceVersionDisableUrl(
+        this.apiUrl,
+        this.teamName,
+        this.pipelineName,
+        this.resourceName,
+        this.versionId))
+  }
 }
 
 export default TeamPipelineResourceVersionClient
@@ -1,11 +1,31 @@
+import camelcaseKeysDeep from 'camelcase-keys-deep'
+import { find, isNil, propEq, reject } from 'ramda'
+
 import {
   func,
+  integer,
   string,
   schemaFor,
   uri,
   validateOptions
 } from '../support/validation'
-import { workerPruneUrl } from '../support/urls'
+import {
+  allWorkersUrl,
+  workerHeartbeatUrl,
+  workerLandUrl,
+  workerPruneUrl,
+  workerRetireUrl,
+  workerUrl
+} from '../support/urls'
+import { parseJson } from '../support/http/transformers'
+import { pollUntil } from '../support/timing'
+import { toDuration } from '../support/date'
+
+const stateReached = {
+  landed: worker => !isNil(worker) && worker.state === 'landed',
+  retired: worker => isNil(worker),
+  gone: worker => isNil(worker)
+}
 
 export default class WorkerClient {
   constructor (options) {
@@ -13,12 +33,37 @@ export default class WorkerClient {
       schemaFor({
         apiUrl: uri().required(),
         httpClient: func().required(),
-        workerName: string().required()
+        workerName: string().required(),
+        ttl: integer().min(1)
       }), options)
 
     this.apiUrl = validatedOptions.apiUrl
     this.httpClient = validatedOptions.httpClient
     this.workerName = validatedOptions.workerName
+    this.ttl = validatedOptions.ttl
+  }
+
+  async get () {
+    const { data: workers } = await this.httpClient
+      .get(allWorkersUrl(this.apiUrl), {
+        transformResponse: [parseJson, camelcaseKeysDeep]
+      })
+
+    return find(propEq('name', this.workerName), workers) || null
+  }
+
+  async land () {
+    await this.httpClient.put(
+      workerLandUrl(
+        this.apiUrl,
+        this.workerName))
+  }
+
+  async retire () {
+    await this.httpClient.put(
+      workerRetireUrl(
+        this.apiUrl,
+        this.workerName))
   }
 
   async prune () {
@@ -27,4 +72,91 @@ export default class WorkerClient {
         this.apiUrl,
         this.workerName))
   }
+
+  async delete () {
+    await this.httpClient.delete(
+      workerUrl(
+        this.apiUrl,
+        this.workerName))
+  }
+
+  async heartbeat (options = {}) {
+    const validatedOptions = validateOptions(
+      schemaFor({
+        activeContainers: integer().min(0).default(0),
+        activeVolumes: integer().min(0).default(0)
+      }), options)
+
+    const { data: worker } = await this.httpClient
+      .put(
+        workerHeartbeatUrl(this.apiUrl, this.workerName),
+        {
+          name: this.workerName,
+          active_containers: validatedOptions.activeContainers,
+          active_volumes: validatedOptions.activeVolumes
+        },
+        {
+          params: reject(isNil, { ttl: this.ttl && toDuration(this.ttl) }),
+          transformResponse: [parseJson, camelcaseKeysDeep]
+        })
+
+    return worker
+  }
+
+  startHeartbeating (interval, options = {}) {
+    const validatedOptions = validateOptions(
+      schemaFor({
+        interval: integer().min(1).required(),
+        getStats: func().default(() => () => ({})),
+        onError: func().default(() => () => {})
+      }), { interval, ...options })
+
+    let stopped = false
+    let timer
+
+    const beat = async () => {
+      try {
+        await this.heartbeat(await validatedOptions.getStats())
+      } catch (error) {
+        // A failing error handler must not end the heartbeat loop.
+        try {
+          await validatedOptions.onError(error)
+        } catch (handlerError) {}
+      }
+
+      if (!stopped) {
+        timer = setTimeout(beat, validatedOptions.interval)
+      }
+    }
+
+    beat()
+
+    return {
+      stop: () => {
+        stopped = true
+        clearTimeout(timer)
+      }
+    }
+  }
+
+  async waitForState (state, options = {}) {
+    const validatedOptions = validateOptions(
+      schemaFor({
+        state: string().valid('landed', 'retired', 'gone').required(),
+        timeout: integer().min(0).default(10 * 60 * 1000),
+        interval: integer().min(0).default(5000)
+      }), { state, ...options })
+    const { timeout, interval } = validatedOptions
+
+    return pollUntil(
+      () => this.get(),
+      stateReached[validatedOptions.state],
+      {
+        timeout,
+        interval,
+        timeoutMessage:
+          `Worker ${this.workerName} did not reach state ` +
+          `${validatedOptions.state} within ${timeout}ms.`
+      })
+  }
 }
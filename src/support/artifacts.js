@@ -0,0 +1,17 @@
+import { promises as fs } from 'fs'
+import tar from 'tar'
+
+export const packDirectory = directory =>
+  tar.c({ gzip: true, cwd: directory, portable: true }, ['.'])
+
+export const unpackInto = async (stream, directory) => {
+  await fs.mkdir(directory, { recursive: true })
+
+  await new Promise((resolve, reject) => {
+    const extract = tar.x({ cwd: directory })
+    stream.on('error', reject)
+    extract.on('error', reject)
+    extract.on('finish', resolve)
+    stream.pipe(extract)
+  })
+}
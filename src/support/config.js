@@ -0,0 +1,66 @@
+import YAML from 'yaml'
+import {
+  difference,
+  equals,
+  filter,
+  includes,
+  indexBy,
+  isEmpty,
+  keys,
+  map,
+  pathOr,
+  prop
+} from 'ramda'
+
+const sectionKeys = {
+  jobs: 'jobs',
+  resources: 'resources',
+  resourceTypes: 'resource_types',
+  groups: 'groups'
+}
+
+export const parsePipelineConfig = (pipelineConfig) =>
+  YAML.parse(pipelineConfig) || {}
+
+const diffSection = (current, proposed) => {
+  const currentByName = indexBy(prop('name'), current)
+  const proposedByName = indexBy(prop('name'), proposed)
+
+  const currentNames = map(prop('name'), current)
+  const proposedNames = map(prop('name'), proposed)
+
+  const added = difference(proposedNames, currentNames)
+  const removed = difference(currentNames, proposedNames)
+  const changed = map(
+    name => ({
+      name,
+      before: currentByName[name],
+      after: proposedByName[name]
+    }),
+    filter(
+      name => includes(name, proposedNames) &&
+        !equals(currentByName[name], proposedByName[name]),
+      currentNames))
+
+  return { added, removed, changed }
+}
+
+const sectionHasChanges = ({ added, removed, changed }) =>
+  !isEmpty(added) || !isEmpty(removed) || !isEmpty(changed)
+
+export const diffPipelineConfigs = (current, proposed) => {
+  const diff = {}
+
+  keys(sectionKeys).forEach(section => {
+    const key = sectionKeys[section]
+    diff[section] = diffSection(
+      pathOr([], [key], current),
+      pathOr([], [key], proposed))
+  })
+
+  return {
+    ...diff,
+    hasChanges: keys(sectionKeys)
+      .some(section => sectionHasChanges(diff[section]))
+  }
+}
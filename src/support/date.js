@@ -1,2 +1,4 @@
 export const toUnixTime = date => Math.floor(date / 1000)
 export const currentUnixTime = () => toUnixTime(Date.now())
+export const toDuration = milliseconds => `${milliseconds}ms`
+export const toISODateString = date => date.toISOString().slice(0, 10)
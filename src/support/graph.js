@@ -0,0 +1,208 @@
+import {
+  chain,
+  filter,
+  groupBy,
+  head,
+  isNil,
+  map,
+  range,
+  toPairs,
+  uniq,
+  values,
+  zip
+} from 'ramda'
+
+// Colours as used for build statuses in the Concourse web UI.
+const statusColours = {
+  succeeded: '#11c560',
+  failed: '#ed4b35',
+  errored: '#f5a623',
+  aborted: '#8b572a',
+  started: '#fad43b',
+  pending: '#9b9b9b',
+  unbuilt: '#3d3c3c'
+}
+const resourceColour = '#2a2929'
+const coloursByClass = { ...statusColours, resource: resourceColour }
+
+const statusOf = node => node.status || 'unbuilt'
+
+const jobNodeId = jobName => `job:${jobName}`
+const resourceNodeId = resourceName => `resource:${resourceName}`
+
+const toJobEdges = graph =>
+  map(
+    edges => ({
+      from: jobNodeId(head(edges).upstreamJobName),
+      to: jobNodeId(head(edges).downstreamJobName),
+      label: uniq(map(edge => edge.resourceName, edges)).join(', ')
+    }),
+    values(groupBy(
+      edge => `${edge.upstreamJobName}\n${edge.downstreamJobName}`,
+      graph.getEdges())))
+
+const toResourceEdges = jobs => [
+  ...map(
+    ({ job, input }) => ({
+      from: resourceNodeId(input.getResourceName()),
+      to: jobNodeId(job.getName()),
+      label: null
+    }),
+    chain(job => map(input => ({ job, input }), job.getInputs()), jobs)),
+  ...map(
+    ({ job, output }) => ({
+      from: jobNodeId(job.getName()),
+      to: resourceNodeId(output.getResourceName()),
+      label: null
+    }),
+    chain(job => map(output => ({ job, output }), job.getOutputs()), jobs))
+]
+
+const toResourceNames = jobs => uniq([
+  ...chain(
+    job => map(input => input.getResourceName(), job.getInputs()), jobs),
+  ...chain(
+    job => map(output => output.getResourceName(), job.getOutputs()), jobs)
+])
+
+const toResourceNode = resourceName => ({
+  id: resourceNodeId(resourceName),
+  type: 'resource',
+  name: resourceName
+})
+
+const toGroups = jobs => {
+  const groupedJobs = filter(job => head(job.getGroups() || []), jobs)
+  const byGroup = groupBy(job => head(job.getGroups()), groupedJobs)
+
+  return map(
+    groupName => ({
+      name: groupName,
+      nodeIds: map(job => jobNodeId(job.getName()), byGroup[groupName])
+    }),
+    uniq(map(job => head(job.getGroups()), groupedJobs)))
+}
+
+// A format-independent description of a pipeline graph: job and, optionally,
+// resource nodes, the edges between them and, optionally, the groups of nodes
+// to draw together.
+export const describeGraph = ({
+  name, graph, includeResources = false, groupBy: grouping = null
+}) => {
+  const jobs = graph.getJobs()
+
+  const jobNodes = map(
+    job => ({
+      id: jobNodeId(job.getName()),
+      type: 'job',
+      name: job.getName(),
+      status: job.getCurrentStatus()
+    }),
+    jobs)
+  const resourceNodes = includeResources
+    ? map(toResourceNode, toResourceNames(jobs))
+    : []
+
+  return {
+    name,
+    nodes: [...jobNodes, ...resourceNodes],
+    edges: [
+      ...toJobEdges(graph),
+      ...(includeResources ? toResourceEdges(jobs) : [])
+    ],
+    groups: grouping === 'group' ? toGroups(jobs) : []
+  }
+}
+
+const groupedNodeIdsOf = description =>
+  new Set(chain(group => group.nodeIds, description.groups))
+
+const nodesById = description =>
+  new Map(map(node => [node.id, node], description.nodes))
+
+const quoteDot = value =>
+  `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`
+
+const toDotNode = node => node.type === 'resource'
+  ? `${quoteDot(node.id)} [label=${quoteDot(node.name)}, ` +
+    `shape=ellipse, fillcolor=${quoteDot(resourceColour)}]`
+  : `${quoteDot(node.id)} [label=${quoteDot(node.name)}, ` +
+    `fillcolor=${quoteDot(statusColours[statusOf(node)])}]`
+
+const toDotEdge = edge => isNil(edge.label)
+  ? `${quoteDot(edge.from)} -> ${quoteDot(edge.to)}`
+  : `${quoteDot(edge.from)} -> ${quoteDot(edge.to)} ` +
+    `[label=${quoteDot(edge.label)}]`
+
+export const toDot = description => {
+  const nodes = nodesById(description)
+  const groupedNodeIds = groupedNodeIdsOf(description)
+
+  return [
+    `digraph ${quoteDot(description.name)} {`,
+    '  rankdir=LR',
+    '  node [shape=box, style=filled, fontcolor=white]',
+    ...chain(group => [
+      `  subgraph ${quoteDot(`cluster_${group.name}`)} {`,
+      `    label=${quoteDot(group.name)}`,
+      ...map(nodeId => `    ${toDotNode(nodes.get(nodeId))}`, group.nodeIds),
+      '  }'
+    ], description.groups),
+    ...map(
+      node => `  ${toDotNode(node)}`,
+      filter(node => !groupedNodeIds.has(node.id), description.nodes)),
+    ...map(edge => `  ${toDotEdge(edge)}`, description.edges),
+    '}'
+  ].join('\n') + '\n'
+}
+
+const quoteMermaid = value =>
+  `"${String(value).replace(/"/g, '#quot;')}"`
+
+export const toMermaid = description => {
+  const nodes = nodesById(description)
+  const groupedNodeIds = groupedNodeIdsOf(description)
+  const mermaidIds = new Map(zip(
+    map(node => node.id, description.nodes),
+    map(index => `n${index}`, range(0, description.nodes.length))))
+
+  const toMermaidNode = node => node.type === 'resource'
+    ? `${mermaidIds.get(node.id)}([${quoteMermaid(node.name)}])`
+    : `${mermaidIds.get(node.id)}[${quoteMermaid(node.name)}]`
+  const toMermaidEdge = edge => isNil(edge.label)
+    ? `${mermaidIds.get(edge.from)} --> ${mermaidIds.get(edge.to)}`
+    : `${mermaidIds.get(edge.from)} -->|${quoteMermaid(edge.label)}| ` +
+      `${mermaidIds.get(edge.to)}`
+  const classOf = node =>
+    node.type === 'resource' ? 'resource' : statusOf(node)
+
+  const nodesByClass = groupBy(classOf, description.nodes)
+
+  return [
+    'flowchart LR',
+    ...chain(([group, index]) => [
+      `  subgraph g${index} [${quoteMermaid(group.name)}]`,
+      ...map(
+        nodeId => `    ${toMermaidNode(nodes.get(nodeId))}`,
+        group.nodeIds),
+      '  end'
+    ], zip(description.groups, range(0, description.groups.length))),
+    ...map(
+      node => `  ${toMermaidNode(node)}`,
+      filter(node => !groupedNodeIds.has(node.id), description.nodes)),
+    ...map(edge => `  ${toMermaidEdge(edge)}`, description.edges),
+    ...chain(([className, classNodes]) => [
+      `  classDef ${className} fill:${coloursByClass[className]},color:#fff`,
+      `  class ${map(node => mermaidIds.get(node.id), classNodes).join(',')} ` +
+        className
+    ], toPairs(nodesByClass))
+  ].join('\n') + '\n'
+}
+
+export const toJson = description =>
+  JSON.stringify(description, null, 2)
+
+const renderers = { dot: toDot, mermaid: toMermaid, json: toJson }
+
+export const renderGraph = (format, description) =>
+  renderers[format](description)
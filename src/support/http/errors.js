@@ -0,0 +1,74 @@
+import { is, isNil } from 'ramda'
+
+import {
+  AuthenticationError,
+  ConflictError,
+  ForbiddenError,
+  HttpError,
+  NotFoundError,
+  ServerError,
+  TimeoutError
+} from '../../errors'
+import { parseJson } from './transformers'
+
+const errorTypeForStatus = status => {
+  if (status === 401) return AuthenticationError
+  if (status === 403) return ForbiddenError
+  if (status === 404) return NotFoundError
+  if (status === 409) return ConflictError
+  if (status >= 500) return ServerError
+  return HttpError
+}
+
+const serverMessageFrom = data => {
+  const parsed = parseJson(data)
+
+  if (is(String, parsed)) {
+    return parsed.trim() || undefined
+  }
+  if (parsed && is(Array, parsed.errors)) {
+    return parsed.errors.join(', ')
+  }
+  if (parsed && is(String, parsed.message)) {
+    return parsed.message
+  }
+  return undefined
+}
+
+const requestDetailsFrom = config => ({
+  url: config.url,
+  method: config.method && config.method.toUpperCase()
+})
+
+export const toConcourseError = error => {
+  if (!error || !error.config || !error.isAxiosError) {
+    return error
+  }
+
+  const { url, method } = requestDetailsFrom(error.config)
+
+  if (error.code === 'ECONNABORTED') {
+    const timeout = error.config.timeout
+    return new TimeoutError(
+      `${method} ${url} timed out after ${timeout}ms.`,
+      { timeout, url, method, cause: error })
+  }
+
+  if (isNil(error.response)) {
+    return error
+  }
+
+  const status = error.response.status
+  const serverMessage = serverMessageFrom(error.response.data)
+  const ErrorType = errorTypeForStatus(status)
+  const message =
+    `${method} ${url} failed with status ${status}` +
+    (serverMessage ? `: ${serverMessage}` : '.')
+
+  return new ErrorType(message, {
+    url, method, status, serverMessage, cause: error
+  })
+}
+
+export const createErrorInterceptor = () =>
+  (error) => Promise.reject(toConcourseError(error))
@@ -0,0 +1,238 @@
+import { EventEmitter } from 'events'
+import camelcaseKeysDeep from 'camelcase-keys-deep'
+import axios from 'axios'
+
+import { parseJson } from './transformers'
+import { HttpError } from '../../errors'
+
+const endEventName = 'end'
+
+const isResponseError = error =>
+  error instanceof HttpError || !!error.response
+
+const parseField = line => {
+  const separatorIndex = line.indexOf(':')
+  if (separatorIndex === -1) {
+    return { field: line, value: '' }
+  }
+
+  const field = line.slice(0, separatorIndex)
+  const value = line.slice(separatorIndex + 1)
+
+  return {
+    field,
+    value: value.startsWith(' ') ? value.slice(1) : value
+  }
+}
+
+const toEvent = ({ id, name, dataLines }) => {
+  if (name === endEventName) {
+    return { id, type: endEventName }
+  }
+
+  const { event: type, version, data } =
+    camelcaseKeysDeep(parseJson(dataLines.join('\n')) || {})
+
+  return { id, type, version, data }
+}
+
+export const createEventParser = () => {
+  let buffer = ''
+  let current = { dataLines: [] }
+
+  return chunk => {
+    const events = []
+
+    buffer += chunk.toString()
+    const lines = buffer.split(/\r\n|\r|\n/)
+    buffer = lines.pop()
+
+    lines.forEach(line => {
+      if (line === '') {
+        if (current.name || current.dataLines.length > 0) {
+          events.push(toEvent(current))
+        }
+        current = { dataLines: [] }
+        return
+      }
+
+      if (line.startsWith(':')) {
+        return
+      }
+
+      const { field, value } = parseField(line)
+      if (field === 'id') {
+        current.id = value
+      } else if (field === 'event') {
+        current.name = value
+      } else if (field === 'data') {
+        current.dataLines.push(value)
+      }
+    })
+
+    return events
+  }
+}
+
+export const createEventStream = ({ open, maxReconnects = 5 }) => {
+  const emitter = new EventEmitter()
+  const queue = []
+  const waiting = []
+
+  let cancelSource
+  let currentStream
+  let lastEventId
+  let reconnects = 0
+  let started = false
+  let finished = false
+  let iterating = false
+  let failure
+
+  const settle = () => {
+    while (waiting.length > 0 && queue.length > 0) {
+      waiting.shift().resolve({ value: queue.shift(), done: false })
+    }
+
+    if (!finished) {
+      return
+    }
+
+    while (waiting.length > 0) {
+      const { resolve, reject } = waiting.shift()
+      if (failure) {
+        reject(failure)
+      } else {
+        resolve({ value: undefined, done: true })
+      }
+    }
+  }
+
+  const finish = (error) => {
+    if (finished) {
+      return
+    }
+    finished = true
+    failure = error
+
+    if (cancelSource) {
+      cancelSource.cancel()
+    }
+    if (currentStream) {
+      currentStream.destroy()
+    }
+
+    if (error) {
+      if (emitter.listenerCount('error') > 0) {
+        emitter.emit('error', error)
+      }
+    } else {
+      emitter.emit('end')
+    }
+    settle()
+  }
+
+  const dispatch = event => {
+    if (event.id !== undefined) {
+      lastEventId = event.id
+    }
+    reconnects = 0
+
+    if (event.type === endEventName) {
+      finish()
+      return
+    }
+
+    // Events are only buffered for iteration once it has begun, so that
+    // listeners alone do not hold every event in memory.
+    if (iterating) {
+      queue.push(event)
+    }
+    emitter.emit('event', event)
+    settle()
+  }
+
+  const connect = async () => {
+    cancelSource = axios.CancelToken.source()
+
+    let response
+    try {
+      response = await open({
+        lastEventId,
+        cancelToken: cancelSource.token
+      })
+    } catch (error) {
+      return isResponseError(error) ? finish(error) : disconnected(error)
+    }
+
+    const parse = createEventParser()
+    const stream = response.data
+    let dropped = false
+
+    const drop = error => {
+      if (!dropped) {
+        dropped = true
+        disconnected(error)
+      }
+    }
+
+    currentStream = stream
+    stream.on('data', chunk => {
+      if (!finished) {
+        parse(chunk).forEach(dispatch)
+      }
+    })
+    stream.on('end', () => drop())
+    stream.on('error', error => drop(error))
+    stream.on('close', () => drop())
+  }
+
+  const disconnected = (error) => {
+    if (finished || axios.isCancel(error)) {
+      return
+    }
+
+    if (reconnects >= maxReconnects) {
+      finish(error || new Error(
+        'Event stream disconnected before the end event was received.'))
+      return
+    }
+
+    reconnects += 1
+    connect()
+  }
+
+  // The stream only connects once it has a consumer, so that no events are
+  // received before there is anything to deliver them to.
+  const start = () => {
+    if (!started && !finished) {
+      started = true
+      connect()
+    }
+  }
+
+  emitter.on('newListener', eventName => {
+    if (eventName === 'event') {
+      start()
+    }
+  })
+
+  emitter.close = () => finish()
+
+  emitter[Symbol.asyncIterator] = () => {
+    iterating = true
+    start()
+
+    return {
+      next: () => new Promise((resolve, reject) => {
+        waiting.push({ resolve, reject })
+        settle()
+      }),
+      return: async () => {
+        finish()
+        return { value: undefined, done: true }
+      }
+    }
+  }
+
+  return emitter
+}
@@ -1,13 +1,43 @@
 import axios from 'axios'
 import { createSessionInterceptor } from './session'
+import { createErrorInterceptor } from './errors'
+import { createRetryInterceptor } from './retry'
 
-export const createHttpClient = ({ credentials, timeout = 5000 }) => {
-  const sessionInterceptor = createSessionInterceptor({ credentials })
-  const instance = axios.create({ timeout })
+const withRetries = (instance, retry) => {
+  const retryInterceptor = createRetryInterceptor({
+    httpClient: instance,
+    retry
+  })
+
+  instance.interceptors.request.use(
+    retryInterceptor.request,
+    (error) => Promise.reject(error))
+  instance.interceptors.response.use(
+    (response) => response,
+    retryInterceptor.response)
+
+  return instance
+}
+
+export const createHttpClient = ({
+  credentials, timeout = 5000, retry = {}, tokenStore
+}) => {
+  const sessionInterceptor = createSessionInterceptor({
+    credentials,
+    httpClient: withRetries(axios.create(), retry),
+    tokenStore
+  })
+
+  // Request interceptors run in reverse order of registration, so the retry
+  // interceptor sees each request as sent, after the session interceptor.
+  const instance = withRetries(axios.create({ timeout }), retry)
 
   instance.interceptors.request.use(
     sessionInterceptor,
     (error) => Promise.reject(error))
+  instance.interceptors.response.use(
+    (response) => response,
+    createErrorInterceptor())
 
   return instance
 }
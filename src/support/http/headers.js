@@ -3,10 +3,15 @@ import { Base64 } from 'js-base64'
 const authorizationHeaderName = 'Authorization'
 const csrfTokenHeaderName = 'X-Csrf-Token'
 const contentTypeHeaderName = 'Content-Type'
+const acceptHeaderName = 'Accept'
+const lastEventIdHeaderName = 'Last-Event-ID'
+const configVersionHeaderName = 'X-Concourse-Config-Version'
 
 export const contentTypes = {
   formUrlEncoded: 'application/x-www-form-urlencoded',
-  yaml: 'application/x-yaml'
+  yaml: 'application/x-yaml',
+  eventStream: 'text/event-stream',
+  octetStream: 'application/octet-stream'
 }
 
 const basicAuthToken = (username, password) =>
@@ -29,3 +34,14 @@ export const csrfTokenHeader = (token) => ({
 export const contentTypeHeader = (contentType) => ({
   [contentTypeHeaderName]: contentType
 })
+export const acceptHeader = (contentType) => ({
+  [acceptHeaderName]: contentType
+})
+export const lastEventIdHeader = (eventId) => ({
+  [lastEventIdHeaderName]: eventId
+})
+export const configVersionHeader = (version) => ({
+  [configVersionHeaderName]: version
+})
+export const configVersionFrom = (response) =>
+  response.headers[configVersionHeaderName.toLowerCase()]
@@ -0,0 +1,121 @@
+import { Duplex, PassThrough } from 'stream'
+import WebSocket from 'ws'
+import { isNil, reject } from 'ramda'
+
+import { ConcourseError } from '../../errors'
+
+const toWebSocketUrl = url => url.replace(/^http/, 'ws')
+
+const toWindowSize = ({ columns, rows }) => ({
+  window_size: { columns, rows }
+})
+
+const toProcessSpec = ({ path, args, env, dir, user, privileged, tty }) =>
+  reject(isNil, {
+    path,
+    args,
+    env,
+    dir,
+    user,
+    privileged,
+    tty: tty && toWindowSize(tty)
+  })
+
+// Runs the request through the client's interceptors, without sending it,
+// so that the WebSocket is opened with the same session headers.
+export const resolveRequestHeaders = async (httpClient, url) => {
+  const { data: headers } = await httpClient.get(url, {
+    adapter: async config => ({
+      data: config.headers,
+      status: 200,
+      statusText: 'OK',
+      headers: {},
+      config
+    })
+  })
+
+  return headers
+}
+
+export const createHijackStream = ({ url, headers, processSpec }) => {
+  const socket = new WebSocket(toWebSocketUrl(url), { headers })
+  const stderr = new PassThrough()
+  const opened = new Promise((resolve, reject) => {
+    socket.once('open', () => {
+      socket.send(JSON.stringify(toProcessSpec(processSpec)))
+      resolve()
+    })
+    socket.once('error', reject)
+  })
+  opened.catch(() => {})
+
+  let exited = false
+
+  const send = async message => {
+    await opened
+    socket.send(JSON.stringify(message))
+  }
+
+  const stream = new Duplex({
+    read () {},
+    write (chunk, encoding, callback) {
+      send({ stdin: Buffer.from(chunk, encoding).toString('base64') })
+        .then(() => callback(), callback)
+    },
+    final (callback) {
+      send({ closed: true }).then(() => callback(), callback)
+    },
+    destroy (error, callback) {
+      socket.terminate()
+      stderr.end()
+      callback(error)
+    }
+  })
+
+  const finish = () => {
+    stream.push(null)
+    stderr.end()
+  }
+
+  socket.on('message', message => {
+    let output
+    try {
+      output = JSON.parse(message)
+    } catch (error) {
+      stream.destroy(new ConcourseError(
+        `Received malformed output from the container: ${error.message}`))
+      return
+    }
+
+    if (output.stdout) {
+      stream.push(Buffer.from(output.stdout, 'base64'))
+    }
+    if (output.stderr) {
+      stderr.write(Buffer.from(output.stderr, 'base64'))
+    }
+    if (output.error) {
+      stream.destroy(new ConcourseError(output.error))
+      return
+    }
+    if (!isNil(output.exit_status)) {
+      exited = true
+      stream.emit('exit', output.exit_status)
+      finish()
+      socket.close()
+    }
+  })
+  socket.on('close', () => {
+    if (!exited) {
+      finish()
+    }
+  })
+  socket.on('error', error => stream.destroy(error))
+
+  stream.stderr = stderr
+  stream.resize = async windowSize => {
+    await send({ tty: toWindowSize(windowSize) })
+    stream.emit('resize', windowSize)
+  }
+
+  return stream
+}
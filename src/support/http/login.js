@@ -0,0 +1,116 @@
+import crypto from 'crypto'
+import http from 'http'
+
+import { AuthenticationError, TimeoutError } from '../../errors'
+
+const callbackPath = '/auth/callback'
+
+const successPage =
+  '<html><body>Login successful. You may now close this window.</body></html>'
+const failurePage =
+  '<html><body>Login failed. You may now close this window.</body></html>'
+
+const toBase64Url = buffer => buffer.toString('base64')
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=+$/, '')
+
+const randomString = () => toBase64Url(crypto.randomBytes(32))
+
+const codeChallengeFor = codeVerifier =>
+  toBase64Url(crypto.createHash('sha256').update(codeVerifier).digest())
+
+const listen = (server, port) => new Promise((resolve, reject) => {
+  server.once('error', reject)
+  server.listen(port, '127.0.0.1', () => {
+    server.removeListener('error', reject)
+    resolve()
+  })
+})
+
+const waitForCallback = (server, { state, timeout }) => {
+  let timer
+  const callback = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new TimeoutError(
+      `Login was not completed within ${timeout}ms.`, { timeout })), timeout)
+
+    server.on('request', (request, response) => {
+      const { pathname, searchParams } =
+        new URL(request.url, 'http://127.0.0.1')
+
+      if (pathname !== callbackPath) {
+        response.writeHead(404, { Connection: 'close' })
+        response.end()
+        return
+      }
+
+      const error = searchParams.get('error')
+      const code = searchParams.get('code')
+      const returnedState = searchParams.get('state')
+
+      response.writeHead(error || !code ? 400 : 200, {
+        'Content-Type': 'text/html',
+        Connection: 'close'
+      })
+      response.end(error || !code ? failurePage : successPage)
+
+      if (error) {
+        const description = searchParams.get('error_description')
+        reject(new AuthenticationError(
+          `Login failed: ${description || error}.`))
+      } else if (returnedState !== state) {
+        reject(new AuthenticationError(
+          'Login failed: state mismatch in authorization callback.'))
+      } else if (code) {
+        resolve(code)
+      }
+    })
+  })
+
+  return callback.finally(() => clearTimeout(timer))
+}
+
+// Follows the OAuth 2.0 authorization code flow with PKCE for a native
+// application: a loopback listener receives the authorization code once the
+// user has logged in through the browser.
+export const obtainAuthorizationCode = async ({
+  authorizationUrl,
+  scope,
+  clientId,
+  open,
+  port = 0,
+  timeout = 300000
+}) => {
+  const state = randomString()
+  const codeVerifier = randomString()
+  const server = http.createServer()
+
+  await listen(server, port)
+
+  try {
+    const redirectUri =
+      `http://127.0.0.1:${server.address().port}${callbackPath}`
+    const callback = waitForCallback(server, { state, timeout })
+    callback.catch(() => {})
+
+    const query = new URLSearchParams({
+      client_id: clientId,
+      response_type: 'code',
+      scope,
+      redirect_uri: redirectUri,
+      state,
+      code_challenge: codeChallengeFor(codeVerifier),
+      code_challenge_method: 'S256'
+    })
+
+    await open(`${authorizationUrl}?${query.toString()}`)
+
+    return {
+      code: await callback,
+      codeVerifier,
+      redirectUri
+    }
+  } finally {
+    server.close()
+  }
+}
@@ -0,0 +1,76 @@
+import { isNil, reject } from 'ramda'
+
+import { toUnixTime } from '../date'
+
+const linkPattern = /<([^>]*)>\s*;\s*rel="?([^";]+)"?/g
+
+export const parseLinkHeader = header => {
+  const links = {}
+  if (!header) {
+    return links
+  }
+
+  for (const [, url, rel] of header.matchAll(linkPattern)) {
+    links[rel] = url
+  }
+
+  return links
+}
+
+// Builds and versions are listed newest first, paging from the upper bound of
+// the window. Concourse reads a page oldest first from any lower bound, so it
+// is never sent and is instead applied here as the items are iterated.
+export const toBuildWindow = ({ limit, from, to }) => ({
+  params: reject(isNil, {
+    limit,
+    to: to && toUnixTime(to),
+    timestamps: to ? true : undefined
+  }),
+  isBeyondWindow: build =>
+    !!from && !isNil(build.startTime) && build.startTime < toUnixTime(from)
+})
+
+export const toVersionWindow = ({ limit, from, to }) => ({
+  params: reject(isNil, { limit, to }),
+  isBeyondWindow: version => !isNil(from) && version.id < from
+})
+
+async function * pagesFrom ({ httpClient, url, params, transformResponse }) {
+  let nextUrl = url
+  let nextParams = params
+
+  while (nextUrl) {
+    const response =
+      await httpClient.get(nextUrl, { params: nextParams, transformResponse })
+    const items = response.data || []
+
+    yield items
+
+    const { next } = parseLinkHeader((response.headers || {}).link)
+    const followingUrl = next && new URL(next, nextUrl).toString()
+
+    nextUrl = items.length > 0 && followingUrl !== nextUrl
+      ? followingUrl
+      : undefined
+    nextParams = undefined
+  }
+}
+
+export async function * iteratePages ({
+  httpClient,
+  url,
+  params,
+  transformResponse,
+  isBeyondWindow = () => false
+}) {
+  const pages = pagesFrom({ httpClient, url, params, transformResponse })
+
+  for await (const items of pages) {
+    for (const item of items) {
+      if (isBeyondWindow(item)) {
+        return
+      }
+      yield item
+    }
+  }
+}
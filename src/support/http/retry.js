@@ -0,0 +1,111 @@
+import axios from 'axios'
+import { includes, isNil } from 'ramda'
+
+import {
+  array,
+  boolean,
+  integer,
+  schemaFor,
+  string,
+  validateOptions
+} from '../validation'
+import { sleep } from '../timing'
+
+const isStream = data =>
+  !isNil(data) && typeof data.pipe === 'function'
+
+const retryAfterDelayFrom = response => {
+  const retryAfter = response && response.headers &&
+    response.headers['retry-after']
+
+  if (isNil(retryAfter)) {
+    return undefined
+  }
+
+  const seconds = Number(retryAfter)
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000)
+  }
+
+  const date = Date.parse(retryAfter)
+  if (!Number.isNaN(date)) {
+    return Math.max(0, date - Date.now())
+  }
+
+  return undefined
+}
+
+const backoffDelayFor = (attempt, policy) => {
+  const exponentialDelay = Math.min(
+    policy.maxDelay,
+    policy.baseDelay * Math.pow(2, attempt - 1))
+
+  return policy.jitter
+    ? Math.floor(Math.random() * exponentialDelay)
+    : exponentialDelay
+}
+
+const isRetryable = (error, attempt, policy) => {
+  const config = error.config
+
+  if (!config || attempt >= policy.maxAttempts) {
+    return false
+  }
+  if (!includes((config.method || 'get').toLowerCase(), policy.methods)) {
+    return false
+  }
+  if (isStream(config.data)) {
+    return false
+  }
+  if (isNil(error.response)) {
+    return !axios.isCancel(error)
+  }
+
+  return includes(error.response.status, policy.retryableStatuses)
+}
+
+export const retryPolicyFor = (options = {}) =>
+  validateOptions(
+    schemaFor({
+      maxAttempts: integer().min(1).default(3),
+      baseDelay: integer().min(0).default(200),
+      maxDelay: integer().min(0).default(10000),
+      jitter: boolean().default(true),
+      retryableStatuses: array().items(integer())
+        .default([408, 429, 500, 502, 503, 504]),
+      methods: array().items(string().lowercase())
+        .default(['get', 'head', 'options', 'put'])
+    }), options)
+
+// Only requests sent by the client itself are retried, not, for example, those
+// made by its other interceptors, which fail through the same response chain.
+export const createRetryInterceptor = ({ httpClient, retry = {} }) => {
+  const policy = retryPolicyFor(retry)
+  const sentConfigs = new WeakSet()
+
+  const request = (config) => {
+    sentConfigs.add(config)
+    return config
+  }
+
+  const response = async (error) => {
+    const attempt = (error.config && error.config.retryAttempt) || 1
+
+    if (!sentConfigs.has(error.config) ||
+      !isRetryable(error, attempt, policy)) {
+      throw error
+    }
+
+    const retryAfterDelay = retryAfterDelayFrom(error.response)
+    await sleep(isNil(retryAfterDelay)
+      ? backoffDelayFor(attempt, policy)
+      : Math.min(policy.maxDelay, retryAfterDelay))
+
+    return httpClient.request({
+      ...error.config,
+      retryAttempt: attempt + 1
+    })
+  }
+
+  return { request, response }
+}
@@ -11,10 +11,13 @@ import {
   csrfTokenHeader
 } from './headers'
 
+import { AuthenticationError } from '../../errors'
 import { currentUnixTime, toUnixTime } from '../date'
 import { parseJson } from './transformers'
 import camelcaseKeysDeep from 'camelcase-keys-deep'
 import * as semver from 'semver'
+import { isNil, reject } from 'ramda'
+import { obtainAuthorizationCode } from './login'
 
 const flyClientId = 'fly'
 const flyClientSecret = 'Zmx5'
@@ -37,21 +40,46 @@ const csrfTokenHeaderFrom =
       ? csrfTokenHeader(jwt.decode(authenticationState.idToken).csrf)
       : {}
 
+const tenMinutesInSeconds = 10 * 60 // allow for 10 minutes clock drift
+
+const expiresWithin = (authenticationState, seconds) =>
+  currentUnixTime() > (authenticationState.expiresAt - seconds)
+
 const isExpiredOrIncomplete = authenticationState => {
   if (!authenticationState ||
     !authenticationState.accessToken ||
     !authenticationState.tokenType ||
     !authenticationState.expiresAt ||
-    !authenticationState.idToken ||
-    !authenticationState.serverVersion) {
+    !authenticationState.idToken) {
     return true
   }
 
-  const expiresAtSeconds = authenticationState.expiresAt
-  const nowInSeconds = currentUnixTime()
-  const tenMinutesInSeconds = 10 * 60 // allow for 10 minutes clock drift
+  return expiresWithin(authenticationState, tenMinutesInSeconds)
+}
+
+// Externally supplied tokens may be opaque, in which case their expiry is
+// unknown and only the server can reject them.
+const isExternalTokenExpiring = (authenticationState, seconds) =>
+  !authenticationState ||
+  !authenticationState.accessToken ||
+  (!!authenticationState.expiresAt &&
+    expiresWithin(authenticationState, seconds))
 
-  return nowInSeconds > (expiresAtSeconds - tenMinutesInSeconds)
+const canAuthenticateWithPassword = credentials =>
+  !!credentials.username && !!credentials.password
+
+const canAuthenticate = credentials =>
+  canAuthenticateWithPassword(credentials) || !!credentials.login
+
+export const authenticationStateFromToken = (token, tokenType = 'bearer') => {
+  const claims = jwt.decode(token)
+
+  return {
+    accessToken: token,
+    tokenType,
+    expiresAt: (claims && claims.exp) || undefined,
+    idToken: token
+  }
 }
 
 const fetchServerVersion = async (credentials, httpClient) => {
@@ -106,18 +134,10 @@ const authenticatePostVersion4 = async (credentials, httpClient) => {
   }
 }
 
-// eslint-disable-next-line camelcase
-const authenticatePostVersion6_1 = async (credentials, httpClient) => {
-  const data = formurlencoded({
-    grant_type: 'password',
-    username: credentials.username,
-    password: credentials.password,
-    scope: 'openid profile email federated:id groups'
-  })
-
+const requestCurrentToken = async (credentials, httpClient, grant) => {
   const tokenResponse = await httpClient.post(
     credentials.tokenUrlCurrent,
-    data,
+    formurlencoded(grant),
     {
       headers: {
         ...basicAuthorizationHeader(flyClientId, flyClientSecret),
@@ -126,22 +146,87 @@ const authenticatePostVersion6_1 = async (credentials, httpClient) => {
       transformResponse: [parseJson, camelcaseKeysDeep]
     })
 
-  const { idToken, accessToken, tokenType, expiresIn } = tokenResponse.data
+  const {
+    idToken, accessToken, tokenType, expiresIn, refreshToken
+  } = tokenResponse.data
   const expiresAt = unixTimeFromResponseHeader(tokenResponse) + expiresIn
 
-  return {
+  return reject(isNil, {
     accessToken,
     tokenType,
     expiresAt,
-    idToken
-  }
+    idToken,
+    refreshToken
+  })
 }
 
-const authenticate = async (credentials, httpClient) => {
+const authenticateWithPassword = (credentials, httpClient) =>
+  requestCurrentToken(credentials, httpClient, {
+    grant_type: 'password',
+    username: credentials.username,
+    password: credentials.password,
+    scope: 'openid profile email federated:id groups'
+  })
+
+const authenticateWithAuthorizationCode = async (credentials, httpClient) => {
+  const { code, codeVerifier, redirectUri } = await obtainAuthorizationCode({
+    ...credentials.login,
+    authorizationUrl: credentials.authorizationUrl,
+    clientId: flyClientId,
+    scope: 'openid profile email federated:id groups offline_access'
+  })
+
+  return requestCurrentToken(credentials, httpClient, {
+    grant_type: 'authorization_code',
+    code,
+    code_verifier: codeVerifier,
+    redirect_uri: redirectUri
+  })
+}
+
+const authenticateWithRefreshToken =
+  async (authenticationState, credentials, httpClient) => {
+    const newAuthenticationState =
+      await requestCurrentToken(credentials, httpClient, {
+        grant_type: 'refresh_token',
+        refresh_token: authenticationState.refreshToken
+      })
+
+    return {
+      refreshToken: authenticationState.refreshToken,
+      ...newAuthenticationState
+    }
+  }
+
+// eslint-disable-next-line camelcase
+const authenticatePostVersion6_1 =
+  async (credentials, httpClient, authenticationState) => {
+    if (authenticationState && authenticationState.refreshToken) {
+      try {
+        return await authenticateWithRefreshToken(
+          authenticationState, credentials, httpClient)
+      } catch (error) {
+        // a rejected refresh token falls back to logging in afresh
+        if (!error.response) {
+          throw error
+        }
+      }
+    }
+
+    return canAuthenticateWithPassword(credentials)
+      ? authenticateWithPassword(credentials, httpClient)
+      : authenticateWithAuthorizationCode(credentials, httpClient)
+  }
+
+const authenticate = async (credentials, httpClient, authenticationState) => {
   const serverVersion = await fetchServerVersion(credentials, httpClient)
 
   let newAuthenticationState
-  if (semver.lt(serverVersion, '4.0.0')) {
+  if (!canAuthenticateWithPassword(credentials) &&
+    semver.lt(serverVersion, '6.1.0')) {
+    throw new AuthenticationError(
+      'Browser login requires Concourse 6.1.0 or later.')
+  } else if (semver.lt(serverVersion, '4.0.0')) {
     newAuthenticationState =
       await authenticatePreVersion4(credentials, httpClient)
   } else if (semver.lt(serverVersion, '6.1.0')) {
@@ -149,7 +234,8 @@ const authenticate = async (credentials, httpClient) => {
       await authenticatePostVersion4(credentials, httpClient)
   } else {
     newAuthenticationState =
-      await authenticatePostVersion6_1(credentials, httpClient)
+      await authenticatePostVersion6_1(
+        credentials, httpClient, authenticationState)
   }
 
   return {
@@ -158,24 +244,69 @@ const authenticate = async (credentials, httpClient) => {
   }
 }
 
+const refreshExternalToken = async (authenticationState, credentials) => {
+  if (credentials.refreshToken &&
+    isExternalTokenExpiring(authenticationState, tenMinutesInSeconds)) {
+    const token = await credentials.refreshToken()
+
+    return token
+      ? authenticationStateFromToken(token)
+      : authenticationState
+  }
+
+  if (isExternalTokenExpiring(authenticationState, 0)) {
+    throw new AuthenticationError(
+      authenticationState && authenticationState.accessToken
+        ? 'Access token has expired and cannot be refreshed.'
+        : 'No access token available and no credentials to obtain one.')
+  }
+
+  return authenticationState
+}
+
 const ensureAuthenticated =
   async (authenticationState, credentials, httpClient) => {
-    return isExpiredOrIncomplete(authenticationState)
-      ? authenticate(credentials, httpClient)
-      : authenticationState
+    if (!canAuthenticate(credentials)) {
+      authenticationState =
+        await refreshExternalToken(authenticationState, credentials)
+    } else if (isExpiredOrIncomplete(authenticationState)) {
+      return authenticate(credentials, httpClient, authenticationState)
+    }
+    if (!authenticationState.serverVersion) {
+      return {
+        ...authenticationState,
+        serverVersion: await fetchServerVersion(credentials, httpClient)
+      }
+    }
+    return authenticationState
   }
 
 export const createSessionInterceptor =
-  ({ credentials, httpClient = axios.create() }) => {
-    let authenticationState = credentials.authenticationState
+  ({ credentials, httpClient = axios.create(), tokenStore }) => {
+    let authenticationState = credentials.authenticationState ||
+      (credentials.token && authenticationStateFromToken(credentials.token))
+    let loaded = !tokenStore
     const lock = new AwaitLock()
 
     return async (config) => {
       await lock.acquireAsync()
       try {
+        if (!loaded) {
+          authenticationState =
+            authenticationState || await tokenStore.load()
+          loaded = true
+        }
+
+        const previousAuthenticationState = authenticationState
         authenticationState =
           await ensureAuthenticated(
             authenticationState, credentials, httpClient)
+
+        if (tokenStore &&
+          authenticationState.accessToken !==
+          (previousAuthenticationState || {}).accessToken) {
+          await tokenStore.save(authenticationState)
+        }
       } finally {
         lock.release()
       }
@@ -0,0 +1,86 @@
+import camelcaseKeysDeep from 'camelcase-keys-deep'
+import { find, keys, map, toPairs } from 'ramda'
+
+const hookTypes = ['on_success', 'on_failure', 'on_abort', 'on_error', 'ensure']
+const sequenceTypes = ['do', 'aggregate', 'retry']
+const nonTypeKeys = ['id', 'attempts']
+
+const typeOf = plan =>
+  find(key => !nonTypeKeys.includes(key), keys(plan))
+
+export const toPlanNode = plan => {
+  const type = typeOf(plan)
+  const step = plan[type]
+  const node = { id: plan.id, type }
+
+  if (sequenceTypes.includes(type)) {
+    return { ...node, steps: map(toPlanNode, step) }
+  }
+  if (type === 'in_parallel') {
+    return {
+      ...node,
+      steps: map(toPlanNode, step.steps),
+      limit: step.limit,
+      failFast: step.fail_fast
+    }
+  }
+  if (type === 'across') {
+    return {
+      ...node,
+      vars: camelcaseKeysDeep(step.vars),
+      failFast: step.fail_fast,
+      steps: map(({ step }) => toPlanNode(step), step.steps)
+    }
+  }
+  if (type === 'try') {
+    return { ...node, step: toPlanNode(step.step) }
+  }
+  if (type === 'timeout') {
+    return { ...node, duration: step.duration, step: toPlanNode(step.step) }
+  }
+  if (hookTypes.includes(type)) {
+    return {
+      ...node,
+      step: toPlanNode(step.step),
+      hook: toPlanNode(step[type])
+    }
+  }
+
+  return { ...node, name: step.name, config: camelcaseKeysDeep(step) }
+}
+
+export const buildExecutePlan =
+  ({ taskConfig, inputArtifacts, outputNames, privileged, tags }) => {
+    let nextId = 0
+    const withId = plan => {
+      nextId += 1
+      return { id: `${nextId}`, ...plan }
+    }
+
+    const inputs = withId({
+      in_parallel: {
+        steps: map(
+          ([name, artifactId]) => withId({
+            artifact_input: { artifact_id: artifactId, name }
+          }),
+          toPairs(inputArtifacts))
+      }
+    })
+    const task = withId({
+      task: { name: 'one-off', privileged, tags, config: taskConfig }
+    })
+    const outputs = withId({
+      in_parallel: {
+        steps: map(
+          name => withId({ artifact_output: { name } }),
+          outputNames)
+      }
+    })
+
+    return withId({
+      ensure: {
+        step: withId({ do: [inputs, task] }),
+        ensure: outputs
+      }
+    })
+  }
@@ -0,0 +1,46 @@
+import { filter, keys } from 'ramda'
+
+const blockingStatus = 'blocking'
+
+const blockersFor = preparation => {
+  const blockers = []
+
+  if (preparation.paused_pipeline === blockingStatus) {
+    blockers.push({ type: 'pausedPipeline', message: 'pipeline is paused' })
+  }
+  if (preparation.paused_job === blockingStatus) {
+    blockers.push({ type: 'pausedJob', message: 'job is paused' })
+  }
+  if (preparation.max_running_builds === blockingStatus) {
+    blockers.push({
+      type: 'maxRunningBuilds',
+      message: 'maximum number of builds in flight reached'
+    })
+  }
+
+  const inputs = preparation.inputs || {}
+  const missingInputReasons = preparation.missing_input_reasons || {}
+  const blockingInputs =
+    filter(input => inputs[input] === blockingStatus, keys(inputs))
+
+  blockingInputs.forEach(input => blockers.push({
+    type: 'input',
+    input,
+    message: missingInputReasons[input]
+      ? `input "${input}": ${missingInputReasons[input]}`
+      : `input "${input}" is not satisfied`
+  }))
+
+  return blockers
+}
+
+export const toBuildPreparation = preparation => ({
+  buildId: preparation.build_id,
+  pausedPipeline: preparation.paused_pipeline,
+  pausedJob: preparation.paused_job,
+  maxRunningBuilds: preparation.max_running_builds,
+  inputs: preparation.inputs || {},
+  inputsSatisfied: preparation.inputs_satisfied,
+  missingInputReasons: preparation.missing_input_reasons || {},
+  blockers: blockersFor(preparation)
+})
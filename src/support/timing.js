@@ -0,0 +1,25 @@
+import { TimeoutError } from '../errors'
+
+export const sleep = milliseconds =>
+  new Promise(resolve => setTimeout(resolve, milliseconds))
+
+// Polls every interval until the polled value is done, throwing a timeout
+// error with the provided message if the next poll would pass the timeout.
+export const pollUntil = async (
+  poll, isDone, { timeout, interval, timeoutMessage }) => {
+  const deadline = Date.now() + timeout
+
+  while (true) {
+    const value = await poll()
+
+    if (isDone(value)) {
+      return value
+    }
+
+    if (Date.now() + interval > deadline) {
+      throw new TimeoutError(timeoutMessage, { timeout })
+    }
+
+    await sleep(interval)
+  }
+}
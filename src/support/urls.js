@@ -5,9 +5,18 @@ export const skyTokenUrl = (concourseUrl) =>
   `${concourseUrl}/sky/token`
 export const skyIssuerTokenUrl = (concourseUrl) =>
   `${concourseUrl}/sky/issuer/token`
+export const skyIssuerAuthUrl = (concourseUrl) =>
+  `${concourseUrl}/sky/issuer/auth`
 
 export const infoUrl = (apiUrl) =>
   `${apiUrl}/info`
+export const infoCredsUrl = (apiUrl) =>
+  `${apiUrl}/info/creds`
+
+export const userUrl = (apiUrl) =>
+  `${apiUrl}/user`
+export const allUsersUrl = (apiUrl) =>
+  `${apiUrl}/users`
 
 export const allTeamsUrl = (apiUrl) =>
   `${apiUrl}/teams`
@@ -22,16 +31,39 @@ export const allBuildsUrl = (apiUrl) =>
 export const allResourcesUrl = (apiUrl) =>
   `${apiUrl}/resources`
 
+export const workerUrl = (apiUrl, workerName) =>
+  `${apiUrl}/workers/${workerName}`
 export const workerPruneUrl = (apiUrl, workerName) =>
   `${apiUrl}/workers/${workerName}/prune`
+export const workerHeartbeatUrl = (apiUrl, workerName) =>
+  `${apiUrl}/workers/${workerName}/heartbeat`
+export const workerLandUrl = (apiUrl, workerName) =>
+  `${apiUrl}/workers/${workerName}/land`
+export const workerRetireUrl = (apiUrl, workerName) =>
+  `${apiUrl}/workers/${workerName}/retire`
 
 export const buildUrl = (apiUrl, buildId) =>
   `${apiUrl}/builds/${buildId}`
 export const buildResourcesUrl = (apiUrl, buildId) =>
   `${apiUrl}/builds/${buildId}/resources`
+export const buildEventsUrl = (apiUrl, buildId) =>
+  `${apiUrl}/builds/${buildId}/events`
+export const buildAbortUrl = (apiUrl, buildId) =>
+  `${apiUrl}/builds/${buildId}/abort`
+export const buildPlanUrl = (apiUrl, buildId) =>
+  `${apiUrl}/builds/${buildId}/plan`
+export const buildPreparationUrl = (apiUrl, buildId) =>
+  `${apiUrl}/builds/${buildId}/preparation`
+export const buildArtifactsUrl = (apiUrl, buildId) =>
+  `${apiUrl}/builds/${buildId}/artifacts`
+
+export const checkUrl = (apiUrl, checkId) =>
+  `${apiUrl}/checks/${checkId}`
 
 export const teamAuthTokenUrl = (apiUrl, teamName) =>
   `${apiUrl}/teams/${teamName}/auth/token`
+export const teamAuthMethodsUrl = (apiUrl, teamName) =>
+  `${apiUrl}/teams/${teamName}/auth/methods`
 
 export const teamUrl = (apiUrl, teamName) =>
   `${apiUrl}/teams/${teamName}`
@@ -40,6 +72,8 @@ export const teamRenameUrl = (apiUrl, teamName) =>
 
 export const teamPipelinesUrl = (apiUrl, teamName) =>
   `${apiUrl}/teams/${teamName}/pipelines`
+export const teamPipelinesOrderingUrl = (apiUrl, teamName) =>
+  `${apiUrl}/teams/${teamName}/pipelines/ordering`
 export const teamPipelineUrl = (apiUrl, teamName, pipelineName) =>
   `${apiUrl}/teams/${teamName}/pipelines/${pipelineName}`
 export const teamPipelinePauseUrl = (apiUrl, teamName, pipelineName) =>
@@ -48,16 +82,29 @@ export const teamPipelineUnpauseUrl = (apiUrl, teamName, pipelineName) =>
   `${apiUrl}/teams/${teamName}/pipelines/${pipelineName}/unpause`
 export const teamPipelineRenameUrl = (apiUrl, teamName, pipelineName) =>
   `${apiUrl}/teams/${teamName}/pipelines/${pipelineName}/rename`
+export const teamPipelineExposeUrl = (apiUrl, teamName, pipelineName) =>
+  `${apiUrl}/teams/${teamName}/pipelines/${pipelineName}/expose`
+export const teamPipelineHideUrl = (apiUrl, teamName, pipelineName) =>
+  `${apiUrl}/teams/${teamName}/pipelines/${pipelineName}/hide`
+export const teamPipelineArchiveUrl = (apiUrl, teamName, pipelineName) =>
+  `${apiUrl}/teams/${teamName}/pipelines/${pipelineName}/archive`
 export const teamPipelineConfigUrl = (apiUrl, teamName, pipelineName) =>
   `${apiUrl}/teams/${teamName}/pipelines/${pipelineName}/config`
 
 export const teamBuildsUrl = (apiUrl, teamName) =>
   `${apiUrl}/teams/${teamName}/builds`
 
+export const teamArtifactsUrl = (apiUrl, teamName) =>
+  `${apiUrl}/teams/${teamName}/artifacts`
+export const teamArtifactUrl = (apiUrl, teamName, artifactId) =>
+  `${apiUrl}/teams/${teamName}/artifacts/${artifactId}`
+
 export const teamContainersUrl = (apiUrl, teamName) =>
   `${apiUrl}/teams/${teamName}/containers`
 export const teamContainerUrl = (apiUrl, teamName, containerId) =>
   `${apiUrl}/teams/${teamName}/containers/${containerId}`
+export const teamContainerHijackUrl = (apiUrl, teamName, containerId) =>
+  `${apiUrl}/teams/${teamName}/containers/${containerId}/hijack`
 
 export const teamVolumesUrl = (apiUrl, teamName) =>
   `${apiUrl}/teams/${teamName}/volumes`
@@ -105,9 +152,29 @@ export const teamPipelineResourceUnpauseUrl =
   (apiUrl, teamName, pipelineName, resourceName) =>
     `${apiUrl}/teams/${teamName}/pipelines/${pipelineName}/` +
     `resources/${resourceName}/unpause`
+export const teamPipelineResourceCheckUrl =
+  (apiUrl, teamName, pipelineName, resourceName) =>
+    `${apiUrl}/teams/${teamName}/pipelines/${pipelineName}` +
+    `/resources/${resourceName}/check`
+export const teamPipelineResourceCheckWebhookUrl =
+  (apiUrl, teamName, pipelineName, resourceName) =>
+    `${apiUrl}/teams/${teamName}/pipelines/${pipelineName}` +
+    `/resources/${resourceName}/check/webhook`
+export const teamPipelineResourceUnpinUrl =
+  (apiUrl, teamName, pipelineName, resourceName) =>
+    `${apiUrl}/teams/${teamName}/pipelines/${pipelineName}` +
+    `/resources/${resourceName}/unpin`
+export const teamPipelineResourcePinCommentUrl =
+  (apiUrl, teamName, pipelineName, resourceName) =>
+    `${apiUrl}/teams/${teamName}/pipelines/${pipelineName}` +
+    `/resources/${resourceName}/pin_comment`
 
 export const teamPipelineResourceTypesUrl = (apiUrl, teamName, pipelineName) =>
   `${apiUrl}/teams/${teamName}/pipelines/${pipelineName}/resource-types`
+export const teamPipelineResourceTypeCheckUrl =
+  (apiUrl, teamName, pipelineName, resourceTypeName) =>
+    `${apiUrl}/teams/${teamName}/pipelines/${pipelineName}` +
+    `/resource-types/${resourceTypeName}/check`
 
 export const teamPipelineResourceVersionsUrl =
   (apiUrl, teamName, pipelineName, resourceName) =>
@@ -130,3 +197,15 @@ export const teamPipelineResourceVersionOutputOfUrl =
   (apiUrl, teamName, pipelineName, resourceName, versionId) =>
     `${apiUrl}/teams/${teamName}/pipelines/${pipelineName}` +
     `/resources/${resourceName}/versions/${versionId}/output_of`
+export const teamPipelineResourceVersionPinUrl =
+  (apiUrl, teamName, pipelineName, resourceName, versionId) =>
+    `${apiUrl}/teams/${teamName}/pipelines/${pipelineName}` +
+    `/resources/${resourceName}/versions/${versionId}/pin`
+export const teamPipelineResourceVersionEnableUrl =
+  (apiUrl, teamName, pipelineName, resourceName, versionId) =>
+    `${apiUrl}/teams/${teamName}/pipelines/${pipelineName}` +
+    `/resources/${resourceName}/versions/${versionId}/enable`
+export const teamPipelineResourceVersionDisableUrl =
+  (apiUrl, teamName, pipelineName, resourceName, versionId) =>
+    `${apiUrl}/teams/${teamName}/pipelines/${pipelineName}` +
+    `/resources/${resourceName}/versions/${versionId}/disable`
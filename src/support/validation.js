@@ -1,4 +1,5 @@
 import Joi from 'joi'
+import { ValidationError } from '../errors'
 
 export const string = () => Joi.string()
 export const boolean = () => Joi.boolean()
@@ -6,7 +7,10 @@ export const integer = () => Joi.number().integer()
 export const func = () => Joi.func()
 export const object = () => Joi.object()
 export const array = () => Joi.array()
+export const date = () => Joi.date()
 export const uri = () => string().uri()
+export const link = (reference) => Joi.link(reference)
+export const alternatives = (...schemas) => Joi.alternatives().try(...schemas)
 
 export const required = () => Joi.required()
 
@@ -17,10 +21,10 @@ export const validateOptions = (schema, options) => {
   const { error, value } = schema.validate(options)
 
   if (error) {
-    const errorDetails = error.details
-      .map(detail => detail.message)
-      .join(', ')
-    throw new Error(`Invalid parameter(s): [${errorDetails}].`)
+    const details = error.details.map(detail => detail.message)
+    throw new ValidationError(
+      `Invalid parameter(s): [${details.join(', ')}].`,
+      { details })
   }
 
   return value
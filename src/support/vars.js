@@ -0,0 +1,113 @@
+import { promises as fs } from 'fs'
+import YAML from 'yaml'
+import {
+  has,
+  is,
+  isNil,
+  map,
+  mapObjIndexed,
+  mergeAll,
+  uniq
+} from 'ramda'
+
+const placeholderPattern = /\(\(\s*([^()\s]+?)\s*\)\)/g
+const wholePlaceholderPattern = /^\(\(\s*([^()\s]+?)\s*\)\)$/
+const pathSegmentPattern = /"[^"]*"|[^.]+/g
+
+const parseVarReference = reference => {
+  const sourceSeparatorIndex = reference.indexOf(':')
+  const source = sourceSeparatorIndex === -1
+    ? undefined
+    : reference.slice(0, sourceSeparatorIndex)
+  const path = sourceSeparatorIndex === -1
+    ? reference
+    : reference.slice(sourceSeparatorIndex + 1)
+
+  const segments = map(
+    segment => segment.replace(/^"(.*)"$/, '$1'),
+    path.match(pathSegmentPattern) || [])
+
+  return {
+    reference,
+    source,
+    name: segments[0],
+    fields: segments.slice(1)
+  }
+}
+
+const lookup = (vars, { source, name, fields }) => {
+  const key = source ? `${source}:${name}` : name
+
+  if (!has(key, vars)) {
+    return { found: false }
+  }
+
+  let value = vars[key]
+  for (const field of fields) {
+    if (isNil(value) || !is(Object, value) || !has(field, value)) {
+      return { found: false }
+    }
+    value = value[field]
+  }
+
+  return { found: true, value }
+}
+
+const toInterpolatedString = value =>
+  is(Object, value) ? JSON.stringify(value) : String(value)
+
+export const interpolate =
+  (template, vars = {}, { leaveCredentialVars = false } = {}) => {
+    const unresolvedVars = []
+
+    const resolve = reference => {
+      const varReference = parseVarReference(reference)
+      if (leaveCredentialVars && varReference.source) {
+        return { found: false }
+      }
+
+      const result = lookup(vars, varReference)
+      if (!result.found) {
+        unresolvedVars.push(reference)
+      }
+      return result
+    }
+
+    const interpolateString = string => {
+      const wholeMatch = string.match(wholePlaceholderPattern)
+      if (wholeMatch) {
+        const { found, value } = resolve(wholeMatch[1])
+        return found ? value : string
+      }
+
+      return string.replace(placeholderPattern, (placeholder, reference) => {
+        const { found, value } = resolve(reference)
+        return found ? toInterpolatedString(value) : placeholder
+      })
+    }
+
+    const interpolateValue = value => {
+      if (is(String, value)) {
+        return interpolateString(value)
+      }
+      if (is(Array, value)) {
+        return map(interpolateValue, value)
+      }
+      if (!isNil(value) && is(Object, value)) {
+        return mapObjIndexed(interpolateValue, value)
+      }
+      return value
+    }
+
+    return {
+      value: interpolateValue(template),
+      unresolvedVars: uniq(unresolvedVars)
+    }
+  }
+
+export const loadVarsFiles = async (varsFiles = []) => {
+  const contents = await Promise.all(
+    map(varsFile => fs.readFile(varsFile, 'utf8'), varsFiles))
+
+  return mergeAll(map(content => YAML.parse(content) || {}, contents))
+}
@@ -0,0 +1,121 @@
+import { promises as fs } from 'fs'
+import os from 'os'
+import path from 'path'
+import YAML from 'yaml'
+import { assocPath, isNil, pathOr } from 'ramda'
+
+import {
+  object,
+  schemaFor,
+  string,
+  validateOptions
+} from './support/validation'
+import { authenticationStateFromToken } from './support/http/session'
+
+const readFileIfExists = async filePath => {
+  try {
+    return await fs.readFile(filePath, 'utf8')
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return undefined
+    }
+    throw error
+  }
+}
+
+const writePrivateFile = async (filePath, content) => {
+  await fs.mkdir(path.dirname(filePath), { recursive: true })
+  await fs.writeFile(filePath, content, { mode: 0o600 })
+}
+
+export const defaultFlyrcPath = () => path.join(os.homedir(), '.flyrc')
+
+export class InMemoryTokenStore {
+  constructor (authenticationState) {
+    validateOptions(
+      schemaFor({
+        authenticationState: object()
+      }), { authenticationState })
+
+    this.authenticationState = authenticationState
+  }
+
+  async load () {
+    return this.authenticationState
+  }
+
+  async save (authenticationState) {
+    this.authenticationState = authenticationState
+  }
+}
+
+export class JsonFileTokenStore {
+  constructor (options) {
+    const validatedOptions = validateOptions(
+      schemaFor({
+        path: string().required()
+      }), options)
+
+    this.path = validatedOptions.path
+  }
+
+  async load () {
+    const content = await readFileIfExists(this.path)
+
+    return isNil(content) ? undefined : JSON.parse(content)
+  }
+
+  async save (authenticationState) {
+    await writePrivateFile(
+      this.path, JSON.stringify(authenticationState, null, 2))
+  }
+}
+
+export class FlyrcTokenStore {
+  constructor (options) {
+    const validatedOptions = validateOptions(
+      schemaFor({
+        target: string().required(),
+        path: string().default(defaultFlyrcPath)
+      }), options)
+
+    this.target = validatedOptions.target
+    this.path = validatedOptions.path
+  }
+
+  async loadFlyrc () {
+    const content = await readFileIfExists(this.path)
+
+    return (content && YAML.parse(content)) || {}
+  }
+
+  async getTarget () {
+    const flyrc = await this.loadFlyrc()
+
+    return pathOr(undefined, ['targets', this.target], flyrc)
+  }
+
+  async load () {
+    const target = await this.getTarget()
+    const token = target && target.token
+
+    if (!token || !token.value) {
+      return undefined
+    }
+
+    return authenticationStateFromToken(token.value, token.type)
+  }
+
+  async save (authenticationState) {
+    const flyrc = await this.loadFlyrc()
+    const updatedFlyrc = assocPath(
+      ['targets', this.target, 'token'],
+      {
+        type: authenticationState.tokenType,
+        value: authenticationState.accessToken
+      },
+      flyrc)
+
+    await writePrivateFile(this.path, YAML.stringify(updatedFlyrc))
+  }
+}
@@ -1,7 +1,11 @@
 import 'core-js/stable'
 import 'regenerator-runtime/runtime'
+import { promises as fs } from 'fs'
+import os from 'os'
+import path from 'path'
 import { expect } from 'chai'
 import faker from 'faker'
+import YAML from 'yaml'
 import axios from 'axios'
 import MockAdapter from 'axios-mock-adapter'
 
@@ -9,8 +13,10 @@ import build from './testsupport/builders'
 import data from './testsupport/data'
 import { onConstructionOf } from './testsupport/dsls/construction'
 import { forInstance } from './testsupport/dsls/methods'
+import { collect } from './testsupport/iterables'
 
 import Client from '../src/Client'
+import { ConcourseError, ValidationError } from '../src/errors'
 import { bearerAuthorizationHeader } from '../src/support/http/headers'
 
 const buildValidClient = () => {
@@ -62,6 +68,120 @@ describe('Client', () => {
       })
   })
 
+  describe('instanceFor', () => {
+    it('throws an exception if the login map has no open function', () => {
+      expect(() => Client.instanceFor({
+        url: data.randomConcourseUrl(),
+        login: {}
+      })).to.throw(
+        ValidationError,
+        'Invalid parameter(s): ["login.open" is required].')
+    })
+
+    it('throws an exception if the login open option is not a function',
+      () => {
+        expect(() => Client.instanceFor({
+          url: data.randomConcourseUrl(),
+          login: { open: 'firefox' }
+        })).to.throw(
+          ValidationError,
+          'Invalid parameter(s): ["login.open" must be of type function].')
+      })
+
+    it('throws an exception if the login port is negative', () => {
+      expect(() => Client.instanceFor({
+        url: data.randomConcourseUrl(),
+        login: { open: () => {}, port: -1 }
+      })).to.throw(
+        ValidationError,
+        'Invalid parameter(s): ["login.port" must be greater than or ' +
+        'equal to 0].')
+    })
+
+    it('throws an exception if the login timeout is not an integer', () => {
+      expect(() => Client.instanceFor({
+        url: data.randomConcourseUrl(),
+        login: { open: () => {}, timeout: 1.5 }
+      })).to.throw(
+        ValidationError,
+        'Invalid parameter(s): ["login.timeout" must be an integer].')
+    })
+
+    it('returns a client when the login map is valid', () => {
+      const client = Client.instanceFor({
+        url: data.randomConcourseUrl(),
+        login: { open: () => {}, port: 0, timeout: 1000 }
+      })
+
+      expect(client).to.be.instanceOf(Client)
+    })
+  })
+
+  describe('fromFlyrc', () => {
+    const withFlyrc = async (flyrc, fn) => {
+      const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'flyrc-'))
+      const flyrcPath = path.join(directory, '.flyrc')
+      try {
+        await fs.writeFile(flyrcPath, YAML.stringify(flyrc))
+        return await fn(flyrcPath)
+      } finally {
+        await fs.rm(directory, { recursive: true })
+      }
+    }
+
+    it('returns a client for the target using its token', async () => {
+      const concourseUrl = data.randomConcourseUrl()
+      const token = data.randomIdTokenCurrent()
+      const globalMock = new MockAdapter(axios)
+
+      try {
+        await withFlyrc({
+          targets: {
+            ci: {
+              api: concourseUrl,
+              team: 'main',
+              token: { type: 'bearer', value: token }
+            }
+          }
+        }, async flyrcPath => {
+          const client =
+            await Client.fromFlyrc({ target: 'ci', path: flyrcPath })
+
+          globalMock
+            .onGet(`${concourseUrl}/api/v1/info`)
+            .reply(200, build.api.info({ version: '7.4.0' }))
+          globalMock
+            .onGet(`${concourseUrl}/api/v1/teams`)
+            .reply(200, [])
+
+          await client.listTeams()
+
+          const teamsRequest = globalMock.history.get[1]
+          expect(client.apiUrl).to.eql(`${concourseUrl}/api/v1`)
+          expect(teamsRequest.headers)
+            .to.include(bearerAuthorizationHeader(token))
+          expect(globalMock.history.post).to.have.length(0)
+        })
+      } finally {
+        globalMock.restore()
+      }
+    })
+
+    it('throws an exception if the target does not exist', async () => {
+      await withFlyrc({ targets: {} }, async flyrcPath => {
+        try {
+          await Client.fromFlyrc({ target: 'ci', path: flyrcPath })
+        } catch (error) {
+          expect(error).to.be.an.instanceOf(ConcourseError)
+          expect(error.message)
+            .to.eql(`No target "ci" found in ${flyrcPath}.`)
+          return
+        }
+        expect.fail('Expected an error.')
+      })
+    })
+  })
+
   describe('getInfo', () => {
     it('gets server info', async () => {
       const { client, mock, apiUrl, bearerToken } = buildValidClient()
@@ -86,6 +206,122 @@ describe('Client', () => {
     })
   })
 
+  describe('getInfoCreds', () => {
+    it('gets the credential manager info', async () => {
+      const { client, mock, apiUrl, bearerToken } = buildValidClient()
+
+      mock.onGet(
+        `${apiUrl}/info/creds`,
+        {
+          headers: {
+            ...bearerAuthorizationHeader(bearerToken)
+          }
+        })
+        .reply(200, {
+          vault: { url: 'https://vault.example.com', path_prefix: '/concourse' }
+        })
+
+      const infoCreds = await client.getInfoCreds()
+
+      expect(infoCreds).to.eql({
+        vault: { url: 'https://vault.example.com', pathPrefix: '/concourse' }
+      })
+    })
+  })
+
+  describe('getUser', () => {
+    it('gets the current user', async () => {
+      const { client, mock, apiUrl, bearerToken } = buildValidClient()
+
+      const userData = data.randomUser()
+
+      const userFromApi = build.api.user(userData)
+      const expectedUser = build.client.user(userData)
+
+      mock.onGet(
+        `${apiUrl}/user`,
+        {
+          headers: {
+            ...bearerAuthorizationHeader(bearerToken)
+          }
+        })
+        .reply(200, userFromApi)
+
+      const actualUser = await client.getUser()
+
+      expect(actualUser).to.eql(expectedUser)
+    })
+
+    it('leaves team names as they are', async () => {
+      const { client, mock, apiUrl } = buildValidClient()
+
+      const teams = { 'some-team': ['member'], other_team: ['viewer'] }
+      const userData = data.randomUser({ teams })
+
+      mock.onGet(`${apiUrl}/user`)
+        .reply(200, build.api.user(userData))
+
+      const actualUser = await client.getUser()
+
+      expect(actualUser.teams).to.eql(teams)
+    })
+  })
+
+  describe('listActiveUsersSince', () => {
+    it('gets the users active since the supplied date', async () => {
+      const { client, mock, apiUrl, bearerToken } = buildValidClient()
+
+      const activeUserData = data.randomActiveUser()
+
+      const activeUserFromApi = build.api.activeUser(activeUserData)
+      const expectedActiveUser = build.client.activeUser(activeUserData)
+
+      mock.onGet(
+        `${apiUrl}/users`,
+        {
+          params: { since: '2020-03-14' },
+          headers: {
+            ...bearerAuthorizationHeader(bearerToken)
+          }
+        })
+        .reply(200, [activeUserFromApi])
+
+      const actualActiveUsers =
+        await client.listActiveUsersSince(new Date('2020-03-14T15:09:26Z'))
+
+      expect(actualActiveUsers).to.eql([expectedActiveUser])
+    })
+
+    it('accepts the date as a string', async () => {
+      const { client, mock, apiUrl } = buildValidClient()
+
+      mock.onGet(`${apiUrl}/users`, { params: { since: '2020-03-14' } })
+        .reply(200, [])
+
+      const actualActiveUsers = await client.listActiveUsersSince('2020-03-14')
+
+      expect(actualActiveUsers).to.eql([])
+    })
+
+    it('throws an exception if the date is not provided', async () => {
+      const { client } = buildValidClient()
+
+      await forInstance(client)
+        .onCallOf('listActiveUsersSince')
+        .withNoArguments()
+        .throwsError('Invalid parameter(s): ["since" is required].')
+    })
+
+    it('throws an exception if the date is not valid', async () => {
+      const { client } = buildValidClient()
+
+      await forInstance(client)
+        .onCallOf('listActiveUsersSince')
+        .withArguments('spinach')
+        .throwsError('Invalid parameter(s): ["since" must be a valid date].')
+    })
+  })
+
   describe('listTeams', () => {
     it('gets all teams',
       async () => {
@@ -396,6 +632,69 @@ describe('Client', () => {
     })
   })
 
+  describe('registerWorker', () => {
+    it('registers the worker and returns a client for it', async () => {
+      const { client, mock, apiUrl, httpClient, bearerToken } =
+        buildValidClient()
+
+      const workerName = data.randomWorkerName()
+
+      mock.onPost(`${apiUrl}/workers`).reply(200)
+
+      const workerClient = await client.registerWorker({
+        name: workerName,
+        platform: 'linux',
+        tags: ['external'],
+        team: 'main',
+        resourceTypes: [{
+          type: 'git',
+          image: '/opt/resource-types/git/rootfs',
+          version: '1.0.0'
+        }],
+        addr: '10.0.0.5:7777',
+        baggageclaimUrl: 'http://10.0.0.5:7788',
+        ttl: 30000
+      })
+
+      expect(mock.history.post).to.have.length(1)
+      const call = mock.history.post[0]
+      expect(call.params).to.eql({ ttl: '30000ms' })
+      expect(call.headers)
+        .to.include(bearerAuthorizationHeader(bearerToken))
+      expect(JSON.parse(call.data)).to.eql({
+        name: workerName,
+        platform: 'linux',
+        tags: ['external'],
+        team: 'main',
+        resource_types: [{
+          type: 'git',
+          image: '/opt/resource-types/git/rootfs',
+          version: '1.0.0',
+          privileged: false
+        }],
+        addr: '10.0.0.5:7777',
+        baggageclaim_url: 'http://10.0.0.5:7788',
+        active_containers: 0,
+        active_volumes: 0
+      })
+
+      expect(workerClient.apiUrl).to.equal(apiUrl)
+      expect(workerClient.httpClient).to.equal(httpClient)
+      expect(workerClient.workerName).to.eql(workerName)
+      expect(workerClient.ttl).to.eql(30000)
+    })
+
+    it('throws an exception if the worker spec is invalid', async () => {
+      const { client, mock } = buildValidClient()
+      await forInstance(client)
+        .onCallOf('registerWorker')
+        .withArguments({ platform: 'linux', addr: '10.0.0.5:7777' })
+        .throwsError('Invalid parameter(s): ["name" is required].')
+
+      expect(mock.history.post).to.have.length(0)
+    })
+  })
+
   describe('listPipelines', () => {
     it('gets all pipelines',
       async () => {
@@ -650,6 +949,62 @@ describe('Client', () => {
       })
   })
 
+  describe('iterateBuilds', () => {
+    it('iterates over all builds, following pagination links',
+      async () => {
+        const { client, mock, apiUrl } =
+          buildValidClient()
+
+        const url = `${apiUrl}/builds`
+        const firstData = data.randomBuild()
+        const secondData = data.randomBuild()
+
+        mock.onGet(url, { params: { limit: 1 } })
+          .reply(200, [build.api.build(firstData)], {
+            link: `<${url}?to=${firstData.id}&limit=1>; rel="next"`
+          })
+        mock.onGet(`${url}?to=${firstData.id}&limit=1`)
+          .reply(200, [build.api.build(secondData)])
+
+        const actual = await collect(client.iterateBuilds({ limit: 1 }))
+
+        expect(actual).to.eql([
+          build.client.build(firstData),
+          build.client.build(secondData)
+        ])
+      })
+
+    it('requests the supplied timestamp window', async () => {
+      const { client, mock, apiUrl } = buildValidClient()
+
+      mock.onGet(`${apiUrl}/builds`, {
+        params: {
+          to: 1584230400,
+          timestamps: true
+        }
+      })
+        .reply(200, [])
+
+      const actualBuilds = await collect(client.iterateBuilds({
+        from: new Date('2020-03-14T00:00:00Z'),
+        to: 1584230400
+      }))
+
+      expect(actualBuilds).to.eql([])
+    })
+
+    it('throws an exception if the value provided for from is not a date',
+      async () => {
+        const { client } = buildValidClient()
+        await forInstance(client)
+          .onCallOf('iterateBuilds')
+          .withArguments({ from: 'badger' })
+          .throwsError(
+            'Invalid parameter(s): [' +
+            '"from" must be in timestamp or number of seconds format].')
+      })
+  })
+
   describe('getBuild', () => {
     it('gets the build with the provided ID',
       async () => {
@@ -703,6 +1058,20 @@ describe('Client', () => {
     })
   })
 
+  describe('forCheck', () => {
+    it('returns a client for the check with the supplied ID', () => {
+      const { client, apiUrl, httpClient } = buildValidClient()
+
+      const checkId = data.randomCheckId()
+
+      const checkClient = client.forCheck(checkId)
+
+      expect(checkClient.apiUrl).to.equal(apiUrl)
+      expect(checkClient.httpClient).to.equal(httpClient)
+      expect(checkClient.checkId).to.eql(checkId)
+    })
+  })
+
   describe('listResources', () => {
     it('gets all resources',
       async () => {
@@ -4,6 +4,9 @@ import sinon from 'sinon'
 import { expect } from 'chai'
 import data from '../testsupport/data'
 import Build from '../../src/model/Build'
+import BuildStatus from '../../src/model/BuildStatus'
+import Resource from '../../src/model/Resource'
+import { TimeoutError, ValidationError } from '../../src/errors'
 
 describe('Build', () => {
   it('exposes its attributes', async () => {
@@ -43,5 +46,230 @@ describe('Build', () => {
     expect(pipeline.getId()).to.eql(buildData.id)
     expect(pipeline.getName()).to.eql(buildName)
     expect(pipeline.getTeamName()).to.eql(buildData.teamName)
+    expect(pipeline.getStatus()).to.eql(buildData.status)
+    expect(pipeline.getStartTime()).to.eql(buildData.startTime)
+    expect(pipeline.getEndTime()).to.eql(buildData.endTime)
+  })
+
+  describe('isFinished', () => {
+    it('is true when the build has a terminal status', () => {
+      const terminalStatuses = [
+        BuildStatus.succeeded,
+        BuildStatus.failed,
+        BuildStatus.errored,
+        BuildStatus.aborted
+      ]
+
+      terminalStatuses.forEach(status => {
+        const build = new Build(data.randomBuild({ status }))
+
+        expect(build.isFinished()).to.eql(true)
+      })
+    })
+
+    it('is false when the build is pending or started', () => {
+      [BuildStatus.pending, BuildStatus.started].forEach(status => {
+        const build = new Build(data.randomBuild({ status }))
+
+        expect(build.isFinished()).to.eql(false)
+      })
+    })
+  })
+
+  describe('reload', () => {
+    it('refreshes the status and times of the build', async () => {
+      const buildData = data.randomBuild({ status: BuildStatus.started })
+      const reloadedBuildData = {
+        ...buildData,
+        status: BuildStatus.succeeded,
+        endTime: buildData.endTime + 60
+      }
+
+      const getBuild = sinon.stub()
+        .withArgs(buildData.id)
+        .resolves(reloadedBuildData)
+      const client = { getBuild }
+
+      const build = new Build({ ...buildData, client })
+
+      const reloadedBuild = await build.reload()
+
+      expect(reloadedBuild).to.equal(build)
+      expect(build.getStatus()).to.eql(BuildStatus.succeeded)
+      expect(build.getEndTime()).to.eql(reloadedBuildData.endTime)
+    })
+  })
+
+  describe('getResourceFor', () => {
+    it('loads the resource from the build\'s pipeline', async () => {
+      const buildData = data.randomBuild()
+      const resourceName = data.randomResourceName()
+      const resourceData = data.randomResource({
+        name: resourceName,
+        teamName: buildData.teamName,
+        pipelineName: buildData.pipelineName
+      })
+
+      const getResource = name =>
+        Promise.resolve(name === resourceName ? resourceData : undefined)
+      const forPipeline = name =>
+        name === buildData.pipelineName ? { getResource } : undefined
+      const forTeam = name =>
+        name === buildData.teamName ? { forPipeline } : undefined
+      const client = { forTeam }
+
+      const build = new Build({ ...buildData, client })
+
+      const resource = await build.getResourceFor(resourceName)
+
+      expect(resource).to.be.instanceOf(Resource)
+      expect(resource.getName()).to.eql(resourceName)
+      expect(resource.getTeamName()).to.eql(buildData.teamName)
+      expect(resource.getPipelineName()).to.eql(buildData.pipelineName)
+    })
+  })
+
+  describe('getResourceVersionFor', () => {
+    const buildClientWithResources = (buildId, resources) => {
+      const listResources = sinon.stub().resolves(resources)
+      const forBuild = sinon.stub()
+        .withArgs(buildId)
+        .returns({ listResources })
+
+      return { forBuild }
+    }
+
+    it('returns the version the build produced for the resource',
+      async () => {
+        const buildData = data.randomBuild()
+        const inputVersion = data.randomResourceVersionVersion()
+        const outputVersion = data.randomResourceVersionVersion()
+
+        const client = buildClientWithResources(buildData.id, {
+          inputs: [{ name: 'repo', resource: 'source', version: inputVersion }],
+          outputs: [{ name: 'source', version: outputVersion }]
+        })
+
+        const build = new Build({ ...buildData, client })
+
+        expect(await build.getResourceVersionFor('source'))
+          .to.eql(outputVersion)
+      })
+
+    it('returns the version the build consumed for the resource',
+      async () => {
+        const buildData = data.randomBuild()
+        const inputVersion = data.randomResourceVersionVersion()
+
+        const client = buildClientWithResources(buildData.id, {
+          inputs: [{ name: 'repo', resource: 'source', version: inputVersion }],
+          outputs: []
+        })
+
+        const build = new Build({ ...buildData, client })
+
+        expect(await build.getResourceVersionFor('source'))
+          .to.eql(inputVersion)
+      })
+
+    it('returns null when the build did not use the resource', async () => {
+      const buildData = data.randomBuild()
+
+      const client = buildClientWithResources(buildData.id, {
+        inputs: [],
+        outputs: []
+      })
+
+      const build = new Build({ ...buildData, client })
+
+      expect(await build.getResourceVersionFor('source')).to.eql(null)
+    })
+  })
+
+  describe('waitForCompletion', () => {
+    it('polls until the build reaches a terminal status', async () => {
+      const buildData = data.randomBuild({ status: BuildStatus.pending })
+
+      const getBuild = sinon.stub()
+      getBuild.onCall(0)
+        .resolves({ ...buildData, status: BuildStatus.pending })
+      getBuild.onCall(1)
+        .resolves({ ...buildData, status: BuildStatus.started })
+      getBuild.onCall(2)
+        .resolves({ ...buildData, status: BuildStatus.failed })
+      const client = { getBuild }
+
+      const build = new Build({ ...buildData, client })
+
+      const finishedBuild = await build.waitForCompletion({ interval: 1 })
+
+      expect(finishedBuild).to.equal(build)
+      expect(finishedBuild.getStatus()).to.eql(BuildStatus.failed)
+      expect(getBuild.callCount).to.eql(3)
+    })
+
+    it('notifies of each change in status', async () => {
+      const buildData = data.randomBuild({ status: BuildStatus.pending })
+
+      const getBuild = sinon.stub()
+      getBuild.onCall(0)
+        .resolves({ ...buildData, status: BuildStatus.started })
+      getBuild.onCall(1)
+        .resolves({ ...buildData, status: BuildStatus.started })
+      getBuild.onCall(2)
+        .resolves({ ...buildData, status: BuildStatus.succeeded })
+      const client = { getBuild }
+
+      const build = new Build({ ...buildData, client })
+      const onStatusChange = sinon.spy()
+
+      await build.waitForCompletion({ interval: 1, onStatusChange })
+
+      expect(onStatusChange.args).to.eql([
+        [BuildStatus.started, BuildStatus.pending, build],
+        [BuildStatus.succeeded, BuildStatus.started, build]
+      ])
+    })
+
+    it('throws a timeout error if the build does not complete in time',
+      async () => {
+        const buildData = data.randomBuild({ status: BuildStatus.started })
+
+        const getBuild = sinon.stub().resolves(buildData)
+        const client = { getBuild }
+
+        const build = new Build({ ...buildData, client })
+
+        try {
+          await build.waitForCompletion({ timeout: 20, interval: 5 })
+        } catch (e) {
+          expect(e).to.be.instanceOf(TimeoutError)
+          expect(e.timeout).to.eql(20)
+          expect(e.message).to.eql(
+            `Build ${buildData.id} did not complete within 20ms.`)
+          return
+        }
+        expect.fail(null, null, 'Expected exception but none was thrown.')
+      })
+
+    it('throws a validation error if the options are invalid', async () => {
+      const buildData = data.randomBuild({ status: BuildStatus.started })
+
+      const getBuild = sinon.stub().resolves(buildData)
+      const client = { getBuild }
+
+      const build = new Build({ ...buildData, client })
+
+      try {
+        await build.waitForCompletion({ interval: 'often' })
+      } catch (e) {
+        expect(e).to.be.instanceOf(ValidationError)
+        expect(e.message).to.eql(
+          'Invalid parameter(s): ["interval" must be a number].')
+        expect(getBuild.called).to.eql(false)
+        return
+      }
+      expect.fail(null, null, 'Expected exception but none was thrown.')
+    })
   })
 })
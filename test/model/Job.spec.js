@@ -5,6 +5,7 @@ import { expect } from 'chai'
 import { map, times } from 'ramda'
 
 import data from '../testsupport/data'
+import { asyncIterableOf } from '../testsupport/iterables'
 import Job from '../../src/model/Job'
 import Input, { toInput } from '../../src/model/Input'
 import Output, { toOutput } from '../../src/model/Output'
@@ -12,6 +13,48 @@ import JobSet from '../../src/model/JobSet'
 import Build from '../../src/model/Build'
 import BuildStatus from '../../src/model/BuildStatus'
 
+const fakeClientFor = ({
+  teamName,
+  pipelineName,
+  jobs = [],
+  buildsByJob = {},
+  resourcesByBuild = {},
+  versionsByResource = {}
+}) => {
+  const forJob = jobName => ({
+    listBuilds: async () => (buildsByJob[jobName] || []).slice(0, 1),
+    iterateBuilds: () => asyncIterableOf(buildsByJob[jobName] || [])
+  })
+  const forResource = resourceName => ({
+    iterateVersions: () => asyncIterableOf(
+      map(
+        version => data.randomResourceVersion({
+          resource: resourceName, version
+        }),
+        versionsByResource[resourceName] || []))
+  })
+  const pipelineClient = {
+    getJob: async jobName => jobs.find(job => job.name === jobName),
+    forJob,
+    forResource
+  }
+  const teamClient = {
+    forPipeline: sinon.stub().withArgs(pipelineName).returns(pipelineClient)
+  }
+
+  return {
+    forTeam: sinon.stub().withArgs(teamName).returns(teamClient),
+    forBuild: buildId => ({
+      listResources: async () => resourcesByBuild[buildId]
+    })
+  }
+}
+
+const buildResourcesWithInput = (resourceName, version) => ({
+  inputs: [{ name: resourceName, resource: resourceName, version }],
+  outputs: []
+})
+
 describe('Job', () => {
   it('exposes its attributes', () => {
     const jobData = data.randomJob()
@@ -584,7 +627,12 @@ describe('Job', () => {
 
         const listBuilds = sinon.stub()
         listBuilds.withArgs({ limit: 1 }).resolves([buildData])
-        const pipelineClient = { listBuilds }
+        const jobClient = { listBuilds }
+
+        const forJob = sinon.stub()
+          .withArgs(jobData.name)
+          .returns(jobClient)
+        const pipelineClient = { forJob }
 
         const forPipeline = sinon.stub()
           .withArgs(pipelineName)
@@ -615,7 +663,12 @@ describe('Job', () => {
 
       const listBuilds = sinon.stub()
       listBuilds.withArgs({ limit: 1 }).resolves([])
-      const pipelineClient = { listBuilds }
+      const jobClient = { listBuilds }
+
+      const forJob = sinon.stub()
+        .withArgs(jobData.name)
+        .returns(jobClient)
+      const pipelineClient = { forJob }
 
       const forPipeline = sinon.stub()
         .withArgs(pipelineName)
@@ -657,11 +710,17 @@ describe('Job', () => {
         status: BuildStatus.failed
       })
 
-      const listBuilds = sinon.stub()
-      listBuilds
+      const iterateBuilds = sinon.stub()
+      iterateBuilds
         .withArgs({ limit: 10 })
-        .resolves([firstBuildData, secondBuildData, thirdBuildData])
-      const pipelineClient = { listBuilds }
+        .returns(asyncIterableOf(
+          [firstBuildData, secondBuildData, thirdBuildData]))
+      const jobClient = { iterateBuilds }
+
+      const forJob = sinon.stub()
+        .withArgs(jobData.name)
+        .returns(jobClient)
+      const pipelineClient = { forJob }
 
       const forPipeline = sinon.stub()
         .withArgs(pipelineName)
@@ -682,50 +741,57 @@ describe('Job', () => {
       expect(actualBuild).to.eql(expectedBuild)
     })
 
-    it('returns the first build with the provided status ' +
-      'across pages', async () => {
-      const pipelineName = data.randomPipelineName()
-      const teamName = data.randomTeamName()
-
-      const jobData = data.randomJob({
-        pipelineName
-      })
+    it('stops iterating builds once one with the provided status is found',
+      async () => {
+        const pipelineName = data.randomPipelineName()
+        const teamName = data.randomTeamName()
 
-      const firstTenBuildsData = times(() => data.randomBuild({
-        status: BuildStatus.succeeded
-      }), 10)
-      const firstSecondPageBuildData = data.randomBuild({
-        status: BuildStatus.succeeded
-      })
-      const secondSecondPageBuildData = data.randomBuild({
-        status: BuildStatus.failed
-      })
+        const jobData = data.randomJob({
+          pipelineName
+        })
 
-      const listBuilds = sinon.stub()
-      listBuilds
-        .withArgs({ limit: 10 }).resolves(firstTenBuildsData)
-        .withArgs({ limit: 10, since: firstTenBuildsData[9].id }).resolves(
-          [firstSecondPageBuildData, secondSecondPageBuildData])
-      const pipelineClient = { listBuilds }
+        const buildsData = [
+          ...times(() => data.randomBuild({
+            status: BuildStatus.succeeded
+          }), 12),
+          data.randomBuild({ status: BuildStatus.failed }),
+          ...times(() => data.randomBuild({
+            status: BuildStatus.failed
+          }), 5)
+        ]
+        const consumedBuildsData = []
+
+        const iterateBuilds = sinon.stub()
+        iterateBuilds
+          .withArgs({ limit: 10 })
+          .returns(asyncIterableOf(buildsData, consumedBuildsData))
+        const jobClient = { iterateBuilds }
+
+        const forJob = sinon.stub()
+          .withArgs(jobData.name)
+          .returns(jobClient)
+        const pipelineClient = { forJob }
 
-      const forPipeline = sinon.stub()
-        .withArgs(pipelineName)
-        .returns(pipelineClient)
-      const teamClient = { forPipeline }
+        const forPipeline = sinon.stub()
+          .withArgs(pipelineName)
+          .returns(pipelineClient)
+        const teamClient = { forPipeline }
 
-      const forTeam = sinon.stub()
-        .withArgs(teamName)
-        .returns(teamClient)
-      const client = { forTeam }
+        const forTeam = sinon.stub()
+          .withArgs(teamName)
+          .returns(teamClient)
+        const client = { forTeam }
 
-      const job = new Job({ ...jobData, client })
+        const job = new Job({ ...jobData, client })
 
-      const expectedBuild = new Build({ ...secondSecondPageBuildData, client })
+        const expectedBuild = new Build({ ...buildsData[12], client })
 
-      const actualBuild = await job.getLatestBuildWithStatus(BuildStatus.failed)
+        const actualBuild =
+          await job.getLatestBuildWithStatus(BuildStatus.failed)
 
-      expect(actualBuild).to.eql(expectedBuild)
-    })
+        expect(actualBuild).to.eql(expectedBuild)
+        expect(consumedBuildsData).to.have.length(13)
+      })
 
     it('returns null when the job has no builds', async () => {
       const pipelineName = data.randomPipelineName()
@@ -735,9 +801,14 @@ describe('Job', () => {
         pipelineName
       })
 
-      const listBuilds = sinon.stub()
-      listBuilds.withArgs({ limit: 10 }).resolves([])
-      const pipelineClient = { listBuilds }
+      const iterateBuilds = sinon.stub()
+      iterateBuilds.withArgs({ limit: 10 }).returns(asyncIterableOf([]))
+      const jobClient = { iterateBuilds }
+
+      const forJob = sinon.stub()
+        .withArgs(jobData.name)
+        .returns(jobClient)
+      const pipelineClient = { forJob }
 
       const forPipeline = sinon.stub()
         .withArgs(pipelineName)
@@ -779,11 +850,17 @@ describe('Job', () => {
         status: BuildStatus.failed
       })
 
-      const listBuilds = sinon.stub()
-      listBuilds
+      const iterateBuilds = sinon.stub()
+      iterateBuilds
         .withArgs({ limit: 10 })
-        .resolves([firstBuildData, secondBuildData, thirdBuildData])
-      const pipelineClient = { listBuilds }
+        .returns(asyncIterableOf(
+          [firstBuildData, secondBuildData, thirdBuildData]))
+      const jobClient = { iterateBuilds }
+
+      const forJob = sinon.stub()
+        .withArgs(jobData.name)
+        .returns(jobClient)
+      const pipelineClient = { forJob }
 
       const forPipeline = sinon.stub()
         .withArgs(pipelineName)
@@ -803,4 +880,280 @@ describe('Job', () => {
       expect(actualBuild).to.eql(null)
     })
   })
+
+  describe('getVersionDrift', () => {
+    const teamName = data.randomTeamName()
+    const pipelineName = data.randomPipelineName()
+    const versions = map(
+      ref => data.randomResourceVersionVersion({ ref }),
+      ['v5', 'v4', 'v3', 'v2', 'v1'])
+    const [v5, v4, , v2] = versions
+
+    const jobDataFor = (name, inputs) => data.randomJob({
+      name,
+      teamName,
+      pipelineName,
+      inputs,
+      outputs: []
+    })
+    const succeededBuild = id => data.randomBuild({
+      id, status: BuildStatus.succeeded
+    })
+
+    it('counts the versions upstream jobs have passed since the ' +
+      'latest build', async () => {
+      const stagingData = jobDataFor('staging', [
+        data.randomInput({ resource: 'source', trigger: true })
+      ])
+      const prodData = jobDataFor('prod', [
+        data.randomInput({
+          resource: 'source', passed: ['staging'], trigger: false
+        })
+      ])
+
+      const client = fakeClientFor({
+        teamName,
+        pipelineName,
+        jobs: [stagingData, prodData],
+        buildsByJob: {
+          staging: [succeededBuild(1)],
+          prod: [succeededBuild(2)]
+        },
+        resourcesByBuild: {
+          1: buildResourcesWithInput('source', v5),
+          2: buildResourcesWithInput('source', v2)
+        },
+        versionsByResource: { source: versions }
+      })
+
+      const job = new Job({ ...prodData, client })
+
+      const drift = await job.getVersionDrift()
+
+      expect(drift).to.eql([{
+        resourceName: 'source',
+        version: v2,
+        upstreamJobName: 'staging',
+        upstreamVersion: v5,
+        drift: 3
+      }])
+    })
+
+    it('uses the minimum drift across all upstream jobs', async () => {
+      const stagingData = jobDataFor('staging', [
+        data.randomInput({ resource: 'source', trigger: true })
+      ])
+      const qaData = jobDataFor('qa', [
+        data.randomInput({ resource: 'source', trigger: true })
+      ])
+      const prodData = jobDataFor('prod', [
+        data.randomInput({
+          resource: 'source', passed: ['staging', 'qa'], trigger: false
+        })
+      ])
+
+      const client = fakeClientFor({
+        teamName,
+        pipelineName,
+        jobs: [stagingData, qaData, prodData],
+        buildsByJob: {
+          staging: [succeededBuild(1)],
+          qa: [
+            data.randomBuild({ id: 4, status: BuildStatus.failed }),
+            succeededBuild(3)
+          ],
+          prod: [succeededBuild(2)]
+        },
+        resourcesByBuild: {
+          1: buildResourcesWithInput('source', v5),
+          2: buildResourcesWithInput('source', v2),
+          3: {
+            inputs: [],
+            outputs: [{ name: 'source', version: v4 }]
+          }
+        },
+        versionsByResource: { source: versions }
+      })
+
+      const job = new Job({ ...prodData, client })
+
+      const drift = await job.getVersionDrift()
+
+      expect(drift).to.eql([{
+        resourceName: 'source',
+        version: v2,
+        upstreamJobName: 'qa',
+        upstreamVersion: v4,
+        drift: 2
+      }])
+    })
+
+    it('compares against the latest version of the resource when the ' +
+      'input has no upstream jobs', async () => {
+      const jobData = jobDataFor('deploy', [
+        data.randomInput({ resource: 'source', trigger: false })
+      ])
+
+      const client = fakeClientFor({
+        teamName,
+        pipelineName,
+        jobs: [jobData],
+        buildsByJob: { deploy: [succeededBuild(2)] },
+        resourcesByBuild: { 2: buildResourcesWithInput('source', v4) },
+        versionsByResource: { source: versions }
+      })
+
+      const job = new Job({ ...jobData, client })
+
+      const drift = await job.getVersionDrift()
+
+      expect(drift).to.eql([{
+        resourceName: 'source',
+        version: v4,
+        upstreamJobName: null,
+        upstreamVersion: v5,
+        drift: 1
+      }])
+    })
+
+    it('has no drift when no upstream job has passed a version',
+      async () => {
+        const stagingData = jobDataFor('staging', [
+          data.randomInput({ resource: 'source', trigger: true })
+        ])
+        const prodData = jobDataFor('prod', [
+          data.randomInput({
+            resource: 'source', passed: ['staging'], trigger: false
+          })
+        ])
+
+        const client = fakeClientFor({
+          teamName,
+          pipelineName,
+          jobs: [stagingData, prodData],
+          buildsByJob: {
+            staging: [data.randomBuild({ id: 1, status: BuildStatus.failed })]
+          },
+          versionsByResource: { source: versions }
+        })
+
+        const job = new Job({ ...prodData, client })
+
+        const drift = await job.getVersionDrift()
+
+        expect(drift).to.eql([{
+          resourceName: 'source',
+          version: null,
+          upstreamJobName: null,
+          upstreamVersion: null,
+          drift: 0
+        }])
+      })
+
+    it('compares against the latest build to have resolved its inputs',
+      async () => {
+        const stagingData = jobDataFor('staging', [
+          data.randomInput({ resource: 'source', trigger: true })
+        ])
+        const prodData = jobDataFor('prod', [
+          data.randomInput({
+            resource: 'source', passed: ['staging'], trigger: false
+          })
+        ])
+
+        const client = fakeClientFor({
+          teamName,
+          pipelineName,
+          jobs: [stagingData, prodData],
+          buildsByJob: {
+            staging: [succeededBuild(1)],
+            prod: [
+              data.randomBuild({ id: 4, status: BuildStatus.pending }),
+              data.randomBuild({ id: 3, status: BuildStatus.errored }),
+              succeededBuild(2)
+            ]
+          },
+          resourcesByBuild: {
+            1: buildResourcesWithInput('source', v5),
+            2: buildResourcesWithInput('source', v2),
+            3: { inputs: [], outputs: [] },
+            4: { inputs: [], outputs: [] }
+          },
+          versionsByResource: { source: versions }
+        })
+
+        const job = new Job({ ...prodData, client })
+
+        const drift = await job.getVersionDrift()
+
+        expect(drift).to.eql([{
+          resourceName: 'source',
+          version: v2,
+          upstreamJobName: 'staging',
+          upstreamVersion: v5,
+          drift: 3
+        }])
+      })
+
+    it('has unknown drift when the job has never been built', async () => {
+      const stagingData = jobDataFor('staging', [
+        data.randomInput({ resource: 'source', trigger: true })
+      ])
+      const prodData = jobDataFor('prod', [
+        data.randomInput({
+          resource: 'source', passed: ['staging'], trigger: false
+        })
+      ])
+
+      const client = fakeClientFor({
+        teamName,
+        pipelineName,
+        jobs: [stagingData, prodData],
+        buildsByJob: { staging: [succeededBuild(1)] },
+        resourcesByBuild: { 1: buildResourcesWithInput('source', v5) },
+        versionsByResource: { source: versions }
+      })
+
+      const job = new Job({ ...prodData, client })
+
+      const drift = await job.getVersionDrift()
+
+      expect(drift).to.eql([{
+        resourceName: 'source',
+        version: null,
+        upstreamJobName: null,
+        upstreamVersion: null,
+        drift: null
+      }])
+    })
+  })
+
+  describe('getCurrentStatus', () => {
+    it('returns the status of the next build when there is one', () => {
+      const job = new Job(data.randomJob({
+        nextBuild: data.randomBuild({ status: BuildStatus.started }),
+        finishedBuild: data.randomBuild({ status: BuildStatus.failed })
+      }))
+
+      expect(job.getCurrentStatus()).to.eql(BuildStatus.started)
+    })
+
+    it('returns the status of the finished build otherwise', () => {
+      const job = new Job(data.randomJob({
+        nextBuild: null,
+        finishedBuild: data.randomBuild({ status: BuildStatus.failed })
+      }))
+
+      expect(job.getCurrentStatus()).to.eql(BuildStatus.failed)
+    })
+
+    it('returns null when the job has never been built', () => {
+      const job = new Job(data.randomJob({
+        nextBuild: null,
+        finishedBuild: null
+      }))
+
+      expect(job.getCurrentStatus()).to.eql(null)
+    })
+  })
 })
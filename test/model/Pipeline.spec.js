@@ -6,6 +6,8 @@ import { expect } from 'chai'
 import data from '../testsupport/data'
 import Pipeline from '../../src/model/Pipeline'
 import Job from '../../src/model/Job'
+import Resource from '../../src/model/Resource'
+import { ValidationError } from '../../src/errors'
 
 describe('Pipeline', () => {
   it('exposes its attributes', async () => {
@@ -31,6 +33,7 @@ describe('Pipeline', () => {
     expect(pipeline.getTeamName()).to.eql(pipelineData.teamName)
     expect(pipeline.isPaused()).to.eql(pipelineData.paused)
     expect(pipeline.isPublic()).to.eql(pipelineData.public)
+    expect(pipeline.isArchived()).to.eql(pipelineData.archived)
   })
 
   it('knows all start point jobs in the pipeline', async () => {
@@ -322,4 +325,207 @@ describe('Pipeline', () => {
 
     expect(actualManualJobs).to.eql(expectedManualJobs)
   })
+
+  it('gets a resource in the pipeline', async () => {
+    const teamName = data.randomTeamName()
+    const pipelineName = data.randomPipelineName()
+    const resourceName = data.randomResourceName()
+
+    const resourceData = data.randomResource({
+      name: resourceName, teamName, pipelineName
+    })
+
+    const getResource = sinon.stub()
+      .withArgs(resourceName)
+      .resolves(resourceData)
+    const pipelineClient = { getResource }
+
+    const forPipeline = sinon.stub()
+      .withArgs(pipelineName)
+      .returns(pipelineClient)
+    const teamClient = { forPipeline }
+
+    const forTeam = sinon.stub()
+      .withArgs(teamName)
+      .returns(teamClient)
+    const client = { forTeam }
+
+    const pipeline = new Pipeline({
+      ...data.randomPipeline({ name: pipelineName, teamName }),
+      client
+    })
+
+    const resource = await pipeline.getResourceFor(resourceName)
+
+    expect(resource).to.eql(new Resource({ ...resourceData, client }))
+  })
+
+  it('reports the version drift of each manual job', async () => {
+    const teamName = data.randomTeamName()
+    const pipelineName = data.randomPipelineName()
+
+    const manualJobData = data.randomJob({
+      teamName,
+      pipelineName,
+      inputs: [data.randomInput({ trigger: false })]
+    })
+    const automaticJobData = data.randomJob({
+      teamName,
+      pipelineName,
+      inputs: [data.randomInput({ trigger: true })]
+    })
+
+    const listJobs = sinon.stub()
+      .resolves([manualJobData, automaticJobData])
+    const pipelineClient = { listJobs }
+
+    const forPipeline = sinon.stub()
+      .withArgs(pipelineName)
+      .returns(pipelineClient)
+    const teamClient = { forPipeline }
+
+    const forTeam = sinon.stub()
+      .withArgs(teamName)
+      .returns(teamClient)
+    const client = { forTeam }
+
+    const drift = [{
+      resourceName: manualJobData.inputs[0].resource,
+      version: data.randomResourceVersionVersion(),
+      upstreamJobName: null,
+      upstreamVersion: data.randomResourceVersionVersion(),
+      drift: 14
+    }]
+    const getVersionDrift = sinon.stub(Job.prototype, 'getVersionDrift')
+      .resolves(drift)
+
+    try {
+      const pipeline = new Pipeline({
+        ...data.randomPipeline({ name: pipelineName, teamName }),
+        client
+      })
+
+      const report = await pipeline.getVersionDriftReport()
+
+      expect(report).to.eql([{ jobName: manualJobData.name, drift }])
+      expect(getVersionDrift.callCount).to.eql(1)
+    } finally {
+      getVersionDrift.restore()
+    }
+  })
+
+  it('builds its dependency graph from a single fetch of its jobs',
+    async () => {
+      const teamName = data.randomTeamName()
+      const pipelineName = data.randomPipelineName()
+      const resourceName = data.randomResourceName()
+
+      const firstJobData = data.randomIndependentJobFor({
+        pipelineName, resourceName
+      })
+      const secondJobData = data.randomDependentJobFor({
+        dependencyJobName: firstJobData.name, pipelineName, resourceName
+      })
+
+      const listJobs = sinon.stub()
+        .resolves([firstJobData, secondJobData])
+      const pipelineClient = { listJobs }
+
+      const forPipeline = sinon.stub()
+        .withArgs(pipelineName)
+        .returns(pipelineClient)
+      const teamClient = { forPipeline }
+
+      const forTeam = sinon.stub()
+        .withArgs(teamName)
+        .returns(teamClient)
+      const client = { forTeam }
+
+      const pipeline = new Pipeline({
+        ...data.randomPipeline({ name: pipelineName, teamName }),
+        client
+      })
+
+      const graph = await pipeline.getGraph()
+
+      expect(listJobs.callCount).to.eql(1)
+      expect(graph.getDependentJobsFor(firstJobData.name))
+        .to.eql([new Job({ ...secondJobData, client })])
+      expect(graph.getDependencyJobsFor(secondJobData.name))
+        .to.eql([new Job({ ...firstJobData, client })])
+    })
+
+  describe('toGraph', () => {
+    const buildPipeline = () => {
+      const teamName = data.randomTeamName()
+      const pipelineName = 'deploy'
+      const resourceName = 'source'
+
+      const firstJobData = data.randomIndependentJobFor({
+        jobName: 'build', pipelineName, resourceName
+      })
+      const secondJobData = data.randomDependentJobFor({
+        jobName: 'release',
+        dependencyJobName: 'build',
+        pipelineName,
+        resourceName
+      })
+
+      const listJobs = sinon.stub()
+        .resolves([firstJobData, secondJobData])
+      const pipelineClient = { listJobs }
+
+      const forPipeline = sinon.stub()
+        .withArgs(pipelineName)
+        .returns(pipelineClient)
+      const teamClient = { forPipeline }
+
+      const forTeam = sinon.stub()
+        .withArgs(teamName)
+        .returns(teamClient)
+      const client = { forTeam }
+
+      return new Pipeline({
+        ...data.randomPipeline({ name: pipelineName, teamName }),
+        client
+      })
+    }
+
+    it('renders the pipeline as DOT by default', async () => {
+      const dot = await buildPipeline().toGraph()
+
+      expect(dot).to.match(/^digraph "deploy" \{/)
+      expect(dot).to.include(
+        '"job:build" -> "job:release" [label="source"]')
+    })
+
+    it('renders the pipeline in the requested format', async () => {
+      const pipeline = buildPipeline()
+
+      const mermaid = await pipeline.toGraph({ format: 'mermaid' })
+      const json = JSON.parse(await pipeline.toGraph({
+        format: 'json', includeResources: true, groupBy: 'group'
+      }))
+
+      expect(mermaid).to.match(/^flowchart LR\n/)
+      expect(mermaid).to.include('n0 -->|"source"| n1')
+      expect(json.name).to.eql('deploy')
+      expect(json.nodes).to.deep.include(
+        { id: 'resource:source', type: 'resource', name: 'source' })
+      expect(json.groups).to.have.length.of.at.least(1)
+    })
+
+    it('throws when the format is not supported', async () => {
+      try {
+        await buildPipeline().toGraph({ format: 'svg' })
+      } catch (e) {
+        expect(e).to.be.instanceOf(ValidationError)
+        expect(e.message).to.eql(
+          'Invalid parameter(s): ' +
+          '["format" must be one of [dot, mermaid, json]].')
+        return
+      }
+      expect.fail('Expected an exception to be thrown but none was.')
+    })
+  })
 })
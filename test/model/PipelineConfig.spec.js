@@ -0,0 +1,274 @@
+import 'core-js/stable'
+import 'regenerator-runtime/runtime'
+import { expect } from 'chai'
+
+import PipelineConfig from '../../src/model/PipelineConfig'
+import { ValidationError } from '../../src/errors'
+
+const validPipelineConfig =
+  'var_sources:\n' +
+  '- name: vault\n' +
+  '  type: vault\n' +
+  '  config: { url: "https://vault.example.com" }\n' +
+  'resource_types:\n' +
+  '- name: slack\n' +
+  '  type: registry-image\n' +
+  '  source: { repository: cfcommunity/slack-notification-resource }\n' +
+  'resources:\n' +
+  '- name: repo\n' +
+  '  type: git\n' +
+  '  source: { uri: "https://example.com/repo.git" }\n' +
+  '- name: notify\n' +
+  '  type: slack\n' +
+  'jobs:\n' +
+  '- name: build\n' +
+  '  plan:\n' +
+  '  - get: repo\n' +
+  '    trigger: true\n' +
+  '- name: deploy\n' +
+  '  plan:\n' +
+  '  - in_parallel:\n' +
+  '    - get: source\n' +
+  '      resource: repo\n' +
+  '      passed: [build]\n' +
+  '  on_failure:\n' +
+  '    put: notify\n' +
+  'groups:\n' +
+  '- name: all\n' +
+  '  jobs: [build, deploy]\n'
+
+describe('PipelineConfig', () => {
+  it('exposes its sections', () => {
+    const config = PipelineConfig.parse(validPipelineConfig)
+
+    expect(config.getJobs().map(job => job.name))
+      .to.eql(['build', 'deploy'])
+    expect(config.getResources().map(resource => resource.name))
+      .to.eql(['repo', 'notify'])
+    expect(config.getResourceTypes().map(type => type.name))
+      .to.eql(['slack'])
+    expect(config.getGroups()).to.eql([
+      { name: 'all', jobs: ['build', 'deploy'] }
+    ])
+    expect(config.getVarSources().map(source => source.name))
+      .to.eql(['vault'])
+    expect(config.getJob('build')).to.eql({
+      name: 'build',
+      plan: [{ get: 'repo', trigger: true }]
+    })
+    expect(config.getResource('notify')).to.eql({
+      name: 'notify',
+      type: 'slack'
+    })
+    expect(config.toYaml()).to.eql(validPipelineConfig)
+  })
+
+  it('returns empty sections for an empty config', () => {
+    const config = PipelineConfig.parse('')
+
+    expect(config.getJobs()).to.eql([])
+    expect(config.getResources()).to.eql([])
+    expect(config.isValid()).to.eql(true)
+  })
+
+  it('is valid when all references resolve', () => {
+    const config = PipelineConfig.parse(validPipelineConfig)
+
+    expect(config.getErrors()).to.eql([])
+    expect(config.isValid()).to.eql(true)
+    expect(config.validate()).to.equal(config)
+  })
+
+  it('reports YAML syntax errors with line numbers', () => {
+    const config = PipelineConfig.parse(
+      'jobs:\n' +
+      '- name: build\n' +
+      '  plan: [\n')
+
+    const errors = config.getErrors()
+
+    expect(errors).to.have.length.above(0)
+    expect(errors[0].line).to.eql(3)
+  })
+
+  it('reports schema violations with line numbers', () => {
+    const config = PipelineConfig.parse(
+      'resources:\n' +
+      '- name: repo\n' +
+      'jobs:\n' +
+      '- name: build\n' +
+      '  plan: not-a-list\n' +
+      'unknown: true\n')
+
+    expect(config.getErrors()).to.eql([
+      {
+        path: ['resources', 0, 'type'],
+        line: 2,
+        message: '"resources[0].type" is required'
+      },
+      {
+        path: ['jobs', 0, 'plan'],
+        line: 5,
+        message: '"jobs[0].plan" must be an array'
+      },
+      {
+        path: ['unknown'],
+        line: 6,
+        message: '"unknown" is not allowed'
+      }
+    ])
+  })
+
+  it('reports steps referring to undefined resources', () => {
+    const config = PipelineConfig.parse(
+      'resources:\n' +
+      '- name: repo\n' +
+      '  type: git\n' +
+      'jobs:\n' +
+      '- name: build\n' +
+      '  plan:\n' +
+      '  - get: repo\n' +
+      '  - do:\n' +
+      '    - get: image\n' +
+      '  - try:\n' +
+      '      put: artifact\n')
+
+    expect(config.getErrors()).to.eql([
+      {
+        path: ['jobs', 0, 'plan', 1, 'do', 0, 'get'],
+        line: 9,
+        message: 'job "build" get step refers to undefined resource "image"'
+      },
+      {
+        path: ['jobs', 0, 'plan', 2, 'try', 'put'],
+        line: 11,
+        message:
+          'job "build" put step refers to undefined resource "artifact"'
+      }
+    ])
+  })
+
+  it('reports passed constraints referring to undefined jobs', () => {
+    const config = PipelineConfig.parse(
+      'resources:\n' +
+      '- name: repo\n' +
+      '  type: git\n' +
+      'jobs:\n' +
+      '- name: deploy\n' +
+      '  plan:\n' +
+      '  - get: repo\n' +
+      '    passed:\n' +
+      '    - build\n')
+
+    expect(config.getErrors()).to.eql([
+      {
+        path: ['jobs', 0, 'plan', 0, 'passed', 0],
+        line: 9,
+        message: 'job "deploy" get step "repo" requires undefined job ' +
+          '"build" to have passed'
+      }
+    ])
+  })
+
+  it('reports duplicate names', () => {
+    const config = PipelineConfig.parse(
+      'resources:\n' +
+      '- name: repo\n' +
+      '  type: git\n' +
+      '- name: repo\n' +
+      '  type: git\n' +
+      'jobs:\n' +
+      '- name: build\n' +
+      '  plan: [{ get: repo }]\n' +
+      '- name: build\n' +
+      '  plan: [{ get: repo }]\n')
+
+    expect(config.getErrors()).to.eql([
+      {
+        path: ['resources', 1, 'name'],
+        line: 4,
+        message: 'resource "repo" is defined more than once'
+      },
+      {
+        path: ['jobs', 1, 'name'],
+        line: 9,
+        message: 'job "build" is defined more than once'
+      }
+    ])
+  })
+
+  it('throws a validation error describing all problems', () => {
+    const config = PipelineConfig.parse(
+      'jobs:\n' +
+      '- name: build\n' +
+      '  plan:\n' +
+      '  - get: repo\n')
+
+    try {
+      config.validate()
+    } catch (e) {
+      expect(e).to.be.instanceOf(ValidationError)
+      expect(e.details).to.eql([
+        'line 4: job "build" get step refers to undefined resource "repo"'
+      ])
+      expect(e.message).to.eql(
+        'Invalid pipeline config: [line 4: job "build" get step refers to ' +
+        'undefined resource "repo"].')
+      return
+    }
+    expect.fail(null, null, 'Expected exception but none was thrown.')
+  })
+
+  it('reports malformed steps with line numbers', () => {
+    const config = PipelineConfig.parse(
+      'resources:\n' +
+      '- name: repo\n' +
+      '  type: git\n' +
+      'jobs:\n' +
+      '- name: build\n' +
+      '  plan:\n' +
+      '  - get: repo\n' +
+      '    passed: some-job\n' +
+      '  - in_parallel: 3\n' +
+      '  - do:\n' +
+      '    - try: { get: repo, passed: [1] }\n' +
+      '  ensure: not-a-step\n')
+
+    expect(config.getErrors()).to.eql([
+      {
+        path: ['jobs', 0, 'plan', 0, 'passed'],
+        line: 8,
+        message: '"jobs[0].plan[0].passed" must be an array'
+      },
+      {
+        path: ['jobs', 0, 'plan', 1, 'in_parallel'],
+        line: 9,
+        message: '"jobs[0].plan[1].in_parallel" must be one of [array, object]'
+      },
+      {
+        path: ['jobs', 0, 'plan', 2, 'do', 0, 'try', 'passed', 0],
+        line: 11,
+        message: '"jobs[0].plan[2].do[0].try.passed[0]" must be a string'
+      },
+      {
+        path: ['jobs', 0, 'ensure'],
+        line: 12,
+        message: '"jobs[0].ensure" must be of type object'
+      }
+    ])
+  })
+
+  it('throws a validation error for malformed steps', () => {
+    const config = PipelineConfig.parse(
+      'jobs:\n' +
+      '- name: build\n' +
+      '  plan:\n' +
+      '  - get: repo\n' +
+      '    passed: some-job\n')
+
+    expect(() => config.validate()).to.throw(
+      ValidationError,
+      'Invalid pipeline config: ' +
+      '[line 5: "jobs[0].plan[0].passed" must be an array].')
+  })
+})
@@ -0,0 +1,179 @@
+import 'core-js/stable'
+import 'regenerator-runtime/runtime'
+import { expect } from 'chai'
+import { map } from 'ramda'
+
+import data from '../testsupport/data'
+import Job from '../../src/model/Job'
+import PipelineGraph from '../../src/model/PipelineGraph'
+import { ValidationError } from '../../src/errors'
+
+const jobFor = (name, inputs = []) => new Job(data.randomJob({
+  name,
+  inputs: map(input => data.randomInput(input), inputs),
+  outputs: []
+}))
+
+const namesOf = jobs => map(job => job.getName(), jobs)
+
+// build -> test, lint -> stage -> prod, with docs standing alone
+const buildPipelineGraph = () => new PipelineGraph([
+  jobFor('build', [{ resource: 'source', trigger: true }]),
+  jobFor('test', [
+    { resource: 'source', passed: ['build'], trigger: true }
+  ]),
+  jobFor('lint', [
+    { resource: 'source', passed: ['build'], trigger: true }
+  ]),
+  jobFor('stage', [
+    { resource: 'source', passed: ['test', 'lint'], trigger: true },
+    { resource: 'config', passed: ['lint'], trigger: false }
+  ]),
+  jobFor('prod', [
+    { resource: 'source', passed: ['stage'], trigger: false }
+  ]),
+  jobFor('docs', [{ resource: 'wiki', trigger: true }])
+])
+
+describe('PipelineGraph', () => {
+  describe('getDependencyJobsFor', () => {
+    it('returns the jobs the job requires to have passed', () => {
+      const graph = buildPipelineGraph()
+
+      expect(namesOf(graph.getDependencyJobsFor('stage')))
+        .to.eql(['test', 'lint'])
+      expect(namesOf(graph.getDependencyJobsFor('build'))).to.eql([])
+    })
+
+    it('returns the jobs required to have passed for the resource', () => {
+      const graph = buildPipelineGraph()
+
+      expect(namesOf(graph.getDependencyJobsFor('stage', 'config')))
+        .to.eql(['lint'])
+    })
+
+    it('ignores passed constraints on jobs not in the pipeline', () => {
+      const graph = new PipelineGraph([
+        jobFor('deploy', [{ resource: 'source', passed: ['missing'] }])
+      ])
+
+      expect(namesOf(graph.getDependencyJobsFor('deploy'))).to.eql([])
+    })
+
+    it('throws when the job is not in the pipeline', () => {
+      const graph = buildPipelineGraph()
+
+      expect(() => graph.getDependencyJobsFor('missing'))
+        .to.throw(ValidationError, 'Unknown job "missing".')
+    })
+  })
+
+  describe('getDependentJobsFor', () => {
+    it('returns the jobs requiring the job to have passed', () => {
+      const graph = buildPipelineGraph()
+
+      expect(namesOf(graph.getDependentJobsFor('build')))
+        .to.eql(['test', 'lint'])
+      expect(namesOf(graph.getDependentJobsFor('prod'))).to.eql([])
+    })
+
+    it('returns the jobs requiring the job to have passed for the resource',
+      () => {
+        const graph = buildPipelineGraph()
+
+        expect(namesOf(graph.getDependentJobsFor('lint', 'config')))
+          .to.eql(['stage'])
+        expect(namesOf(graph.getDependentJobsFor('test', 'config')))
+          .to.eql([])
+      })
+  })
+
+  describe('getUpstreamJobsFor', () => {
+    it('returns all jobs the job transitively depends on', () => {
+      const graph = buildPipelineGraph()
+
+      expect(namesOf(graph.getUpstreamJobsFor('prod')))
+        .to.eql(['build', 'test', 'lint', 'stage'])
+    })
+  })
+
+  describe('getDownstreamJobsFor', () => {
+    it('returns all jobs transitively depending on the job', () => {
+      const graph = buildPipelineGraph()
+
+      expect(namesOf(graph.getDownstreamJobsFor('build')))
+        .to.eql(['test', 'lint', 'stage', 'prod'])
+      expect(namesOf(graph.getDownstreamJobsFor('docs'))).to.eql([])
+    })
+  })
+
+  describe('getTriggeredJobsFor', () => {
+    it('returns the jobs that will run automatically after the job', () => {
+      const graph = buildPipelineGraph()
+
+      expect(namesOf(graph.getTriggeredJobsFor('build')))
+        .to.eql(['test', 'lint', 'stage'])
+    })
+  })
+
+  describe('start, mid and end point jobs', () => {
+    it('classifies jobs by their position in the graph', () => {
+      const graph = buildPipelineGraph()
+
+      expect(namesOf(graph.getStartPointJobs())).to.eql(['build', 'docs'])
+      expect(namesOf(graph.getMidPointJobs()))
+        .to.eql(['test', 'lint', 'stage'])
+      expect(namesOf(graph.getEndPointJobs())).to.eql(['prod', 'docs'])
+    })
+  })
+
+  describe('getStages', () => {
+    it('orders jobs into stages after their dependency jobs', () => {
+      const graph = buildPipelineGraph()
+
+      expect(map(namesOf, graph.getStages())).to.eql([
+        ['build', 'docs'],
+        ['test', 'lint'],
+        ['stage'],
+        ['prod']
+      ])
+    })
+
+    it('throws when the pipeline has dependency cycles', () => {
+      const graph = new PipelineGraph([
+        jobFor('first', [{ resource: 'source', passed: ['second'] }]),
+        jobFor('second', [{ resource: 'source', passed: ['first'] }])
+      ])
+
+      expect(() => graph.getStages())
+        .to.throw(
+          ValidationError,
+          'Pipeline has dependency cycles: [first, second].')
+    })
+  })
+
+  describe('getCycles', () => {
+    it('returns each set of jobs depending on each other', () => {
+      const graph = new PipelineGraph([
+        jobFor('first', [{ resource: 'source', passed: ['third'] }]),
+        jobFor('second', [{ resource: 'source', passed: ['first'] }]),
+        jobFor('third', [{ resource: 'source', passed: ['second'] }]),
+        jobFor('fourth', [{ resource: 'source', passed: ['fourth'] }]),
+        jobFor('fifth', [{ resource: 'source', passed: ['first'] }])
+      ])
+
+      expect(graph.hasCycles()).to.eql(true)
+      expect(map(namesOf, graph.getCycles())).to.eql([
+        ['first', 'second', 'third'],
+        ['fourth']
+      ])
+    })
+
+    it('returns no cycles for an acyclic pipeline', () => {
+      const graph = buildPipelineGraph()
+
+      expect(graph.hasCycles()).to.eql(false)
+      expect(graph.getCycles()).to.eql([])
+    })
+  })
+})
@@ -0,0 +1,228 @@
+import 'core-js/stable'
+import 'regenerator-runtime/runtime'
+import sinon from 'sinon'
+import { expect } from 'chai'
+import { omit } from 'ramda'
+
+import data from '../testsupport/data'
+import { asyncIterableOf, collect } from '../testsupport/iterables'
+import Resource from '../../src/model/Resource'
+import ResourceVersion from '../../src/model/ResourceVersion'
+import Build from '../../src/model/Build'
+
+// Version payloads from Concourse do not include the name of the resource.
+const randomVersionData = () => omit(['resource'], data.randomResourceVersion())
+
+const stubClientFor = ({ teamName, pipelineName, resourceName, ...stubs }) => {
+  const resourceClient = {
+    getVersion: stubs.getVersion,
+    iterateVersions: stubs.iterateVersions,
+    forVersion: stubs.forVersion
+  }
+
+  const pipelineClient = {
+    getResource: stubs.getResource,
+    forResource: name => name === resourceName ? resourceClient : undefined
+  }
+
+  const forPipeline = sinon.stub()
+    .withArgs(pipelineName)
+    .returns(pipelineClient)
+  const teamClient = { forPipeline }
+
+  const forTeam = sinon.stub()
+    .withArgs(teamName)
+    .returns(teamClient)
+
+  return { forTeam }
+}
+
+describe('Resource', () => {
+  it('exposes its attributes', async () => {
+    const teamName = data.randomTeamName()
+    const pipelineName = data.randomPipelineName()
+    const resourceName = data.randomResourceName()
+
+    const pinnedVersion = data.randomResourceVersionVersion()
+    const resourceData = data.randomResource({
+      name: resourceName,
+      teamName,
+      pipelineName,
+      paused: true,
+      pinnedVersion,
+      pinComment: 'waiting on a fix'
+    })
+
+    const getResource = sinon.stub()
+      .withArgs(resourceName)
+      .resolves(resourceData)
+    const client = stubClientFor({
+      teamName, pipelineName, resourceName, getResource
+    })
+
+    const resource = await Resource.load({
+      teamName, pipelineName, resourceName, client
+    })
+
+    expect(resource.getName()).to.eql(resourceName)
+    expect(resource.getTeamName()).to.eql(teamName)
+    expect(resource.getPipelineName()).to.eql(pipelineName)
+    expect(resource.getType()).to.eql(resourceData.type)
+    expect(resource.getLastChecked()).to.eql(resourceData.lastChecked)
+    expect(resource.isPaused()).to.eql(true)
+    expect(resource.isPinned()).to.eql(true)
+    expect(resource.getPinnedVersion()).to.eql(pinnedVersion)
+    expect(resource.getPinComment()).to.eql('waiting on a fix')
+    expect(resource.getCheckError()).to.eql(null)
+  })
+
+  it('is not pinned when it has no pinned version', () => {
+    const resource = new Resource(data.randomResource())
+
+    expect(resource.isPaused()).to.eql(false)
+    expect(resource.isPinned()).to.eql(false)
+    expect(resource.getPinnedVersion()).to.eql(null)
+    expect(resource.getPinComment()).to.eql(null)
+  })
+
+  it('exposes its check error', () => {
+    const resource = new Resource(data.randomResource({
+      checkError: 'failed to clone repository'
+    }))
+
+    expect(resource.getCheckError()).to.eql('failed to clone repository')
+  })
+
+  it('exposes its check setup error when there is no check error', () => {
+    const resource = new Resource(data.randomResource({
+      checkSetupError: 'unknown resource type'
+    }))
+
+    expect(resource.getCheckError()).to.eql('unknown resource type')
+  })
+
+  it('reloads its state', async () => {
+    const teamName = data.randomTeamName()
+    const pipelineName = data.randomPipelineName()
+    const resourceName = data.randomResourceName()
+
+    const resourceData = data.randomResource({
+      name: resourceName, teamName, pipelineName
+    })
+    const reloadedResourceData = {
+      ...resourceData,
+      lastChecked: resourceData.lastChecked + 60,
+      checkError: 'failed to clone repository'
+    }
+
+    const getResource = sinon.stub()
+      .withArgs(resourceName)
+      .resolves(reloadedResourceData)
+    const client = stubClientFor({
+      teamName, pipelineName, resourceName, getResource
+    })
+
+    const resource = new Resource({ ...resourceData, client })
+    await resource.reload()
+
+    expect(resource.getLastChecked())
+      .to.eql(reloadedResourceData.lastChecked)
+    expect(resource.getCheckError()).to.eql('failed to clone repository')
+  })
+
+  it('gets a version of the resource', async () => {
+    const teamName = data.randomTeamName()
+    const pipelineName = data.randomPipelineName()
+    const resourceName = data.randomResourceName()
+
+    const versionData = randomVersionData()
+
+    const getVersion = sinon.stub()
+      .withArgs(versionData.id)
+      .resolves(versionData)
+    const client = stubClientFor({
+      teamName, pipelineName, resourceName, getVersion
+    })
+
+    const resource = new Resource({
+      ...data.randomResource({ name: resourceName, teamName, pipelineName }),
+      client
+    })
+
+    const version = await resource.getVersion(versionData.id)
+
+    expect(version).to.eql(new ResourceVersion({
+      ...versionData, resource: resourceName, teamName, pipelineName, client
+    }))
+    expect(version.getResourceName()).to.eql(resourceName)
+  })
+
+  it('iterates over its version history', async () => {
+    const teamName = data.randomTeamName()
+    const pipelineName = data.randomPipelineName()
+    const resourceName = data.randomResourceName()
+
+    const firstVersionData = randomVersionData()
+    const secondVersionData = randomVersionData()
+
+    const iterateVersions = sinon.stub()
+      .withArgs({ limit: 50 })
+      .returns(asyncIterableOf([firstVersionData, secondVersionData]))
+    const client = stubClientFor({
+      teamName, pipelineName, resourceName, iterateVersions
+    })
+
+    const resource = new Resource({
+      ...data.randomResource({ name: resourceName, teamName, pipelineName }),
+      client
+    })
+
+    const versions =
+      await collect(resource.getVersionHistory({ limit: 50 }))
+
+    expect(versions).to.eql([
+      new ResourceVersion({
+        ...firstVersionData,
+        resource: resourceName,
+        teamName,
+        pipelineName,
+        client
+      }),
+      new ResourceVersion({
+        ...secondVersionData,
+        resource: resourceName,
+        teamName,
+        pipelineName,
+        client
+      })
+    ])
+  })
+
+  it('gets the builds of its versions', async () => {
+    const teamName = data.randomTeamName()
+    const pipelineName = data.randomPipelineName()
+    const resourceName = data.randomResourceName()
+
+    const versionData = randomVersionData()
+    const buildData = data.randomBuild({ teamName, pipelineName })
+
+    const listBuildsWithVersionAsInput = sinon.stub().resolves([buildData])
+    const forVersion = sinon.stub()
+      .withArgs(versionData.id)
+      .returns({ listBuildsWithVersionAsInput })
+    const getVersion = sinon.stub().resolves(versionData)
+    const client = stubClientFor({
+      teamName, pipelineName, resourceName, getVersion, forVersion
+    })
+
+    const resource = new Resource({
+      ...data.randomResource({ name: resourceName, teamName, pipelineName }),
+      client
+    })
+
+    const version = await resource.getVersion(versionData.id)
+    const builds = await version.getBuildsWithVersionAsInput()
+
+    expect(builds).to.eql([new Build({ ...buildData, client })])
+  })
+})
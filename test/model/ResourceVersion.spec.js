@@ -0,0 +1,100 @@
+import 'core-js/stable'
+import 'regenerator-runtime/runtime'
+import sinon from 'sinon'
+import { expect } from 'chai'
+
+import data from '../testsupport/data'
+import Build from '../../src/model/Build'
+import ResourceVersion from '../../src/model/ResourceVersion'
+
+const stubClientFor = ({
+  teamName, pipelineName, resourceName, versionId, ...stubs
+}) => {
+  const versionClient = { ...stubs }
+
+  const forVersion = sinon.stub()
+    .withArgs(versionId)
+    .returns(versionClient)
+  const resourceClient = { forVersion }
+
+  const forResource = sinon.stub()
+    .withArgs(resourceName)
+    .returns(resourceClient)
+  const pipelineClient = { forResource }
+
+  const forPipeline = sinon.stub()
+    .withArgs(pipelineName)
+    .returns(pipelineClient)
+  const teamClient = { forPipeline }
+
+  const forTeam = sinon.stub()
+    .withArgs(teamName)
+    .returns(teamClient)
+
+  return { forTeam }
+}
+
+describe('ResourceVersion', () => {
+  it('exposes its attributes', () => {
+    const versionData = data.randomResourceVersion({ enabled: false })
+
+    const version = new ResourceVersion(versionData)
+
+    expect(version.getId()).to.eql(versionData.id)
+    expect(version.getType()).to.eql(versionData.type)
+    expect(version.getMetadata()).to.eql(versionData.metadata)
+    expect(version.getResourceName()).to.eql(versionData.resource)
+    expect(version.getVersion()).to.eql(versionData.version)
+    expect(version.isEnabled()).to.eql(false)
+  })
+
+  it('gets the builds the version was an input to', async () => {
+    const teamName = data.randomTeamName()
+    const pipelineName = data.randomPipelineName()
+    const versionData = data.randomResourceVersion()
+
+    const buildData = data.randomBuild({ teamName, pipelineName })
+
+    const listBuildsWithVersionAsInput = sinon.stub().resolves([buildData])
+    const client = stubClientFor({
+      teamName,
+      pipelineName,
+      resourceName: versionData.resource,
+      versionId: versionData.id,
+      listBuildsWithVersionAsInput
+    })
+
+    const version = new ResourceVersion({
+      ...versionData, teamName, pipelineName, client
+    })
+
+    const builds = await version.getBuildsWithVersionAsInput()
+
+    expect(builds).to.eql([new Build({ ...buildData, client })])
+  })
+
+  it('gets the builds the version was an output of', async () => {
+    const teamName = data.randomTeamName()
+    const pipelineName = data.randomPipelineName()
+    const versionData = data.randomResourceVersion()
+
+    const buildData = data.randomBuild({ teamName, pipelineName })
+
+    const listBuildsWithVersionAsOutput = sinon.stub().resolves([buildData])
+    const client = stubClientFor({
+      teamName,
+      pipelineName,
+      resourceName: versionData.resource,
+      versionId: versionData.id,
+      listBuildsWithVersionAsOutput
+    })
+
+    const version = new ResourceVersion({
+      ...versionData, teamName, pipelineName, client
+    })
+
+    const builds = await version.getBuildsWithVersionAsOutput()
+
+    expect(builds).to.eql([new Build({ ...buildData, client })])
+  })
+})
@@ -0,0 +1,93 @@
+import 'core-js/stable'
+import 'regenerator-runtime/runtime'
+import sinon from 'sinon'
+import { expect } from 'chai'
+
+import data from '../testsupport/data'
+import User from '../../src/model/User'
+import TeamRole from '../../src/model/TeamRole'
+
+const userWith = (overrides = {}) =>
+  new User({ ...data.randomUser(overrides), client: {} })
+
+describe('User', () => {
+  it('exposes its attributes', async () => {
+    const userData = data.randomUser()
+
+    const getUser = sinon.stub().resolves(userData)
+    const client = { getUser }
+
+    const user = await User.load({ client })
+
+    expect(user.getId()).to.eql(userData.userId)
+    expect(user.getUserName()).to.eql(userData.userName)
+    expect(user.getName()).to.eql(userData.name)
+    expect(user.getEmail()).to.eql(userData.email)
+    expect(user.isAdmin()).to.eql(false)
+    expect(user.getTeamNames()).to.eql(Object.keys(userData.teams))
+  })
+
+  it('knows its roles in each team', () => {
+    const user = userWith({
+      teams: {
+        'some-team': [TeamRole.member, TeamRole.viewer]
+      }
+    })
+
+    expect(user.getRolesIn('some-team'))
+      .to.eql([TeamRole.member, TeamRole.viewer])
+    expect(user.getRolesIn('other-team')).to.eql([])
+    expect(user.hasRoleIn('some-team', TeamRole.member)).to.eql(true)
+    expect(user.hasRoleIn('some-team', TeamRole.owner)).to.eql(false)
+  })
+
+  describe('can', () => {
+    it('allows actions permitted to the role in the team', () => {
+      const user = userWith({
+        teams: { 'some-team': [TeamRole.pipelineOperator] }
+      })
+
+      expect(user.can('some-team', 'GetPipeline')).to.eql(true)
+      expect(user.can('some-team', 'PausePipeline')).to.eql(true)
+      expect(user.can('some-team', 'CreateJobBuild')).to.eql(true)
+    })
+
+    it('denies actions requiring a more privileged role', () => {
+      const user = userWith({
+        teams: { 'some-team': [TeamRole.pipelineOperator] }
+      })
+
+      expect(user.can('some-team', 'SaveConfig')).to.eql(false)
+      expect(user.can('some-team', 'DestroyTeam')).to.eql(false)
+    })
+
+    it('uses the most privileged of the roles in the team', () => {
+      const user = userWith({
+        teams: { 'some-team': [TeamRole.viewer, TeamRole.owner] }
+      })
+
+      expect(user.can('some-team', 'SetTeam')).to.eql(true)
+    })
+
+    it('denies actions in teams the user does not belong to', () => {
+      const user = userWith({
+        teams: { 'some-team': [TeamRole.owner] }
+      })
+
+      expect(user.can('other-team', 'GetPipeline')).to.eql(false)
+    })
+
+    it('allows all actions in all teams for an admin', () => {
+      const user = userWith({ isAdmin: true, teams: {} })
+
+      expect(user.can('other-team', 'DestroyTeam')).to.eql(true)
+    })
+
+    it('throws an exception for an unknown action', () => {
+      const user = userWith()
+
+      expect(() => user.can('some-team', 'Spinach'))
+        .to.throw('Unknown action "Spinach".')
+    })
+  })
+})
@@ -9,6 +9,9 @@ import build from '../testsupport/builders'
 import { bearerAuthorizationHeader } from '../../src/support/http/headers'
 import { expect } from 'chai'
 import MockAdapter from 'axios-mock-adapter'
+import { Readable } from 'stream'
+import { forInstance } from '../testsupport/dsls/methods'
+import { collect } from '../testsupport/iterables'
 
 const buildValidBuildClient = () => {
   const apiUrl = data.randomApiUrl()
@@ -146,4 +149,428 @@ describe('BuildClient', () => {
         expect(actualResources).to.eql(expectedResources)
       })
   })
+
+  describe('getPlan', () => {
+    it('returns the plan as a tree of typed step nodes', async () => {
+      const { client, mock, apiUrl, bearerToken, buildId } =
+        buildValidBuildClient()
+
+      mock.onGet(
+        `${apiUrl}/builds/${buildId}/plan`,
+        {
+          headers: {
+            ...bearerAuthorizationHeader(bearerToken)
+          }
+        })
+        .reply(200, {
+          schema: 'exec.v2',
+          plan: {
+            id: '1',
+            on_failure: {
+              step: {
+                id: '2',
+                do: [
+                  {
+                    id: '3',
+                    in_parallel: {
+                      steps: [
+                        {
+                          id: '4',
+                          get: {
+                            name: 'repo',
+                            type: 'git',
+                            resource: 'repo',
+                            version_from: 'latest'
+                          }
+                        }
+                      ],
+                      limit: 2,
+                      fail_fast: true
+                    }
+                  },
+                  {
+                    id: '5',
+                    try: {
+                      step: { id: '6', task: { name: 'test' } }
+                    }
+                  },
+                  {
+                    id: '7',
+                    ensure: {
+                      step: { id: '8', put: { name: 'image' } },
+                      ensure: { id: '9', task: { name: 'clean' } }
+                    }
+                  }
+                ]
+              },
+              on_failure: { id: '10', task: { name: 'notify' } }
+            }
+          }
+        })
+
+      const plan = await client.getPlan()
+
+      expect(plan).to.eql({
+        schema: 'exec.v2',
+        plan: {
+          id: '1',
+          type: 'on_failure',
+          step: {
+            id: '2',
+            type: 'do',
+            steps: [
+              {
+                id: '3',
+                type: 'in_parallel',
+                limit: 2,
+                failFast: true,
+                steps: [
+                  {
+                    id: '4',
+                    type: 'get',
+                    name: 'repo',
+                    config: {
+                      name: 'repo',
+                      type: 'git',
+                      resource: 'repo',
+                      versionFrom: 'latest'
+                    }
+                  }
+                ]
+              },
+              {
+                id: '5',
+                type: 'try',
+                step: {
+                  id: '6', type: 'task', name: 'test', config: { name: 'test' }
+                }
+              },
+              {
+                id: '7',
+                type: 'ensure',
+                step: {
+                  id: '8', type: 'put', name: 'image', config: { name: 'image' }
+                },
+                hook: {
+                  id: '9', type: 'task', name: 'clean', config: { name: 'clean' }
+                }
+              }
+            ]
+          },
+          hook: {
+            id: '10', type: 'task', name: 'notify', config: { name: 'notify' }
+          }
+        }
+      })
+    })
+  })
+
+  describe('getPreparation', () => {
+    it('returns the preparation with the reasons the build is blocked',
+      async () => {
+        const { client, mock, apiUrl, buildId } = buildValidBuildClient()
+
+        mock.onGet(`${apiUrl}/builds/${buildId}/preparation`)
+          .reply(200, {
+            build_id: buildId,
+            paused_pipeline: 'not_blocking',
+            paused_job: 'blocking',
+            max_running_builds: 'blocking',
+            inputs: {
+              'source-repo': 'not_blocking',
+              'release-image': 'blocking'
+            },
+            inputs_satisfied: 'blocking',
+            missing_input_reasons: {
+              'release-image': 'no versions available'
+            }
+          })
+
+        const preparation = await client.getPreparation()
+
+        expect(preparation).to.eql({
+          buildId,
+          pausedPipeline: 'not_blocking',
+          pausedJob: 'blocking',
+          maxRunningBuilds: 'blocking',
+          inputs: {
+            'source-repo': 'not_blocking',
+            'release-image': 'blocking'
+          },
+          inputsSatisfied: 'blocking',
+          missingInputReasons: {
+            'release-image': 'no versions available'
+          },
+          blockers: [
+            { type: 'pausedJob', message: 'job is paused' },
+            {
+              type: 'maxRunningBuilds',
+              message: 'maximum number of builds in flight reached'
+            },
+            {
+              type: 'input',
+              input: 'release-image',
+              message: 'input "release-image": no versions available'
+            }
+          ]
+        })
+      })
+
+    it('returns no blockers when nothing is blocking', async () => {
+      const { client, mock, apiUrl, buildId } = buildValidBuildClient()
+
+      mock.onGet(`${apiUrl}/builds/${buildId}/preparation`)
+        .reply(200, {
+          build_id: buildId,
+          paused_pipeline: 'not_blocking',
+          paused_job: 'not_blocking',
+          max_running_builds: 'not_blocking',
+          inputs: {},
+          inputs_satisfied: 'not_blocking',
+          missing_input_reasons: {}
+        })
+
+      const preparation = await client.getPreparation()
+
+      expect(preparation.blockers).to.eql([])
+    })
+  })
+
+  describe('listArtifacts', () => {
+    it('gets all artifacts for the build', async () => {
+      const { client, mock, apiUrl, bearerToken, buildId } =
+        buildValidBuildClient()
+
+      mock.onGet(
+        `${apiUrl}/builds/${buildId}/artifacts`,
+        {
+          headers: {
+            ...bearerAuthorizationHeader(bearerToken)
+          }
+        })
+        .reply(200, [
+          { id: 12, name: 'output', build_id: buildId, created_at: 1524830894 }
+        ])
+
+      const artifacts = await client.listArtifacts()
+
+      expect(artifacts).to.eql([
+        { id: 12, name: 'output', buildId, createdAt: 1524830894 }
+      ])
+    })
+  })
+
+  describe('abort', () => {
+    it('aborts the build',
+      async () => {
+        const { client, mock, apiUrl, bearerToken, buildId } =
+          buildValidBuildClient()
+
+        mock.onPut(`${apiUrl}/builds/${buildId}/abort`)
+          .reply(204)
+
+        await client.abort()
+        expect(mock.history.put).to.have.length(1)
+
+        const call = mock.history.put[0]
+        expect(call.url)
+          .to.eql(`${apiUrl}/builds/${buildId}/abort`)
+        expect(call.headers)
+          .to.include(bearerAuthorizationHeader(bearerToken))
+      })
+
+    it('throws the underlying http client exception on failure',
+      async () => {
+        const { client, mock, apiUrl, buildId } =
+          buildValidBuildClient()
+
+        mock.onPut(`${apiUrl}/builds/${buildId}/abort`)
+          .networkError()
+
+        try {
+          await client.abort()
+        } catch (e) {
+          expect(e).to.be.instanceOf(Error)
+          expect(e.message).to.eql('Network Error')
+        }
+      })
+  })
+
+  describe('streamEvents', () => {
+    const eventStreamFrom = (...chunks) => Readable.from(chunks)
+
+    const logEvent = ({ id, payload }) =>
+      `id: ${id}\n` +
+      'event: event\n' +
+      'data: {"data":{"origin":{"id":"5f9d5b8e","source":"stdout"},' +
+      `"payload":"${payload}","time":1524830894},` +
+      '"event":"log","version":"5.1"}\n\n'
+    const endEvent = ({ id }) =>
+      `id: ${id}\n` +
+      'event: end\n' +
+      'data: \n\n'
+
+    const expectedLogEvent = ({ id, payload }) => ({
+      id,
+      type: 'log',
+      version: '5.1',
+      data: {
+        origin: { id: '5f9d5b8e', source: 'stdout' },
+        payload,
+        time: 1524830894
+      }
+    })
+
+    it('throws an exception if max reconnects is not an integer',
+      async () => {
+        const { client } = buildValidBuildClient()
+        await forInstance(client)
+          .onCallOf('streamEvents')
+          .withArguments({ maxReconnects: 'lots' })
+          .throwsError(
+            'Invalid parameter(s): ["maxReconnects" must be a number].')
+      })
+
+    it('iterates over camel cased events until the end event',
+      async () => {
+        const { client, mock, apiUrl, bearerToken, buildId } =
+          buildValidBuildClient()
+
+        mock.onGet(`${apiUrl}/builds/${buildId}/events`)
+          .reply(200, eventStreamFrom(
+            logEvent({ id: '0', payload: 'hello' }),
+            logEvent({ id: '1', payload: 'world' }),
+            endEvent({ id: '2' })))
+
+        const actualEvents = await collect(client.streamEvents())
+
+        expect(actualEvents).to.eql([
+          expectedLogEvent({ id: '0', payload: 'hello' }),
+          expectedLogEvent({ id: '1', payload: 'world' })
+        ])
+
+        const call = mock.history.get[0]
+        expect(call.headers)
+          .to.include(bearerAuthorizationHeader(bearerToken))
+        expect(call.headers)
+          .to.include({ Accept: 'text/event-stream' })
+      })
+
+    it('parses events split across chunks', async () => {
+      const { client, mock, apiUrl, buildId } = buildValidBuildClient()
+
+      const event = logEvent({ id: '0', payload: 'hello' })
+
+      mock.onGet(`${apiUrl}/builds/${buildId}/events`)
+        .reply(200, eventStreamFrom(
+          event.slice(0, 20),
+          event.slice(20),
+          endEvent({ id: '1' })))
+
+      const actualEvents = await collect(client.streamEvents())
+
+      expect(actualEvents).to.eql([
+        expectedLogEvent({ id: '0', payload: 'hello' })
+      ])
+    })
+
+    it('emits each event and the end of the stream', async () => {
+      const { client, mock, apiUrl, buildId } = buildValidBuildClient()
+
+      mock.onGet(`${apiUrl}/builds/${buildId}/events`)
+        .reply(200, eventStreamFrom(
+          logEvent({ id: '0', payload: 'hello' }),
+          endEvent({ id: '1' })))
+
+      const stream = client.streamEvents()
+      const emittedEvents = []
+      stream.on('event', event => emittedEvents.push(event))
+
+      await new Promise(resolve => stream.on('end', resolve))
+
+      expect(emittedEvents).to.eql([
+        expectedLogEvent({ id: '0', payload: 'hello' })
+      ])
+    })
+
+    it('does not buffer events until iteration begins', async () => {
+      const { client, mock, apiUrl, buildId } = buildValidBuildClient()
+
+      mock.onGet(`${apiUrl}/builds/${buildId}/events`)
+        .reply(200, eventStreamFrom(
+          logEvent({ id: '0', payload: 'hello' }),
+          endEvent({ id: '1' })))
+
+      const stream = client.streamEvents()
+      const emittedEvents = []
+      stream.on('event', event => emittedEvents.push(event))
+
+      await new Promise(resolve => stream.on('end', resolve))
+
+      expect(emittedEvents).to.have.length(1)
+      expect(await collect(stream)).to.eql([])
+    })
+
+    it('does not connect until the stream is consumed', async () => {
+      const { client, mock, apiUrl, buildId } = buildValidBuildClient()
+
+      mock.onGet(`${apiUrl}/builds/${buildId}/events`)
+        .reply(200, eventStreamFrom(
+          logEvent({ id: '0', payload: 'hello' }),
+          endEvent({ id: '1' })))
+
+      const stream = client.streamEvents()
+
+      await new Promise(resolve => setTimeout(resolve, 10))
+
+      expect(mock.history.get).to.have.length(0)
+      expect(await collect(stream)).to.eql([
+        expectedLogEvent({ id: '0', payload: 'hello' })
+      ])
+    })
+
+    it('reconnects from the last event ID when the connection drops',
+      async () => {
+        const { client, mock, apiUrl, buildId } = buildValidBuildClient()
+
+        mock.onGet(`${apiUrl}/builds/${buildId}/events`)
+          .replyOnce(200, eventStreamFrom(
+            logEvent({ id: '0', payload: 'hello' })))
+        mock.onGet(`${apiUrl}/builds/${buildId}/events`)
+          .replyOnce(200, eventStreamFrom(
+            logEvent({ id: '1', payload: 'world' }),
+            endEvent({ id: '2' })))
+
+        const actualEvents = await collect(client.streamEvents())
+
+        expect(actualEvents).to.eql([
+          expectedLogEvent({ id: '0', payload: 'hello' }),
+          expectedLogEvent({ id: '1', payload: 'world' })
+        ])
+
+        expect(mock.history.get).to.have.length(2)
+        expect(mock.history.get[0].headers)
+          .not.to.have.property('Last-Event-ID')
+        expect(mock.history.get[1].headers)
+          .to.include({ 'Last-Event-ID': '0' })
+      })
+
+    it('fails once the maximum number of reconnects is exceeded',
+      async () => {
+        const { client, mock, apiUrl, buildId } = buildValidBuildClient()
+
+        mock.onGet(`${apiUrl}/builds/${buildId}/events`)
+          .networkError()
+
+        try {
+          await collect(client.streamEvents({ maxReconnects: 2 }))
+        } catch (e) {
+          expect(e).to.be.instanceOf(Error)
+          expect(e.message).to.eql('Network Error')
+          expect(mock.history.get).to.have.length(3)
+          return
+        }
+        expect.fail(null, null, 'Expected exception but none was thrown.')
+      })
+  })
 })
@@ -0,0 +1,178 @@
+import 'core-js/stable'
+import 'regenerator-runtime/runtime'
+import { onConstructionOf } from '../testsupport/dsls/construction'
+import CheckClient from '../../src/subclients/CheckClient'
+import data from '../testsupport/data'
+import axios from 'axios'
+import faker from 'faker'
+import build from '../testsupport/builders'
+import { bearerAuthorizationHeader } from '../../src/support/http/headers'
+import { TimeoutError } from '../../src/errors'
+import { expect } from 'chai'
+import MockAdapter from 'axios-mock-adapter'
+
+const buildValidCheckClient = () => {
+  const apiUrl = data.randomApiUrl()
+  const bearerToken = data.randomBearerTokenCurrent()
+
+  const httpClient = axios.create({
+    headers: bearerAuthorizationHeader(bearerToken)
+  })
+  const mock = new MockAdapter(httpClient)
+
+  const checkId = data.randomCheckId()
+
+  const client = new CheckClient({ apiUrl, httpClient, checkId })
+
+  return {
+    client,
+    httpClient,
+    mock,
+    apiUrl,
+    bearerToken,
+    checkId
+  }
+}
+
+describe('CheckClient', () => {
+  describe('construction', () => {
+    it('throws an exception if the API URI is not provided', () => {
+      onConstructionOf(CheckClient)
+        .withArguments({
+          checkId: data.randomCheckId(),
+          httpClient: axios
+        })
+        .throwsError('Invalid parameter(s): ["apiUrl" is required].')
+    })
+
+    it('throws an exception if the provided HTTP client is not an object',
+      () => {
+        onConstructionOf(CheckClient)
+          .withArguments({
+            checkId: data.randomCheckId(),
+            apiUrl: faker.internet.url(),
+            httpClient: 35
+          })
+          .throwsError(
+            'Invalid parameter(s): ["httpClient" must be of type function].')
+      })
+
+    it('throws an exception if the check ID is not provided', () => {
+      onConstructionOf(CheckClient)
+        .withArguments({
+          apiUrl: faker.internet.url(),
+          httpClient: axios
+        })
+        .throwsError('Invalid parameter(s): ["checkId" is required].')
+    })
+
+    it('throws an exception if the check ID is not an integer', () => {
+      onConstructionOf(CheckClient)
+        .withArguments({
+          apiUrl: faker.internet.url(),
+          httpClient: axios,
+          checkId: 1.1
+        })
+        .throwsError('Invalid parameter(s): ["checkId" must be an integer].')
+    })
+  })
+
+  describe('getCheck', () => {
+    it('gets the check', async () => {
+      const { client, mock, apiUrl, bearerToken, checkId } =
+        buildValidCheckClient()
+
+      const checkData = data.randomCheck({ id: checkId })
+
+      mock.onGet(
+        `${apiUrl}/checks/${checkId}`,
+        {
+          headers: {
+            ...bearerAuthorizationHeader(bearerToken)
+          }
+        })
+        .reply(200, build.api.check(checkData))
+
+      const actualCheck = await client.getCheck()
+
+      expect(actualCheck).to.eql(build.client.check(checkData))
+    })
+
+    it('throws the underlying http client exception on failure',
+      async () => {
+        const { client, mock, apiUrl, checkId } = buildValidCheckClient()
+
+        mock.onGet(`${apiUrl}/checks/${checkId}`)
+          .networkError()
+
+        let actualError = null
+        try {
+          await client.getCheck()
+        } catch (e) {
+          actualError = e
+        }
+
+        expect(actualError).to.be.instanceOf(Error)
+        expect(actualError.message).to.eql('Network Error')
+      })
+  })
+
+  describe('waitForCompletion', () => {
+    it('polls until the check succeeds', async () => {
+      const { client, mock, apiUrl, checkId } = buildValidCheckClient()
+
+      const checkData = data.randomCheck({ id: checkId })
+
+      mock.onGet(`${apiUrl}/checks/${checkId}`)
+        .replyOnce(200, build.api.check({ ...checkData, status: 'started' }))
+        .onGet(`${apiUrl}/checks/${checkId}`)
+        .replyOnce(200, build.api.check({ ...checkData, status: 'started' }))
+        .onGet(`${apiUrl}/checks/${checkId}`)
+        .replyOnce(200, build.api.check({ ...checkData, status: 'succeeded' }))
+
+      const check = await client.waitForCompletion({ interval: 1 })
+
+      expect(check).to.eql(
+        build.client.check({ ...checkData, status: 'succeeded' }))
+      expect(mock.history.get).to.have.length(3)
+    })
+
+    it('returns the check when it errors', async () => {
+      const { client, mock, apiUrl, checkId } = buildValidCheckClient()
+
+      const checkData = data.randomCheck({
+        id: checkId,
+        status: 'errored',
+        checkError: 'failed to resolve version'
+      })
+
+      mock.onGet(`${apiUrl}/checks/${checkId}`)
+        .reply(200, build.api.check(checkData))
+
+      const check = await client.waitForCompletion({ interval: 1 })
+
+      expect(check).to.eql(build.client.check(checkData))
+    })
+
+    it('throws a timeout error if the check does not complete in time',
+      async () => {
+        const { client, mock, apiUrl, checkId } = buildValidCheckClient()
+
+        mock.onGet(`${apiUrl}/checks/${checkId}`)
+          .reply(200, build.api.check(
+            data.randomCheck({ id: checkId, status: 'started' })))
+
+        let actualError = null
+        try {
+          await client.waitForCompletion({ timeout: 20, interval: 5 })
+        } catch (e) {
+          actualError = e
+        }
+
+        expect(actualError).to.be.instanceOf(TimeoutError)
+        expect(actualError.timeout).to.eql(20)
+        expect(actualError.message).to.eql(
+          `Check ${checkId} did not complete within 20ms.`)
+      })
+  })
+})
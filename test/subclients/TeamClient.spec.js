@@ -4,14 +4,59 @@ import { expect } from 'chai'
 import faker from 'faker'
 import axios from 'axios'
 import MockAdapter from 'axios-mock-adapter'
+import WebSocket from 'ws'
+import { promises as fs } from 'fs'
+import os from 'os'
+import path from 'path'
+import { Readable } from 'stream'
 
 import build from '../testsupport/builders'
 import data from '../testsupport/data'
 import { onConstructionOf } from '../testsupport/dsls/construction'
 import { forInstance } from '../testsupport/dsls/methods'
+import { collect } from '../testsupport/iterables'
 
 import TeamClient from '../../src/subclients/TeamClient'
 import { bearerAuthorizationHeader } from '../../src/support/http/headers'
+import { ConcourseError } from '../../src/errors'
+import { packDirectory, unpackInto } from '../../src/support/artifacts'
+
+const startHijackServer = onMessage => new Promise(resolve => {
+  const server = new WebSocket.Server({ host: '127.0.0.1', port: 0 }, () => {
+    const { port } = server.address()
+    resolve({ server, apiUrl: `http://127.0.0.1:${port}/api/v1` })
+  })
+  const connections = []
+  server.connections = connections
+  server.on('connection', (socket, request) => {
+    const connection = { socket, request, messages: [] }
+    connections.push(connection)
+    socket.on('message', message => {
+      connection.messages.push(JSON.parse(message))
+      onMessage(connection, JSON.parse(message))
+    })
+  })
+})
+
+const stopHijackServer = server => new Promise(resolve => server.close(resolve))
+
+const readAll = stream => new Promise((resolve, reject) => {
+  const chunks = []
+  stream.on('data', chunk => chunks.push(chunk))
+  stream.on('end', () => resolve(Buffer.concat(chunks).toString()))
+  stream.on('error', reject)
+})
+
+const withTemporaryDirectory = async fn => {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'team-client-'))
+  try {
+    return await fn(directory)
+  } finally {
+    await fs.rm(directory, { recursive: true })
+  }
+}
+
+const toBase64 = string => Buffer.from(string).toString('base64')
 
 const buildValidTeamClient = () => {
   const apiUrl = data.randomApiUrl()
@@ -357,6 +402,54 @@ describe('TeamClient', () => {
       })
   })
 
+  describe('createBuild', () => {
+    it('throws an exception if the plan is not provided',
+      async () => {
+        const { client } = buildValidTeamClient()
+        await forInstance(client)
+          .onCallOf('createBuild')
+          .withNoArguments()
+          .throwsError('Invalid parameter(s): ["plan" is required].')
+      })
+
+    it('throws an exception if the plan is not an object',
+      async () => {
+        const { client } = buildValidTeamClient()
+        await forInstance(client)
+          .onCallOf('createBuild')
+          .withArguments('plan')
+          .throwsError('Invalid parameter(s): ["plan" must be of type object].')
+      })
+
+    it('creates a one-off build for the team using the provided plan',
+      async () => {
+        const { client, mock, apiUrl, bearerToken, teamName } =
+          buildValidTeamClient()
+
+        const plan = data.randomBuildPlan()
+        const buildData = data.randomBuild({
+          teamName,
+          pipelineName: undefined,
+          jobName: undefined
+        })
+
+        const buildFromApi = build.api.build(buildData)
+        const expectedBuild = build.client.build(buildData)
+
+        mock.onPost(`${apiUrl}/teams/${teamName}/builds`, plan)
+          .reply(201, buildFromApi)
+
+        const actualBuild = await client.createBuild(plan)
+
+        expect(mock.history.post).to.have.length(1)
+        const call = mock.history.post[0]
+        expect(call.url).to.eql(`${apiUrl}/teams/${teamName}/builds`)
+        expect(JSON.parse(call.data)).to.eql(plan)
+        expect(call.headers).to.include(bearerAuthorizationHeader(bearerToken))
+        expect(actualBuild).to.eql(expectedBuild)
+      })
+  })
+
   describe('listContainers', () => {
     it('gets all containers for team',
       async () => {
@@ -552,6 +645,58 @@ describe('TeamClient', () => {
     })
   })
 
+  describe('iterateBuilds', () => {
+    it('iterates over all builds, following pagination links',
+      async () => {
+        const { client, mock, apiUrl, teamName } =
+          buildValidTeamClient()
+
+        const url = `${apiUrl}/teams/${teamName}/builds`
+        const firstData = data.randomBuild()
+        const secondData = data.randomBuild()
+
+        mock.onGet(url, { params: { limit: 1 } })
+          .reply(200, [build.api.build(firstData)], {
+            link: `<${url}?to=${firstData.id}&limit=1>; rel="next"`
+          })
+        mock.onGet(`${url}?to=${firstData.id}&limit=1`)
+          .reply(200, [build.api.build(secondData)])
+
+        const actual = await collect(client.iterateBuilds({ limit: 1 }))
+
+        expect(actual).to.eql([
+          build.client.build(firstData),
+          build.client.build(secondData)
+        ])
+      })
+  })
+
+  describe('listAuthMethods', () => {
+    it('gets all auth methods for team',
+      async () => {
+        const { client, mock, apiUrl, bearerToken, teamName } =
+          buildValidTeamClient()
+
+        const authMethodData = data.randomAuthMethod()
+
+        const authMethodFromApi = build.api.authMethod(authMethodData)
+        const expectedAuthMethod = build.client.authMethod(authMethodData)
+
+        mock.onGet(
+          `${apiUrl}/teams/${teamName}/auth/methods`,
+          {
+            headers: {
+              ...bearerAuthorizationHeader(bearerToken)
+            }
+          })
+          .reply(200, [authMethodFromApi])
+
+        const actualAuthMethods = await client.listAuthMethods()
+
+        expect(actualAuthMethods).to.eql([expectedAuthMethod])
+      })
+  })
+
   describe('listVolumes', () => {
     it('gets all volumes for team',
       async () => {
@@ -581,6 +726,320 @@ describe('TeamClient', () => {
       })
   })
 
+  describe('createArtifact', () => {
+    it('uploads the artifact and returns it', async () => {
+      const { client, mock, apiUrl, bearerToken, teamName } =
+        buildValidTeamClient()
+
+      const artifact = Readable.from([Buffer.from('content')])
+
+      mock.onPost(`${apiUrl}/teams/${teamName}/artifacts`)
+        .reply(201, { id: 12, name: '', build_id: 0, created_at: 1524830894 })
+
+      const createdArtifact = await client.createArtifact(artifact)
+
+      expect(createdArtifact)
+        .to.eql({ id: 12, name: '', buildId: 0, createdAt: 1524830894 })
+      const call = mock.history.post[0]
+      expect(call.data).to.equal(artifact)
+      expect(call.headers).to.include({
+        ...bearerAuthorizationHeader(bearerToken),
+        'Content-Type': 'application/octet-stream'
+      })
+    })
+
+    it('throws an exception if the artifact is not provided', async () => {
+      const { client } = buildValidTeamClient()
+      await forInstance(client)
+        .onCallOf('createArtifact')
+        .withNoArguments()
+        .throwsError('Invalid parameter(s): ["artifact" is required].')
+    })
+  })
+
+  describe('getArtifact', () => {
+    it('returns a stream of the artifact', async () => {
+      const { client, mock, apiUrl, teamName } = buildValidTeamClient()
+
+      const artifact = Readable.from([Buffer.from('content')])
+
+      mock.onGet(`${apiUrl}/teams/${teamName}/artifacts/12`)
+        .reply(200, artifact)
+
+      expect(await client.getArtifact(12)).to.equal(artifact)
+      expect(mock.history.get[0].responseType).to.eql('stream')
+    })
+
+    it('throws an exception if the artifact ID is not an integer',
+      async () => {
+        const { client } = buildValidTeamClient()
+        await forInstance(client)
+          .onCallOf('getArtifact')
+          .withArguments('latest')
+          .throwsError('Invalid parameter(s): ["artifactId" must be a number].')
+      })
+  })
+
+  describe('execute', () => {
+    it('runs a one-off build with the provided inputs and outputs',
+      async () => {
+        const { client, mock, apiUrl, teamName } = buildValidTeamClient()
+
+        await withTemporaryDirectory(async directory => {
+          const inputDirectory = path.join(directory, 'input')
+          const uploadedDirectory = path.join(directory, 'uploaded')
+          const resultDirectory = path.join(directory, 'result')
+          const outputDirectory = path.join(directory, 'output')
+          await fs.mkdir(inputDirectory)
+          await fs.mkdir(resultDirectory)
+          await fs.writeFile(path.join(inputDirectory, 'source.txt'), 'in')
+          await fs.writeFile(path.join(resultDirectory, 'result.txt'), 'out')
+
+          const taskConfig = {
+            platform: 'linux',
+            inputs: [{ name: 'source' }],
+            outputs: [{ name: 'result' }],
+            run: { path: 'make' }
+          }
+
+          mock.onPost(`${apiUrl}/teams/${teamName}/artifacts`)
+            .reply(async config => {
+              await unpackInto(config.data, uploadedDirectory)
+              return [201, { id: 7, name: '' }]
+            })
+          mock.onPost(`${apiUrl}/teams/${teamName}/builds`)
+            .reply(201, { id: 42, status: 'pending' })
+          mock.onGet(`${apiUrl}/builds/42/events`)
+            .reply(200, Readable.from([
+              'id: 0\n' +
+              'event: event\n' +
+              'data: {"data":{"status":"succeeded","time":1524830894},' +
+              '"event":"status","version":"1.0"}\n\n',
+              'id: 1\n' +
+              'event: end\n' +
+              'data:\n\n'
+            ]))
+          mock.onGet(`${apiUrl}/builds/42/artifacts`)
+            .reply(200, [{ id: 9, name: 'result' }])
+          mock.onGet(`${apiUrl}/teams/${teamName}/artifacts/9`)
+            .reply(() => [200, packDirectory(resultDirectory)])
+
+          const events = []
+          const result = await client.execute({
+            taskConfig,
+            inputs: { source: inputDirectory },
+            outputs: { result: outputDirectory },
+            onEvent: event => events.push(event)
+          })
+
+          expect(result).to.eql({
+            build: { id: 42, status: 'pending' },
+            status: 'succeeded'
+          })
+          expect(events.map(event => event.type)).to.eql(['status'])
+          expect(await fs.readFile(
+            path.join(uploadedDirectory, 'source.txt'), 'utf8'))
+            .to.eql('in')
+          expect(await fs.readFile(
+            path.join(outputDirectory, 'result.txt'), 'utf8'))
+            .to.eql('out')
+
+          expect(JSON.parse(mock.history.post[1].data)).to.eql({
+            id: '7',
+            ensure: {
+              step: {
+                id: '6',
+                do: [
+                  {
+                    id: '2',
+                    in_parallel: {
+                      steps: [{
+                        id: '1',
+                        artifact_input: { artifact_id: 7, name: 'source' }
+                      }]
+                    }
+                  },
+                  {
+                    id: '3',
+                    task: {
+                      name: 'one-off',
+                      privileged: false,
+                      config: taskConfig
+                    }
+                  }
+                ]
+              },
+              ensure: {
+                id: '5',
+                in_parallel: {
+                  steps: [{
+                    id: '4',
+                    artifact_output: { name: 'result' }
+                  }]
+                }
+              }
+            }
+          })
+        })
+      })
+
+    it('throws an exception if the task config is not provided',
+      async () => {
+        const { client } = buildValidTeamClient()
+        await forInstance(client)
+          .onCallOf('execute')
+          .withArguments({ inputs: {} })
+          .throwsError('Invalid parameter(s): ["taskConfig" is required].')
+      })
+  })
+
+  describe('hijackContainer', () => {
+    it('runs the process in the container over a web socket', async () => {
+      const { server, apiUrl } = await startHijackServer(
+        ({ socket, messages }, message) => {
+          if (messages.length === 1) {
+            socket.send(JSON.stringify({ stdout: toBase64('ready\n') }))
+            socket.send(JSON.stringify({ stderr: toBase64('warning\n') }))
+          }
+          if (message.stdin) {
+            socket.send(JSON.stringify({ stdout: message.stdin }))
+          }
+          if (message.closed) {
+            socket.send(JSON.stringify({ exit_status: 3 }))
+          }
+        })
+
+      try {
+        const bearerToken = data.randomBearerTokenCurrent()
+        const teamName = data.randomTeamName()
+        const httpClient = axios.create({
+          headers: bearerAuthorizationHeader(bearerToken)
+        })
+        const client = new TeamClient({ apiUrl, httpClient, teamName })
+        const containerId = faker.random.uuid()
+
+        const stream = await client.hijackContainer(containerId, {
+          path: 'sh',
+          args: ['-c', 'cat'],
+          user: 'root',
+          dir: '/tmp/build',
+          tty: { columns: 80, rows: 24 }
+        })
+
+        const exitStatus = new Promise(resolve => stream.on('exit', resolve))
+        const stdout = readAll(stream)
+        const stderr = readAll(stream.stderr)
+
+        stream.end('hello\n')
+
+        expect(await exitStatus).to.eql(3)
+        expect(await stdout).to.eql('ready\nhello\n')
+        expect(await stderr).to.eql('warning\n')
+
+        const [{ request, messages }] = server.connections
+        expect(request.url).to.eql(
+          `/api/v1/teams/${teamName}/containers/${containerId}/hijack`)
+        expect(request.headers.authorization)
+          .to.eql(`Bearer ${bearerToken}`)
+        expect(messages).to.eql([
+          {
+            path: 'sh',
+            args: ['-c', 'cat'],
+            user: 'root',
+            dir: '/tmp/build',
+            tty: { window_size: { columns: 80, rows: 24 } }
+          },
+          { stdin: toBase64('hello\n') },
+          { closed: true }
+        ])
+      } finally {
+        await stopHijackServer(server)
+      }
+    })
+
+    it('sends window resizes', async () => {
+      const { server, apiUrl } = await startHijackServer(
+        ({ socket }, message) => {
+          if (message.tty && message.tty.window_size.rows === 50) {
+            socket.send(JSON.stringify({ exit_status: 0 }))
+          }
+        })
+
+      try {
+        const httpClient = axios.create()
+        const client = new TeamClient({
+          apiUrl, httpClient, teamName: data.randomTeamName()
+        })
+
+        const stream = await client.hijackContainer(faker.random.uuid())
+        const exitStatus = new Promise(resolve => stream.on('exit', resolve))
+        stream.resume()
+
+        await stream.resize({ columns: 120, rows: 50 })
+
+        expect(await exitStatus).to.eql(0)
+        expect(server.connections[0].messages).to.eql([
+          { path: 'bash', args: [] },
+          { tty: { window_size: { columns: 120, rows: 50 } } }
+        ])
+      } finally {
+        await stopHijackServer(server)
+      }
+    })
+
+    it('fails the stream when the process errors', async () => {
+      const { server, apiUrl } = await startHijackServer(({ socket }) => {
+        socket.send(JSON.stringify({ error: 'executable not found' }))
+      })
+
+      try {
+        const httpClient = axios.create()
+        const client = new TeamClient({
+          apiUrl, httpClient, teamName: data.randomTeamName()
+        })
+
+        const stream = await client.hijackContainer(faker.random.uuid())
+        const error = await new Promise(resolve => stream.on('error', resolve))
+
+        expect(error).to.be.instanceOf(ConcourseError)
+        expect(error.message).to.eql('executable not found')
+      } finally {
+        await stopHijackServer(server)
+      }
+    })
+
+    it('fails the stream when the output is malformed', async () => {
+      const { server, apiUrl } = await startHijackServer(({ socket }) => {
+        socket.send('{"stdout":')
+      })
+
+      try {
+        const httpClient = axios.create()
+        const client = new TeamClient({
+          apiUrl, httpClient, teamName: data.randomTeamName()
+        })
+
+        const stream = await client.hijackContainer(faker.random.uuid())
+        const error = await new Promise(resolve => stream.on('error', resolve))
+
+        expect(error).to.be.instanceOf(ConcourseError)
+        expect(error.message).to.match(
+          /^Received malformed output from the container: /)
+      } finally {
+        await stopHijackServer(server)
+      }
+    })
+
+    it('throws an exception if the container ID is not provided',
+      async () => {
+        const { client } = buildValidTeamClient()
+        await forInstance(client)
+          .onCallOf('hijackContainer')
+          .withNoArguments()
+          .throwsError('Invalid parameter(s): ["containerId" is required].')
+      })
+  })
+
   describe('getContainer', () => {
     it('gets the container with the specified ID', async () => {
       const { client, mock, apiUrl, bearerToken, teamName } =
@@ -708,6 +1167,51 @@ describe('TeamClient', () => {
       })
   })
 
+  describe('orderPipelines', () => {
+    it('orders the pipelines by the provided names', async () => {
+      const { client, mock, apiUrl, bearerToken, teamName } =
+        buildValidTeamClient()
+
+      const pipelineNames = [
+        data.randomPipelineName(),
+        data.randomPipelineName()
+      ]
+      const orderingUrl = `${apiUrl}/teams/${teamName}/pipelines/ordering`
+
+      mock.onPut(orderingUrl, pipelineNames)
+        .reply(200)
+
+      await client.orderPipelines(pipelineNames)
+
+      expect(mock.history.put).to.have.length(1)
+      const call = mock.history.put[0]
+      expect(call.url).to.eql(orderingUrl)
+      expect(JSON.parse(call.data)).to.eql(pipelineNames)
+      expect(call.headers)
+        .to.include(bearerAuthorizationHeader(bearerToken))
+    })
+
+    it('throws an exception if the pipeline names are not provided',
+      async () => {
+        const { client } = buildValidTeamClient()
+        await forInstance(client)
+          .onCallOf('orderPipelines')
+          .withNoArguments()
+          .throwsError(
+            'Invalid parameter(s): ["pipelineNames" is required].')
+      })
+
+    it('throws an exception if the pipeline names are not strings',
+      async () => {
+        const { client } = buildValidTeamClient()
+        await forInstance(client)
+          .onCallOf('orderPipelines')
+          .withArguments([12345])
+          .throwsError(
+            'Invalid parameter(s): ["pipelineNames[0]" must be a string].')
+      })
+  })
+
   describe('forPipeline', () => {
     it('returns a client for the team pipeline with the supplied name when ' +
       'the pipeline exists for that team',
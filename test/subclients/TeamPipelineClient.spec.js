@@ -16,6 +16,7 @@ import {
 import TeamPipelineClient from '../../src/subclients/TeamPipelineClient'
 import { expect } from 'chai'
 import { forInstance } from '../testsupport/dsls/methods'
+import { collect } from '../testsupport/iterables'
 
 const buildValidTeamPipelineClient = () => {
   const apiUrl = data.randomApiUrl()
@@ -211,6 +212,132 @@ describe('TeamPipelineClient', () => {
       })
   })
 
+  describe('expose', () => {
+    it('exposes the pipeline',
+      async () => {
+        const { client, mock, apiUrl, bearerToken, teamName, pipelineName } =
+          buildValidTeamPipelineClient()
+
+        mock.onPut(
+          `${apiUrl}/teams/${teamName}/pipelines/${pipelineName}/expose`)
+          .reply(200)
+
+        await client.expose()
+        expect(mock.history.put).to.have.length(1)
+
+        const call = mock.history.put[0]
+        expect(call.url)
+          .to.eql(
+            `${apiUrl}/teams/${teamName}/pipelines/${pipelineName}/expose`)
+        expect(call.headers)
+          .to.include(bearerAuthorizationHeader(bearerToken))
+      })
+
+    it('throws the underlying http client exception on failure',
+      async () => {
+        const { client, mock, apiUrl, teamName, pipelineName } =
+          buildValidTeamPipelineClient()
+
+        mock.onPut(
+          `${apiUrl}/teams/${teamName}/pipelines/${pipelineName}/expose`)
+          .networkError()
+
+        let actualError = null
+        try {
+          await client.expose()
+        } catch (e) {
+          actualError = e
+        }
+
+        expect(actualError).to.be.instanceOf(Error)
+        expect(actualError.message).to.eql('Network Error')
+      })
+  })
+
+  describe('hide', () => {
+    it('hides the pipeline',
+      async () => {
+        const { client, mock, apiUrl, bearerToken, teamName, pipelineName } =
+          buildValidTeamPipelineClient()
+
+        mock.onPut(
+          `${apiUrl}/teams/${teamName}/pipelines/${pipelineName}/hide`)
+          .reply(200)
+
+        await client.hide()
+        expect(mock.history.put).to.have.length(1)
+
+        const call = mock.history.put[0]
+        expect(call.url)
+          .to.eql(
+            `${apiUrl}/teams/${teamName}/pipelines/${pipelineName}/hide`)
+        expect(call.headers)
+          .to.include(bearerAuthorizationHeader(bearerToken))
+      })
+
+    it('throws the underlying http client exception on failure',
+      async () => {
+        const { client, mock, apiUrl, teamName, pipelineName } =
+          buildValidTeamPipelineClient()
+
+        mock.onPut(
+          `${apiUrl}/teams/${teamName}/pipelines/${pipelineName}/hide`)
+          .networkError()
+
+        let actualError = null
+        try {
+          await client.hide()
+        } catch (e) {
+          actualError = e
+        }
+
+        expect(actualError).to.be.instanceOf(Error)
+        expect(actualError.message).to.eql('Network Error')
+      })
+  })
+
+  describe('archive', () => {
+    it('archives the pipeline',
+      async () => {
+        const { client, mock, apiUrl, bearerToken, teamName, pipelineName } =
+          buildValidTeamPipelineClient()
+
+        mock.onPut(
+          `${apiUrl}/teams/${teamName}/pipelines/${pipelineName}/archive`)
+          .reply(200)
+
+        await client.archive()
+        expect(mock.history.put).to.have.length(1)
+
+        const call = mock.history.put[0]
+        expect(call.url)
+          .to.eql(
+            `${apiUrl}/teams/${teamName}/pipelines/${pipelineName}/archive`)
+        expect(call.headers)
+          .to.include(bearerAuthorizationHeader(bearerToken))
+      })
+
+    it('throws the underlying http client exception on failure',
+      async () => {
+        const { client, mock, apiUrl, teamName, pipelineName } =
+          buildValidTeamPipelineClient()
+
+        mock.onPut(
+          `${apiUrl}/teams/${teamName}/pipelines/${pipelineName}/archive`)
+          .networkError()
+
+        let actualError = null
+        try {
+          await client.archive()
+        } catch (e) {
+          actualError = e
+        }
+
+        expect(actualError).to.be.instanceOf(Error)
+        expect(actualError.message).to.eql('Network Error')
+      })
+  })
+
   describe('rename', () => {
     it('renames the pipeline', async () => {
       const { client, mock, apiUrl, bearerToken, teamName, pipelineName } =
@@ -347,6 +474,181 @@ describe('TeamPipelineClient', () => {
           .throwsError(
             'Invalid parameter(s): ["pipelineConfig" is required].')
       })
+
+    it('sends the config version when provided', async () => {
+      const { client, mock, apiUrl, teamName, pipelineName } =
+        buildValidTeamPipelineClient()
+      const pipelineConfig = data.randomPipelineConfig()
+      const saveConfigUrl =
+        `${apiUrl}/teams/${teamName}/pipelines/${pipelineName}/config`
+      mock.onPut(saveConfigUrl, pipelineConfig)
+        .reply(200)
+
+      await client.saveConfig(pipelineConfig, { version: '42' })
+
+      const call = mock.history.put[0]
+      expect(call.headers).to.include({
+        ...contentTypeHeader(contentTypes.yaml),
+        'X-Concourse-Config-Version': '42'
+      })
+    })
+
+    it('rejects an invalid config without a request when validating',
+      async () => {
+        const { client, mock } = buildValidTeamPipelineClient()
+        const pipelineConfig =
+          'jobs:\n' +
+          '- name: build\n' +
+          '  plan:\n' +
+          '  - get: repo\n'
+
+        await forInstance(client)
+          .onCallOf('saveConfig')
+          .withArguments(pipelineConfig, { validate: true })
+          .throwsError(
+            'Invalid pipeline config: [line 4: job "build" get step ' +
+            'refers to undefined resource "repo"].')
+
+        expect(mock.history.put).to.have.length(0)
+      })
+
+    it('saves a valid config when validating', async () => {
+      const { client, mock, apiUrl, teamName, pipelineName } =
+        buildValidTeamPipelineClient()
+      const pipelineConfig =
+        'resources:\n' +
+        '- name: repo\n' +
+        '  type: git\n' +
+        'jobs:\n' +
+        '- name: build\n' +
+        '  plan:\n' +
+        '  - get: repo\n'
+      const saveConfigUrl =
+        `${apiUrl}/teams/${teamName}/pipelines/${pipelineName}/config`
+      mock.onPut(saveConfigUrl, pipelineConfig)
+        .reply(200)
+
+      await client.saveConfig(pipelineConfig, { validate: true })
+
+      expect(mock.history.put).to.have.length(1)
+    })
+  })
+
+  describe('getConfig', () => {
+    it('gets the config and its version', async () => {
+      const { client, mock, apiUrl, bearerToken, teamName, pipelineName } =
+        buildValidTeamPipelineClient()
+
+      const config = {
+        resources: [{ name: 'repo', type: 'git', source: { branch: 'main' } }],
+        jobs: [{ name: 'build', plan: [{ get: 'repo', trigger: true }] }]
+      }
+
+      mock.onGet(
+        `${apiUrl}/teams/${teamName}/pipelines/${pipelineName}/config`,
+        {
+          headers: {
+            ...bearerAuthorizationHeader(bearerToken)
+          }
+        })
+        .reply(200, { config }, { 'x-concourse-config-version': '7' })
+
+      const actualConfig = await client.getConfig()
+
+      expect(actualConfig).to.eql({ config, version: '7' })
+    })
+  })
+
+  describe('diffConfig', () => {
+    it('throws an exception if the pipeline config is not provided',
+      async () => {
+        const { client } = buildValidTeamPipelineClient()
+        await forInstance(client)
+          .onCallOf('diffConfig')
+          .withArguments()
+          .throwsError(
+            'Invalid parameter(s): ["pipelineConfig" is required].')
+      })
+
+    it('returns the differences between the saved and provided configs',
+      async () => {
+        const { client, mock, apiUrl, teamName, pipelineName } =
+          buildValidTeamPipelineClient()
+
+        const currentConfig = {
+          resource_types: [
+            { name: 'slack', type: 'registry-image', source: { tag: '1' } }
+          ],
+          resources: [
+            { name: 'repo', type: 'git', source: { branch: 'main' } },
+            { name: 'image', type: 'registry-image', source: {} }
+          ],
+          jobs: [
+            { name: 'build', plan: [{ get: 'repo', trigger: true }] },
+            { name: 'test', plan: [{ get: 'repo', passed: ['build'] }] }
+          ]
+        }
+
+        const proposedConfig =
+          'resource_types:\n' +
+          '- name: slack\n' +
+          '  type: registry-image\n' +
+          '  source: { tag: "1" }\n' +
+          'resources:\n' +
+          '- name: repo\n' +
+          '  type: git\n' +
+          '  source: { branch: develop }\n' +
+          'jobs:\n' +
+          '- name: build\n' +
+          '  plan: [{ get: repo, trigger: true }]\n' +
+          '- name: deploy\n' +
+          '  plan: [{ get: repo, passed: [build] }]\n' +
+          'groups:\n' +
+          '- name: all\n' +
+          '  jobs: [build, deploy]\n'
+
+        mock.onGet(
+          `${apiUrl}/teams/${teamName}/pipelines/${pipelineName}/config`)
+          .reply(
+            200,
+            { config: currentConfig },
+            { 'x-concourse-config-version': '3' })
+
+        const diff = await client.diffConfig(proposedConfig)
+
+        expect(diff).to.eql({
+          jobs: {
+            added: ['deploy'],
+            removed: ['test'],
+            changed: []
+          },
+          resources: {
+            added: [],
+            removed: ['image'],
+            changed: [{
+              name: 'repo',
+              before: {
+                name: 'repo', type: 'git', source: { branch: 'main' }
+              },
+              after: {
+                name: 'repo', type: 'git', source: { branch: 'develop' }
+              }
+            }]
+          },
+          resourceTypes: {
+            added: [],
+            removed: [],
+            changed: []
+          },
+          groups: {
+            added: ['all'],
+            removed: [],
+            changed: []
+          },
+          hasChanges: true,
+          version: '3'
+        })
+      })
   })
 
   describe('delete', () => {
@@ -599,6 +901,29 @@ describe('TeamPipelineClient', () => {
     })
   })
 
+  describe('forResourceType', () => {
+    it('returns a client for the team pipeline resource type with the ' +
+      'supplied name',
+    () => {
+      const {
+        client, httpClient, apiUrl, teamName, pipelineName
+      } = buildValidTeamPipelineClient()
+
+      const resourceTypeName = data.randomResourceTypeName()
+
+      const teamPipelineResourceTypeClient =
+        client.forResourceType(resourceTypeName)
+
+      expect(teamPipelineResourceTypeClient.apiUrl).to.equal(apiUrl)
+      expect(teamPipelineResourceTypeClient.httpClient).to.equal(httpClient)
+      expect(teamPipelineResourceTypeClient.teamName).to.eql(teamName)
+      expect(teamPipelineResourceTypeClient.pipelineName)
+        .to.eql(pipelineName)
+      expect(teamPipelineResourceTypeClient.resourceTypeName)
+        .to.eql(resourceTypeName)
+    })
+  })
+
   describe('listResourceTypes', () => {
     it('gets all resource types for team pipeline',
       async () => {
@@ -779,4 +1104,157 @@ describe('TeamPipelineClient', () => {
             '"until" must be greater than or equal to 1].')
       })
   })
+
+  describe('iterateBuilds', () => {
+    it('iterates over all builds, following pagination links',
+      async () => {
+        const {
+          client, mock, apiUrl, teamName, pipelineName
+        } = buildValidTeamPipelineClient()
+
+        const url = `${apiUrl}/teams/${teamName}/pipelines/${pipelineName}/builds`
+        const firstData = data.randomBuild()
+        const secondData = data.randomBuild()
+
+        mock.onGet(url, { params: { limit: 1 } })
+          .reply(200, [build.api.build(firstData)], {
+            link: `<${url}?to=${firstData.id}&limit=1>; rel="next"`
+          })
+        mock.onGet(`${url}?to=${firstData.id}&limit=1`)
+          .reply(200, [build.api.build(secondData)])
+
+        const actual = await collect(client.iterateBuilds({ limit: 1 }))
+
+        expect(actual).to.eql([
+          build.client.build(firstData),
+          build.client.build(secondData)
+        ])
+      })
+  })
+
+  describe('createBuild', () => {
+    it('throws an exception if the plan is not provided',
+      async () => {
+        const { client } = buildValidTeamPipelineClient()
+        await forInstance(client)
+          .onCallOf('createBuild')
+          .withNoArguments()
+          .throwsError('Invalid parameter(s): ["plan" is required].')
+      })
+
+    it('throws an exception if the plan is not an object',
+      async () => {
+        const { client } = buildValidTeamPipelineClient()
+        await forInstance(client)
+          .onCallOf('createBuild')
+          .withArguments('plan')
+          .throwsError('Invalid parameter(s): ["plan" must be of type object].')
+      })
+
+    it('creates a build for the pipeline using the provided plan',
+      async () => {
+        const { client, mock, apiUrl, bearerToken, teamName, pipelineName } =
+          buildValidTeamPipelineClient()
+
+        const plan = data.randomBuildPlan()
+        const buildData = data.randomBuild({
+          teamName,
+          pipelineName,
+          jobName: undefined
+        })
+
+        const buildFromApi = build.api.build(buildData)
+        const expectedBuild = build.client.build(buildData)
+
+        const createBuildUrl =
+          `${apiUrl}/teams/${teamName}/pipelines/${pipelineName}/builds`
+
+        mock.onPost(createBuildUrl, plan)
+          .reply(201, buildFromApi)
+
+        const actualBuild = await client.createBuild(plan)
+
+        expect(mock.history.post).to.have.length(1)
+        const call = mock.history.post[0]
+        expect(call.url).to.eql(createBuildUrl)
+        expect(JSON.parse(call.data)).to.eql(plan)
+        expect(call.headers).to.include(bearerAuthorizationHeader(bearerToken))
+        expect(actualBuild).to.eql(expectedBuild)
+      })
+  })
+
+  describe('setPipeline', () => {
+    it('saves the config with vars interpolated', async () => {
+      const { client, mock, apiUrl, teamName, pipelineName } =
+        buildValidTeamPipelineClient()
+      const config =
+        'resources:\n' +
+        '- name: repo\n' +
+        '  type: git\n' +
+        '  source:\n' +
+        '    uri: ((uri))\n' +
+        '    branch: ((branch))\n' +
+        '    private_key: ((git.private_key))\n'
+      const saveConfigUrl =
+        `${apiUrl}/teams/${teamName}/pipelines/${pipelineName}/config`
+      mock.onPut(saveConfigUrl).reply(200)
+
+      const result = await client.setPipeline({
+        config,
+        vars: { uri: 'https://example.com/repo.git', branch: 'main' }
+      })
+
+      const expectedConfig =
+        'resources:\n' +
+        '  - name: repo\n' +
+        '    type: git\n' +
+        '    source:\n' +
+        '      uri: https://example.com/repo.git\n' +
+        '      branch: main\n' +
+        '      private_key: ((git.private_key))\n'
+
+      expect(result).to.eql({
+        config: expectedConfig,
+        unresolvedVars: ['git.private_key']
+      })
+      expect(mock.history.put).to.have.length(1)
+      const call = mock.history.put[0]
+      expect(call.data).to.eql(expectedConfig)
+      expect(call.params).to.eql({})
+      expect(call.headers).to.include({
+        ...contentTypeHeader(contentTypes.yaml)
+      })
+    })
+
+    it('sends instance vars and the check credentials flag', async () => {
+      const { client, mock, apiUrl, teamName, pipelineName } =
+        buildValidTeamPipelineClient()
+      const saveConfigUrl =
+        `${apiUrl}/teams/${teamName}/pipelines/${pipelineName}/config`
+      mock.onPut(saveConfigUrl).reply(200)
+
+      const result = await client.setPipeline({
+        config: 'display:\n  background_image: ((branch)).png\n',
+        vars: { branch: 'main' },
+        instanceVars: { branch: 'feature' },
+        checkCredentials: true
+      })
+
+      expect(result.config)
+        .to.eql('display:\n  background_image: feature.png\n')
+      const call = mock.history.put[0]
+      expect(call.params).to.eql({
+        check_creds: true,
+        vars: '{"branch":"feature"}'
+      })
+    })
+
+    it('throws an exception if the config is not provided', async () => {
+      const { client } = buildValidTeamPipelineClient()
+      await forInstance(client)
+        .onCallOf('setPipeline')
+        .withArguments({ vars: {} })
+        .throwsError('Invalid parameter(s): ["config" is required].')
+    })
+  })
 })
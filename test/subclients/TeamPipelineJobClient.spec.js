@@ -10,6 +10,7 @@ import { bearerAuthorizationHeader } from '../../src/support/http/headers'
 import { expect } from 'chai'
 import MockAdapter from 'axios-mock-adapter'
 import { forInstance } from '../testsupport/dsls/methods'
+import { collect } from '../testsupport/iterables'
 
 const buildValidTeamPipelineJobClient = () => {
   const apiUrl = data.randomApiUrl()
@@ -275,6 +276,74 @@ describe('TeamPipelineJobClient', () => {
 
         expect(actualBuilds).to.eql(expectedBuilds)
       })
+
+    it('uses provided page options when supplied',
+      async () => {
+        const {
+          client, mock, apiUrl, teamName, pipelineName, jobName
+        } = buildValidTeamPipelineJobClient()
+
+        const buildData = data.randomBuild({ teamName, pipelineName, jobName })
+
+        mock.onGet(
+          `${apiUrl}/teams/${teamName}/pipelines/${pipelineName}` +
+          `/jobs/${jobName}/builds`,
+          {
+            params: {
+              limit: 20,
+              since: 123,
+              until: 456
+            }
+          })
+          .reply(200, [build.api.build(buildData)])
+
+        const actualBuilds = await client.listBuilds({
+          limit: 20,
+          since: 123,
+          until: 456
+        })
+
+        expect(actualBuilds).to.eql([build.client.build(buildData)])
+      })
+
+    it('throws an exception if the value provided for limit is less than 1',
+      async () => {
+        const { client } = buildValidTeamPipelineJobClient()
+        await forInstance(client)
+          .onCallOf('listBuilds')
+          .withArguments({ limit: -20 })
+          .throwsError(
+            'Invalid parameter(s): [' +
+            '"limit" must be greater than or equal to 1].')
+      })
+  })
+
+  describe('iterateBuilds', () => {
+    it('iterates over all builds, following pagination links',
+      async () => {
+        const {
+          client, mock, apiUrl, teamName, pipelineName, jobName
+        } = buildValidTeamPipelineJobClient()
+
+        const url = `${apiUrl}/teams/${teamName}/pipelines/${pipelineName}` +
+          `/jobs/${jobName}/builds`
+        const firstData = data.randomBuild()
+        const secondData = data.randomBuild()
+
+        mock.onGet(url, { params: { limit: 1 } })
+          .reply(200, [build.api.build(firstData)], {
+            link: `<${url}?to=${firstData.id}&limit=1>; rel="next"`
+          })
+        mock.onGet(`${url}?to=${firstData.id}&limit=1`)
+          .reply(200, [build.api.build(secondData)])
+
+        const actual = await collect(client.iterateBuilds({ limit: 1 }))
+
+        expect(actual).to.eql([
+          build.client.build(firstData),
+          build.client.build(secondData)
+        ])
+      })
   })
 
   describe('getBuild', () => {
@@ -361,6 +430,56 @@ describe('TeamPipelineJobClient', () => {
       })
   })
 
+  describe('rerunBuild', () => {
+    it('throws an exception if the build name is not provided',
+      async () => {
+        const { client } = buildValidTeamPipelineJobClient()
+        await forInstance(client)
+          .onCallOf('rerunBuild')
+          .withNoArguments()
+          .throwsError('Invalid parameter(s): ["buildName" is required].')
+      })
+
+    it('throws an exception if the build name is not a string',
+      async () => {
+        const { client } = buildValidTeamPipelineJobClient()
+        await forInstance(client)
+          .onCallOf('rerunBuild')
+          .withArguments(12345)
+          .throwsError(
+            'Invalid parameter(s): ["buildName" must be a string].')
+      })
+
+    it('reruns the build with the specified name',
+      async () => {
+        const {
+          client, mock, apiUrl, bearerToken, teamName, pipelineName, jobName
+        } = buildValidTeamPipelineJobClient()
+        const buildName = data.randomBuildName()
+        const rerunBuildUrl =
+          `${apiUrl}/teams/${teamName}/pipelines/${pipelineName}` +
+          `/jobs/${jobName}/builds/${buildName}`
+        const buildData = data.randomBuild({
+          teamName,
+          pipelineName,
+          jobName,
+          name: `${buildName}.1`
+        })
+        const buildFromApi = build.api.build(buildData)
+        const expectedBuild = build.client.build(buildData)
+        mock.onPost(rerunBuildUrl)
+          .reply(200, buildFromApi)
+
+        const actualBuild = await client.rerunBuild(buildName)
+
+        expect(mock.history.post).to.have.length(1)
+        const call = mock.history.post[0]
+        expect(call.url).to.eql(rerunBuildUrl)
+        expect(call.headers).to.include(bearerAuthorizationHeader(bearerToken))
+        expect(actualBuild).to.eql(expectedBuild)
+      })
+  })
+
   describe('listInputs', () => {
     it('gets all inputs for team pipeline job',
       async () => {
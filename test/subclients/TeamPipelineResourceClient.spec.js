@@ -10,6 +10,7 @@ import build from '../testsupport/builders'
 import { bearerAuthorizationHeader } from '../../src/support/http/headers'
 import { expect } from 'chai'
 import { forInstance } from '../testsupport/dsls/methods'
+import { collect } from '../testsupport/iterables'
 import MockAdapter from 'axios-mock-adapter'
 
 const buildValidTeamPipelineResourceClient = () => {
@@ -250,6 +251,179 @@ describe('TeamPipelineResourceClient', () => {
       })
   })
 
+  describe('check', () => {
+    it('checks the resource and returns the check', async () => {
+      const {
+        client, mock, apiUrl, bearerToken,
+        teamName, pipelineName, resourceName
+      } = buildValidTeamPipelineResourceClient()
+
+      const checkData = data.randomCheck()
+      const checkUrl =
+        `${apiUrl}/teams/${teamName}/pipelines/${pipelineName}` +
+        `/resources/${resourceName}/check`
+
+      mock.onPost(checkUrl, {}).reply(201, build.api.check(checkData))
+
+      const check = await client.check()
+
+      expect(check).to.eql(build.client.check(checkData))
+      const call = mock.history.post[0]
+      expect(call.url).to.eql(checkUrl)
+      expect(call.headers)
+        .to.include(bearerAuthorizationHeader(bearerToken))
+    })
+
+    it('checks from the provided version', async () => {
+      const { client, mock, apiUrl, teamName, pipelineName, resourceName } =
+        buildValidTeamPipelineResourceClient()
+
+      const fromVersion = data.randomResourceVersionVersion()
+
+      mock.onPost(
+        `${apiUrl}/teams/${teamName}/pipelines/${pipelineName}` +
+        `/resources/${resourceName}/check`,
+        { from: fromVersion })
+        .reply(201, build.api.check())
+
+      await client.check({ fromVersion })
+
+      expect(JSON.parse(mock.history.post[0].data))
+        .to.eql({ from: fromVersion })
+    })
+
+    it('throws an exception if the from version is not an object',
+      async () => {
+        const { client } = buildValidTeamPipelineResourceClient()
+        await forInstance(client)
+          .onCallOf('check')
+          .withArguments({ fromVersion: 'abc123' })
+          .throwsError(
+            'Invalid parameter(s): ["fromVersion" must be of type object].')
+      })
+  })
+
+  describe('webhook', () => {
+    it('triggers a check using the webhook token', async () => {
+      const {
+        client, mock, apiUrl, teamName, pipelineName, resourceName
+      } = buildValidTeamPipelineResourceClient()
+
+      const webhookToken = faker.random.alphaNumeric(16)
+      const checkData = data.randomCheck()
+      const webhookUrl =
+        `${apiUrl}/teams/${teamName}/pipelines/${pipelineName}` +
+        `/resources/${resourceName}/check/webhook`
+
+      mock.onPost(webhookUrl).reply(201, build.api.check(checkData))
+
+      const check = await client.webhook(webhookToken)
+
+      expect(check).to.eql(build.client.check(checkData))
+      const call = mock.history.post[0]
+      expect(call.url).to.eql(webhookUrl)
+      expect(call.params).to.eql({ webhook_token: webhookToken })
+    })
+
+    it('throws an exception if the webhook token is not provided',
+      async () => {
+        const { client } = buildValidTeamPipelineResourceClient()
+        await forInstance(client)
+          .onCallOf('webhook')
+          .withNoArguments()
+          .throwsError('Invalid parameter(s): ["webhookToken" is required].')
+      })
+  })
+
+  describe('unpin', () => {
+    it('unpins the resource',
+      async () => {
+        const {
+          client, mock, apiUrl, bearerToken,
+          teamName, pipelineName, resourceName
+        } = buildValidTeamPipelineResourceClient()
+
+        const unpinUrl =
+          `${apiUrl}/teams/${teamName}/pipelines/${pipelineName}` +
+          `/resources/${resourceName}/unpin`
+
+        mock.onPut(unpinUrl).reply(200)
+
+        await client.unpin()
+        expect(mock.history.put).to.have.length(1)
+
+        const call = mock.history.put[0]
+        expect(call.url).to.eql(unpinUrl)
+        expect(call.headers)
+          .to.include(bearerAuthorizationHeader(bearerToken))
+      })
+
+    it('throws the underlying http client exception on failure',
+      async () => {
+        const { client, mock, apiUrl, teamName, pipelineName, resourceName } =
+          buildValidTeamPipelineResourceClient()
+
+        mock.onPut(
+          `${apiUrl}/teams/${teamName}/pipelines/${pipelineName}` +
+          `/resources/${resourceName}/unpin`)
+          .networkError()
+
+        let actualError = null
+        try {
+          await client.unpin()
+        } catch (e) {
+          actualError = e
+        }
+
+        expect(actualError).to.be.instanceOf(Error)
+        expect(actualError.message).to.eql('Network Error')
+      })
+  })
+
+  describe('setPinComment', () => {
+    it('sets the pin comment on the resource',
+      async () => {
+        const {
+          client, mock, apiUrl, bearerToken,
+          teamName, pipelineName, resourceName
+        } = buildValidTeamPipelineResourceClient()
+
+        const comment = 'Rolled back to last known good version.'
+        const pinCommentUrl =
+          `${apiUrl}/teams/${teamName}/pipelines/${pipelineName}` +
+          `/resources/${resourceName}/pin_comment`
+
+        mock.onPut(pinCommentUrl, { pin_comment: comment }).reply(200)
+
+        await client.setPinComment(comment)
+        expect(mock.history.put).to.have.length(1)
+
+        const call = mock.history.put[0]
+        expect(call.url).to.eql(pinCommentUrl)
+        expect(JSON.parse(call.data)).to.eql({ pin_comment: comment })
+        expect(call.headers)
+          .to.include(bearerAuthorizationHeader(bearerToken))
+      })
+
+    it('throws an exception if the comment is not provided',
+      async () => {
+        const { client } = buildValidTeamPipelineResourceClient()
+        await forInstance(client)
+          .onCallOf('setPinComment')
+          .withNoArguments()
+          .throwsError('Invalid parameter(s): ["comment" is required].')
+      })
+
+    it('throws an exception if the comment is not a string',
+      async () => {
+        const { client } = buildValidTeamPipelineResourceClient()
+        await forInstance(client)
+          .onCallOf('setPinComment')
+          .withArguments(12345)
+          .throwsError('Invalid parameter(s): ["comment" must be a string].')
+      })
+  })
+
   describe('listVersions', () => {
     it('gets all versions for team',
       async () => {
@@ -408,6 +582,67 @@ describe('TeamPipelineResourceClient', () => {
       })
   })
 
+  describe('iterateVersions', () => {
+    it('iterates over all versions, following pagination links',
+      async () => {
+        const {
+          client, mock, apiUrl, teamName, pipelineName, resourceName
+        } = buildValidTeamPipelineResourceClient()
+
+        const url = `${apiUrl}/teams/${teamName}/pipelines/${pipelineName}` +
+          `/resources/${resourceName}/versions`
+        const firstData = data.randomResourceVersion()
+        const secondData = data.randomResourceVersion()
+
+        mock.onGet(url, { params: { limit: 1 } })
+          .reply(200, [build.api.resourceVersion(firstData)], {
+            link: `<${url}?to=${firstData.id}&limit=1>; rel="next"`
+          })
+        mock.onGet(`${url}?to=${firstData.id}&limit=1`)
+          .reply(200, [build.api.resourceVersion(secondData)])
+
+        const actual = await collect(client.iterateVersions({ limit: 1 }))
+
+        expect(actual).to.eql([
+          build.client.resourceVersion(firstData),
+          build.client.resourceVersion(secondData)
+        ])
+      })
+
+    it('stops at versions older than the supplied window',
+      async () => {
+        const {
+          client, mock, apiUrl, teamName, pipelineName, resourceName
+        } = buildValidTeamPipelineResourceClient()
+
+        const url = `${apiUrl}/teams/${teamName}/pipelines/${pipelineName}` +
+          `/resources/${resourceName}/versions`
+        const newerData = data.randomResourceVersion({ id: 30 })
+        const olderData = data.randomResourceVersion({ id: 10 })
+
+        mock.onGet(url, { params: {} })
+          .reply(200, [
+            build.api.resourceVersion(newerData),
+            build.api.resourceVersion(olderData)
+          ])
+
+        const actual = await collect(client.iterateVersions({ from: 20 }))
+
+        expect(actual).to.eql([build.client.resourceVersion(newerData)])
+      })
+
+    it('throws an exception if the value provided for from is less than 1',
+      async () => {
+        const { client } = buildValidTeamPipelineResourceClient()
+        await forInstance(client)
+          .onCallOf('iterateVersions')
+          .withArguments({ from: -20 })
+          .throwsError(
+            'Invalid parameter(s): [' +
+            '"from" must be greater than or equal to 1].')
+      })
+  })
+
   describe('getVersion', () => {
     it('throws an exception if the version ID is not provided',
       async () => {
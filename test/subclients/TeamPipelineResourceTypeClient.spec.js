@@ -0,0 +1,112 @@
+import 'core-js/stable'
+import 'regenerator-runtime/runtime'
+import { onConstructionOf } from '../testsupport/dsls/construction'
+import TeamPipelineResourceTypeClient
+  from '../../src/subclients/TeamPipelineResourceTypeClient'
+import data from '../testsupport/data'
+import axios from 'axios'
+import faker from 'faker'
+import build from '../testsupport/builders'
+import { bearerAuthorizationHeader } from '../../src/support/http/headers'
+import { expect } from 'chai'
+import MockAdapter from 'axios-mock-adapter'
+
+const buildValidTeamPipelineResourceTypeClient = () => {
+  const apiUrl = data.randomApiUrl()
+  const bearerToken = data.randomBearerTokenCurrent()
+
+  const httpClient = axios.create({
+    headers: bearerAuthorizationHeader(bearerToken)
+  })
+  const mock = new MockAdapter(httpClient)
+
+  const teamName = data.randomTeamName()
+  const pipelineName = data.randomPipelineName()
+  const resourceTypeName = data.randomResourceTypeName()
+
+  const client = new TeamPipelineResourceTypeClient({
+    apiUrl, httpClient, teamName, pipelineName, resourceTypeName
+  })
+
+  return {
+    client,
+    httpClient,
+    mock,
+    apiUrl,
+    bearerToken,
+    teamName,
+    pipelineName,
+    resourceTypeName
+  }
+}
+
+describe('TeamPipelineResourceTypeClient', () => {
+  describe('construction', () => {
+    it('throws an exception if the API URI is not provided', () => {
+      onConstructionOf(TeamPipelineResourceTypeClient)
+        .withArguments({
+          teamName: data.randomTeamName(),
+          pipelineName: data.randomPipelineName(),
+          resourceTypeName: data.randomResourceTypeName(),
+          httpClient: axios
+        })
+        .throwsError('Invalid parameter(s): ["apiUrl" is required].')
+    })
+
+    it('throws an exception if the resource type name is not provided',
+      () => {
+        onConstructionOf(TeamPipelineResourceTypeClient)
+          .withArguments({
+            apiUrl: faker.internet.url(),
+            teamName: data.randomTeamName(),
+            pipelineName: data.randomPipelineName(),
+            httpClient: axios
+          })
+          .throwsError(
+            'Invalid parameter(s): ["resourceTypeName" is required].')
+      })
+  })
+
+  describe('check', () => {
+    it('checks the resource type and returns the check', async () => {
+      const {
+        client, mock, apiUrl, bearerToken,
+        teamName, pipelineName, resourceTypeName
+      } = buildValidTeamPipelineResourceTypeClient()
+
+      const checkData = data.randomCheck()
+      const checkUrl =
+        `${apiUrl}/teams/${teamName}/pipelines/${pipelineName}` +
+        `/resource-types/${resourceTypeName}/check`
+
+      mock.onPost(checkUrl, {}).reply(201, build.api.check(checkData))
+
+      const check = await client.check()
+
+      expect(check).to.eql(build.client.check(checkData))
+      const call = mock.history.post[0]
+      expect(call.url).to.eql(checkUrl)
+      expect(call.headers)
+        .to.include(bearerAuthorizationHeader(bearerToken))
+    })
+
+    it('checks from the provided version', async () => {
+      const {
+        client, mock, apiUrl, teamName, pipelineName, resourceTypeName
+      } = buildValidTeamPipelineResourceTypeClient()
+
+      const fromVersion = data.randomResourceVersionVersion()
+
+      mock.onPost(
+        `${apiUrl}/teams/${teamName}/pipelines/${pipelineName}` +
+        `/resource-types/${resourceTypeName}/check`,
+        { from: fromVersion })
+        .reply(201, build.api.check())
+
+      await client.check({ fromVersion })
+
+      expect(JSON.parse(mock.history.post[0].data))
+        .to.eql({ from: fromVersion })
+    })
+  })
+})
@@ -339,4 +339,145 @@ describe('TeamPipelineResourceVersionClient', () => {
         expect(actualBuilds).to.eql(expectedBuilds)
       })
   })
+
+  describe('pin', () => {
+    it('pins the resource version',
+      async () => {
+        const {
+          client, mock, apiUrl, bearerToken,
+          teamName, pipelineName, resourceName, versionId
+        } = buildValidTeamPipelineResourceVersionClient()
+
+        const versionUrl =
+          `${apiUrl}/teams/${teamName}/pipelines/${pipelineName}` +
+          `/resources/${resourceName}/versions/${versionId}/pin`
+
+        mock.onPut(versionUrl).reply(200)
+
+        await client.pin()
+        expect(mock.history.put).to.have.length(1)
+
+        const call = mock.history.put[0]
+        expect(call.url).to.eql(versionUrl)
+        expect(call.headers)
+          .to.include(bearerAuthorizationHeader(bearerToken))
+      })
+
+    it('throws the underlying http client exception on failure',
+      async () => {
+        const {
+          client, mock, apiUrl,
+          teamName, pipelineName, resourceName, versionId
+        } = buildValidTeamPipelineResourceVersionClient()
+
+        mock.onPut(
+          `${apiUrl}/teams/${teamName}/pipelines/${pipelineName}` +
+          `/resources/${resourceName}/versions/${versionId}/pin`)
+          .networkError()
+
+        let actualError = null
+        try {
+          await client.pin()
+        } catch (e) {
+          actualError = e
+        }
+
+        expect(actualError).to.be.instanceOf(Error)
+        expect(actualError.message).to.eql('Network Error')
+      })
+  })
+
+  describe('enable', () => {
+    it('enables the resource version',
+      async () => {
+        const {
+          client, mock, apiUrl, bearerToken,
+          teamName, pipelineName, resourceName, versionId
+        } = buildValidTeamPipelineResourceVersionClient()
+
+        const versionUrl =
+          `${apiUrl}/teams/${teamName}/pipelines/${pipelineName}` +
+          `/resources/${resourceName}/versions/${versionId}/enable`
+
+        mock.onPut(versionUrl).reply(200)
+
+        await client.enable()
+        expect(mock.history.put).to.have.length(1)
+
+        const call = mock.history.put[0]
+        expect(call.url).to.eql(versionUrl)
+        expect(call.headers)
+          .to.include(bearerAuthorizationHeader(bearerToken))
+      })
+
+    it('throws the underlying http client exception on failure',
+      async () => {
+        const {
+          client, mock, apiUrl,
+          teamName, pipelineName, resourceName, versionId
+        } = buildValidTeamPipelineResourceVersionClient()
+
+        mock.onPut(
+          `${apiUrl}/teams/${teamName}/pipelines/${pipelineName}` +
+          `/resources/${resourceName}/versions/${versionId}/enable`)
+          .networkError()
+
+        let actualError = null
+        try {
+          await client.enable()
+        } catch (e) {
+          actualError = e
+        }
+
+        expect(actualError).to.be.instanceOf(Error)
+        expect(actualError.message).to.eql('Network Error')
+      })
+  })
+
+  describe('disable', () => {
+    it('disables the resource version',
+      async () => {
+        const {
+          client, mock, apiUrl, bearerToken,
+          teamName, pipelineName, resourceName, versionId
+        } = buildValidTeamPipelineResourceVersionClient()
+
+        const versionUrl =
+          `${apiUrl}/teams/${teamName}/pipelines/${pipelineName}` +
+          `/resources/${resourceName}/versions/${versionId}/disable`
+
+        mock.onPut(versionUrl).reply(200)
+
+        await client.disable()
+        expect(mock.history.put).to.have.length(1)
+
+        const call = mock.history.put[0]
+        expect(call.url).to.eql(versionUrl)
+        expect(call.headers)
+          .to.include(bearerAuthorizationHeader(bearerToken))
+      })
+
+    it('throws the underlying http client exception on failure',
+      async () => {
+        const {
+          client, mock, apiUrl,
+          teamName, pipelineName, resourceName, versionId
+        } = buildValidTeamPipelineResourceVersionClient()
+
+        mock.onPut(
+          `${apiUrl}/teams/${teamName}/pipelines/${pipelineName}` +
+          `/resources/${resourceName}/versions/${versionId}/disable`)
+          .networkError()
+
+        let actualError = null
+        try {
+          await client.disable()
+        } catch (e) {
+          actualError = e
+        }
+
+        expect(actualError).to.be.instanceOf(Error)
+        expect(actualError.message).to.eql('Network Error')
+      })
+  })
 })
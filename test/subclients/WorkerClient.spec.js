@@ -5,8 +5,11 @@ import WorkerClient from '../../src/subclients/WorkerClient'
 import data from '../testsupport/data'
 import axios from 'axios'
 import faker from 'faker'
+import build from '../testsupport/builders'
 import { bearerAuthorizationHeader } from '../../src/support/http/headers'
+import { TimeoutError } from '../../src/errors'
 import { expect } from 'chai'
+import { forInstance } from '../testsupport/dsls/methods'
 import MockAdapter from 'axios-mock-adapter'
 
 const buildValidWorkerClient = () => {
@@ -130,4 +133,315 @@ describe('WorkerClient', () => {
         }
       })
   })
+
+  describe('get', () => {
+    it('returns the worker with the client\'s name', async () => {
+      const { client, mock, apiUrl, bearerToken, workerName } =
+        buildValidWorkerClient()
+
+      const workerData = data.randomWorker({ name: workerName })
+      const otherWorkerData = data.randomWorker()
+
+      mock.onGet(
+        `${apiUrl}/workers`,
+        {
+          headers: {
+            ...bearerAuthorizationHeader(bearerToken)
+          }
+        })
+        .reply(200, [
+          build.api.worker(otherWorkerData),
+          build.api.worker(workerData)
+        ])
+
+      const worker = await client.get()
+
+      expect(worker).to.eql(build.client.worker(workerData))
+    })
+
+    it('returns null when the worker is not registered', async () => {
+      const { client, mock, apiUrl } = buildValidWorkerClient()
+
+      mock.onGet(`${apiUrl}/workers`)
+        .reply(200, [build.api.worker(data.randomWorker())])
+
+      expect(await client.get()).to.eql(null)
+    })
+  })
+
+  describe('land', () => {
+    it('lands the worker', async () => {
+      const { client, mock, apiUrl, bearerToken, workerName } =
+        buildValidWorkerClient()
+
+      mock.onPut(`${apiUrl}/workers/${workerName}/land`)
+        .reply(200)
+
+      await client.land()
+      expect(mock.history.put).to.have.length(1)
+
+      const call = mock.history.put[0]
+      expect(call.url)
+        .to.eql(`${apiUrl}/workers/${workerName}/land`)
+      expect(call.headers)
+        .to.include(bearerAuthorizationHeader(bearerToken))
+    })
+
+    it('throws the underlying http client exception on failure',
+      async () => {
+        const { client, mock, apiUrl, workerName } =
+          buildValidWorkerClient()
+
+        mock.onPut(`${apiUrl}/workers/${workerName}/land`)
+          .networkError()
+
+        let actualError = null
+        try {
+          await client.land()
+        } catch (e) {
+          actualError = e
+        }
+
+        expect(actualError).to.be.instanceOf(Error)
+        expect(actualError.message).to.eql('Network Error')
+      })
+  })
+
+  describe('retire', () => {
+    it('retires the worker', async () => {
+      const { client, mock, apiUrl, bearerToken, workerName } =
+        buildValidWorkerClient()
+
+      mock.onPut(`${apiUrl}/workers/${workerName}/retire`)
+        .reply(200)
+
+      await client.retire()
+      expect(mock.history.put).to.have.length(1)
+
+      const call = mock.history.put[0]
+      expect(call.url)
+        .to.eql(`${apiUrl}/workers/${workerName}/retire`)
+      expect(call.headers)
+        .to.include(bearerAuthorizationHeader(bearerToken))
+    })
+
+    it('throws the underlying http client exception on failure',
+      async () => {
+        const { client, mock, apiUrl, workerName } =
+          buildValidWorkerClient()
+
+        mock.onPut(`${apiUrl}/workers/${workerName}/retire`)
+          .networkError()
+
+        let actualError = null
+        try {
+          await client.retire()
+        } catch (e) {
+          actualError = e
+        }
+
+        expect(actualError).to.be.instanceOf(Error)
+        expect(actualError.message).to.eql('Network Error')
+      })
+  })
+
+  describe('delete', () => {
+    it('deletes the worker', async () => {
+      const { client, mock, apiUrl, bearerToken, workerName } =
+        buildValidWorkerClient()
+
+      mock.onDelete(`${apiUrl}/workers/${workerName}`)
+        .reply(200)
+
+      await client.delete()
+      expect(mock.history.delete).to.have.length(1)
+
+      const call = mock.history.delete[0]
+      expect(call.url).to.eql(`${apiUrl}/workers/${workerName}`)
+      expect(call.headers)
+        .to.include(bearerAuthorizationHeader(bearerToken))
+    })
+  })
+
+  describe('waitForState', () => {
+    it('polls until the worker has landed', async () => {
+      const { client, mock, apiUrl, workerName } = buildValidWorkerClient()
+
+      const workerData = data.randomWorker({ name: workerName })
+
+      mock.onGet(`${apiUrl}/workers`)
+        .replyOnce(200,
+          [build.api.worker({ ...workerData, state: 'landing' })])
+        .onGet(`${apiUrl}/workers`)
+        .replyOnce(200,
+          [build.api.worker({ ...workerData, state: 'landed' })])
+
+      const worker = await client.waitForState('landed', { interval: 1 })
+
+      expect(worker)
+        .to.eql(build.client.worker({ ...workerData, state: 'landed' }))
+      expect(mock.history.get).to.have.length(2)
+    })
+
+    it('polls until the worker is gone', async () => {
+      const { client, mock, apiUrl, workerName } = buildValidWorkerClient()
+
+      const workerData =
+        data.randomWorker({ name: workerName, state: 'retiring' })
+
+      mock.onGet(`${apiUrl}/workers`)
+        .replyOnce(200, [build.api.worker(workerData)])
+        .onGet(`${apiUrl}/workers`)
+        .replyOnce(200, [])
+
+      const worker = await client.waitForState('retired', { interval: 1 })
+
+      expect(worker).to.eql(null)
+      expect(mock.history.get).to.have.length(2)
+    })
+
+    it('throws a timeout error if the state is not reached in time',
+      async () => {
+        const { client, mock, apiUrl, workerName } = buildValidWorkerClient()
+
+        mock.onGet(`${apiUrl}/workers`)
+          .reply(200, [build.api.worker(
+            data.randomWorker({ name: workerName, state: 'running' }))])
+
+        let actualError = null
+        try {
+          await client.waitForState('gone', { timeout: 20, interval: 5 })
+        } catch (e) {
+          actualError = e
+        }
+
+        expect(actualError).to.be.instanceOf(TimeoutError)
+        expect(actualError.timeout).to.eql(20)
+        expect(actualError.message).to.eql(
+          `Worker ${workerName} did not reach state gone within 20ms.`)
+      })
+
+    it('throws an exception if the state is not supported', async () => {
+      const { client } = buildValidWorkerClient()
+      await forInstance(client)
+        .onCallOf('waitForState')
+        .withArguments('running')
+        .throwsError(
+          'Invalid parameter(s): ' +
+          '["state" must be one of [landed, retired, gone]].')
+    })
+  })
+
+  describe('heartbeat', () => {
+    it('heartbeats the worker with its active counts', async () => {
+      const { apiUrl, httpClient, mock, bearerToken, workerName } =
+        buildValidWorkerClient()
+      const client =
+        new WorkerClient({ apiUrl, httpClient, workerName, ttl: 30000 })
+
+      const workerData = data.randomWorker({ name: workerName })
+
+      mock.onPut(`${apiUrl}/workers/${workerName}/heartbeat`)
+        .reply(200, build.api.worker(workerData))
+
+      const worker =
+        await client.heartbeat({ activeContainers: 4, activeVolumes: 7 })
+
+      expect(worker).to.eql(build.client.worker(workerData))
+      const call = mock.history.put[0]
+      expect(call.params).to.eql({ ttl: '30000ms' })
+      expect(JSON.parse(call.data)).to.eql({
+        name: workerName,
+        active_containers: 4,
+        active_volumes: 7
+      })
+      expect(call.headers)
+        .to.include(bearerAuthorizationHeader(bearerToken))
+    })
+
+    it('throws an exception if the active counts are negative',
+      async () => {
+        const { client } = buildValidWorkerClient()
+        await forInstance(client)
+          .onCallOf('heartbeat')
+          .withArguments({ activeContainers: -1 })
+          .throwsError(
+            'Invalid parameter(s): ' +
+            '["activeContainers" must be greater than or equal to 0].')
+      })
+  })
+
+  describe('startHeartbeating', () => {
+    it('heartbeats repeatedly until stopped', async () => {
+      const { client, mock, apiUrl, workerName } = buildValidWorkerClient()
+
+      mock.onPut(`${apiUrl}/workers/${workerName}/heartbeat`)
+        .reply(200, build.api.worker(data.randomWorker({ name: workerName })))
+
+      const getStats = () => ({ activeContainers: 2, activeVolumes: 3 })
+      const heartbeating = client.startHeartbeating(1, { getStats })
+
+      while (mock.history.put.length < 3) {
+        await new Promise(resolve => setTimeout(resolve, 1))
+      }
+      heartbeating.stop()
+      const heartbeats = mock.history.put.length
+
+      await new Promise(resolve => setTimeout(resolve, 10))
+
+      expect(mock.history.put.length).to.be.at.most(heartbeats + 1)
+      expect(JSON.parse(mock.history.put[0].data)).to.eql({
+        name: workerName,
+        active_containers: 2,
+        active_volumes: 3
+      })
+    })
+
+    it('reports heartbeat failures and keeps heartbeating', async () => {
+      const { client, mock, apiUrl, workerName } = buildValidWorkerClient()
+
+      mock.onPut(`${apiUrl}/workers/${workerName}/heartbeat`)
+        .networkError()
+
+      const errors = []
+      const heartbeating = client.startHeartbeating(1, {
+        onError: error => errors.push(error)
+      })
+
+      while (errors.length < 2) {
+        await new Promise(resolve => setTimeout(resolve, 1))
+      }
+      heartbeating.stop()
+
+      expect(errors[0].message).to.eql('Network Error')
+    })
+
+    it('keeps heartbeating when the error handler throws', async () => {
+      const { client, mock, apiUrl, workerName } = buildValidWorkerClient()
+
+      mock.onPut(`${apiUrl}/workers/${workerName}/heartbeat`)
+        .networkError()
+
+      const unhandled = []
+      const onUnhandled = reason => unhandled.push(reason)
+      process.on('unhandledRejection', onUnhandled)
+
+      const errors = []
+      const heartbeating = client.startHeartbeating(1, {
+        onError: error => {
+          errors.push(error)
+          throw new Error('Handler failed')
+        }
+      })
+
+      while (errors.length < 3) {
+        await new Promise(resolve => setTimeout(resolve, 1))
+      }
+      heartbeating.stop()
+      await new Promise(resolve => setTimeout(resolve, 10))
+      process.removeListener('unhandledRejection', onUnhandled)
+
+      expect(unhandled).to.eql([])
+    })
+  })
 })
@@ -0,0 +1,195 @@
+import 'core-js/stable'
+import 'regenerator-runtime/runtime'
+import { expect } from 'chai'
+
+import data from '../testsupport/data'
+import Job from '../../src/model/Job'
+import PipelineGraph from '../../src/model/PipelineGraph'
+import {
+  describeGraph,
+  toDot,
+  toJson,
+  toMermaid
+} from '../../src/support/graph'
+
+const buildPipelineGraph = () => new PipelineGraph([
+  new Job(data.randomJob({
+    name: 'build',
+    inputs: [data.randomInput({ resource: 'source', trigger: true })],
+    outputs: [data.randomOutput({ resource: 'image' })],
+    groups: ['ci'],
+    nextBuild: null,
+    finishedBuild: data.randomBuild({ status: 'succeeded' })
+  })),
+  new Job(data.randomJob({
+    name: 'deploy',
+    inputs: [
+      data.randomInput({ resource: 'source', passed: ['build'] }),
+      data.randomInput({ resource: 'image', passed: ['build'] })
+    ],
+    outputs: [],
+    groups: ['release'],
+    nextBuild: data.randomBuild({ status: 'started' }),
+    finishedBuild: data.randomBuild({ status: 'failed' })
+  })),
+  new Job(data.randomJob({
+    name: 'smoke "test"',
+    inputs: [],
+    outputs: [],
+    groups: [],
+    nextBuild: null,
+    finishedBuild: null
+  }))
+])
+
+describe('describeGraph', () => {
+  it('describes jobs, their statuses and edges labelled with resources',
+    () => {
+      const description = describeGraph({
+        name: 'main',
+        graph: buildPipelineGraph()
+      })
+
+      expect(description).to.eql({
+        name: 'main',
+        nodes: [
+          { id: 'job:build', type: 'job', name: 'build', status: 'succeeded' },
+          { id: 'job:deploy', type: 'job', name: 'deploy', status: 'started' },
+          {
+            id: 'job:smoke "test"',
+            type: 'job',
+            name: 'smoke "test"',
+            status: null
+          }
+        ],
+        edges: [
+          { from: 'job:build', to: 'job:deploy', label: 'source, image' }
+        ],
+        groups: []
+      })
+    })
+
+  it('includes resources and the edges to and from them when requested',
+    () => {
+      const description = describeGraph({
+        name: 'main',
+        graph: buildPipelineGraph(),
+        includeResources: true
+      })
+
+      expect(description.nodes.slice(3)).to.eql([
+        { id: 'resource:source', type: 'resource', name: 'source' },
+        { id: 'resource:image', type: 'resource', name: 'image' }
+      ])
+      expect(description.edges.slice(1)).to.eql([
+        { from: 'resource:source', to: 'job:build', label: null },
+        { from: 'resource:source', to: 'job:deploy', label: null },
+        { from: 'resource:image', to: 'job:deploy', label: null },
+        { from: 'job:build', to: 'resource:image', label: null }
+      ])
+    })
+
+  it('groups jobs by their first pipeline group when requested', () => {
+    const description = describeGraph({
+      name: 'main',
+      graph: buildPipelineGraph(),
+      groupBy: 'group'
+    })
+
+    expect(description.groups).to.eql([
+      { name: 'ci', nodeIds: ['job:build'] },
+      { name: 'release', nodeIds: ['job:deploy'] }
+    ])
+  })
+})
+
+describe('toDot', () => {
+  it('renders the graph in DOT, coloured by status', () => {
+    const dot = toDot(describeGraph({
+      name: 'main',
+      graph: buildPipelineGraph(),
+      groupBy: 'group'
+    }))
+
+    expect(dot).to.eql([
+      'digraph "main" {',
+      '  rankdir=LR',
+      '  node [shape=box, style=filled, fontcolor=white]',
+      '  subgraph "cluster_ci" {',
+      '    label="ci"',
+      '    "job:build" [label="build", fillcolor="#11c560"]',
+      '  }',
+      '  subgraph "cluster_release" {',
+      '    label="release"',
+      '    "job:deploy" [label="deploy", fillcolor="#fad43b"]',
+      '  }',
+      '  "job:smoke \\"test\\"" [label="smoke \\"test\\"", ' +
+        'fillcolor="#3d3c3c"]',
+      '  "job:build" -> "job:deploy" [label="source, image"]',
+      '}',
+      ''
+    ].join('\n'))
+  })
+
+  it('renders resources as ellipses', () => {
+    const dot = toDot(describeGraph({
+      name: 'main',
+      graph: buildPipelineGraph(),
+      includeResources: true
+    }))
+
+    expect(dot).to.include(
+      '  "resource:image" [label="image", shape=ellipse, ' +
+      'fillcolor="#2a2929"]')
+    expect(dot).to.include('  "job:build" -> "resource:image"\n')
+  })
+})
+
+describe('toMermaid', () => {
+  it('renders the graph as a Mermaid flowchart, styled by status', () => {
+    const mermaid = toMermaid(describeGraph({
+      name: 'main',
+      graph: buildPipelineGraph(),
+      includeResources: true,
+      groupBy: 'group'
+    }))
+
+    expect(mermaid).to.eql([
+      'flowchart LR',
+      '  subgraph g0 ["ci"]',
+      '    n0["build"]',
+      '  end',
+      '  subgraph g1 ["release"]',
+      '    n1["deploy"]',
+      '  end',
+      '  n2["smoke #quot;test#quot;"]',
+      '  n3(["source"])',
+      '  n4(["image"])',
+      '  n0 -->|"source, image"| n1',
+      '  n3 --> n0',
+      '  n3 --> n1',
+      '  n4 --> n1',
+      '  n0 --> n4',
+      '  classDef succeeded fill:#11c560,color:#fff',
+      '  class n0 succeeded',
+      '  classDef started fill:#fad43b,color:#fff',
+      '  class n1 started',
+      '  classDef unbuilt fill:#3d3c3c,color:#fff',
+      '  class n2 unbuilt',
+      '  classDef resource fill:#2a2929,color:#fff',
+      '  class n3,n4 resource',
+      ''
+    ].join('\n'))
+  })
+})
+
+describe('toJson', () => {
+  it('renders the graph description as JSON', () => {
+    const description = describeGraph({
+      name: 'main',
+      graph: buildPipelineGraph()
+    })
+
+    expect(JSON.parse(toJson(description))).to.eql(description)
+  })
+})
@@ -0,0 +1,126 @@
+import 'core-js/stable'
+import 'regenerator-runtime/runtime'
+import { expect } from 'chai'
+import axios from 'axios'
+import MockAdapter from 'axios-mock-adapter'
+
+import data from '../../testsupport/data'
+
+import { createErrorInterceptor } from '../../../src/support/http/errors'
+import {
+  AuthenticationError,
+  ConflictError,
+  ForbiddenError,
+  HttpError,
+  NotFoundError,
+  ServerError,
+  TimeoutError
+} from '../../../src/errors'
+
+const buildHttpClient = () => {
+  const httpClient = axios.create()
+  httpClient.interceptors.response.use(
+    (response) => response,
+    createErrorInterceptor())
+  const mock = new MockAdapter(httpClient)
+
+  return { httpClient, mock }
+}
+
+const errorFrom = async (promise) => {
+  try {
+    await promise
+  } catch (e) {
+    return e
+  }
+  expect.fail(null, null, 'Expected exception but none was thrown.')
+}
+
+describe('error interceptor', () => {
+  const statusExpectations = [
+    [401, AuthenticationError],
+    [403, ForbiddenError],
+    [404, NotFoundError],
+    [409, ConflictError],
+    [500, ServerError],
+    [503, ServerError],
+    [400, HttpError]
+  ]
+
+  statusExpectations.forEach(([status, ErrorType]) => {
+    it(`maps a ${status} response to a ${ErrorType.name}`, async () => {
+      const { httpClient, mock } = buildHttpClient()
+      const url = `${data.randomApiUrl()}/teams`
+
+      mock.onGet(url).reply(status, 'something went wrong\n')
+
+      const error = await errorFrom(httpClient.get(url))
+
+      expect(error).to.be.instanceOf(ErrorType)
+      expect(error).to.be.instanceOf(HttpError)
+      expect(error.name).to.eql(ErrorType.name)
+      expect(error.url).to.eql(url)
+      expect(error.method).to.eql('GET')
+      expect(error.status).to.eql(status)
+      expect(error.serverMessage).to.eql('something went wrong')
+      expect(error.message).to.eql(
+        `GET ${url} failed with status ${status}: something went wrong`)
+    })
+  })
+
+  it('uses the errors from a JSON response body as the server message',
+    async () => {
+      const { httpClient, mock } = buildHttpClient()
+      const url = `${data.randomApiUrl()}/teams/main/pipelines/example/config`
+
+      mock.onPut(url)
+        .reply(400, { errors: ['malformed config', 'unknown job'] })
+
+      const error = await errorFrom(httpClient.put(url, 'jobs: []'))
+
+      expect(error).to.be.instanceOf(HttpError)
+      expect(error.method).to.eql('PUT')
+      expect(error.serverMessage).to.eql('malformed config, unknown job')
+    })
+
+  it('omits the server message when the response body is empty',
+    async () => {
+      const { httpClient, mock } = buildHttpClient()
+      const url = `${data.randomApiUrl()}/teams/main`
+
+      mock.onDelete(url).reply(404)
+
+      const error = await errorFrom(httpClient.delete(url))
+
+      expect(error).to.be.instanceOf(NotFoundError)
+      expect(error.serverMessage).to.eql(undefined)
+      expect(error.message).to.eql(
+        `DELETE ${url} failed with status 404.`)
+    })
+
+  it('maps a request timeout to a TimeoutError', async () => {
+    const { httpClient, mock } = buildHttpClient()
+    const url = `${data.randomApiUrl()}/info`
+
+    mock.onGet(url).timeout()
+
+    const error = await errorFrom(httpClient.get(url, { timeout: 1000 }))
+
+    expect(error).to.be.instanceOf(TimeoutError)
+    expect(error.url).to.eql(url)
+    expect(error.method).to.eql('GET')
+    expect(error.timeout).to.eql(1000)
+  })
+
+  it('passes network errors through unchanged', async () => {
+    const { httpClient, mock } = buildHttpClient()
+    const url = `${data.randomApiUrl()}/info`
+
+    mock.onGet(url).networkError()
+
+    const error = await errorFrom(httpClient.get(url))
+
+    expect(error).not.to.be.instanceOf(HttpError)
+    expect(error.message).to.eql('Network Error')
+  })
+})
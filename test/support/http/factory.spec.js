@@ -0,0 +1,74 @@
+import 'core-js/stable'
+import 'regenerator-runtime/runtime'
+import { expect } from 'chai'
+import axios from 'axios'
+import MockAdapter from 'axios-mock-adapter'
+
+import build from '../../testsupport/builders'
+import data from '../../testsupport/data'
+
+import { createHttpClient } from '../../../src/support/http/factory'
+import { ServerError } from '../../../src/errors'
+
+const withGlobalMock = async (fn) => {
+  const globalMock = new MockAdapter(axios)
+  try {
+    await fn(globalMock)
+  } finally {
+    globalMock.restore()
+  }
+}
+
+const buildHttpClient = (apiUrl) => createHttpClient({
+  credentials: {
+    infoUrl: `${apiUrl}/info`,
+    token: data.randomIdTokenCurrent()
+  },
+  retry: { baseDelay: 1, jitter: false }
+})
+
+describe('createHttpClient', () => {
+  it('retries failed session requests without replaying them as the ' +
+    'original request', async () => {
+    await withGlobalMock(async (mock) => {
+      const apiUrl = data.randomApiUrl()
+      const httpClient = buildHttpClient(apiUrl)
+      const teamData = data.randomTeam()
+
+      mock.onGet(`${apiUrl}/info`).replyOnce(503)
+      mock.onGet(`${apiUrl}/info`)
+        .reply(200, build.api.info({ version: '7.0.0' }))
+      mock.onGet(`${apiUrl}/teams`).reply(200, [teamData])
+
+      const response = await httpClient.get(`${apiUrl}/teams`)
+
+      expect(response.data).to.eql([teamData])
+      expect(mock.history.get.map(request => request.url)).to.eql([
+        `${apiUrl}/info`,
+        `${apiUrl}/info`,
+        `${apiUrl}/teams`
+      ])
+    })
+  })
+
+  it('fails the original request when session requests keep failing',
+    async () => {
+      await withGlobalMock(async (mock) => {
+        const apiUrl = data.randomApiUrl()
+        const httpClient = buildHttpClient(apiUrl)
+
+        mock.onGet(`${apiUrl}/info`).reply(503)
+        mock.onGet(`${apiUrl}/teams`).reply(200, [])
+
+        try {
+          await httpClient.get(`${apiUrl}/teams`)
+        } catch (e) {
+          expect(e).to.be.instanceOf(ServerError)
+          expect(e.url).to.eql(`${apiUrl}/info`)
+          expect(mock.history.get).to.have.length(3)
+          return
+        }
+        expect.fail(null, null, 'Expected exception but none was thrown.')
+      })
+    })
+})
@@ -0,0 +1,133 @@
+import 'core-js/stable'
+import 'regenerator-runtime/runtime'
+import http from 'http'
+import { expect } from 'chai'
+
+import { obtainAuthorizationCode } from '../../../src/support/http/login'
+import { AuthenticationError, TimeoutError } from '../../../src/errors'
+
+const authorizationUrl = 'https://concourse.example.com/sky/issuer/auth'
+
+const get = url => new Promise((resolve, reject) => {
+  http.get(url, response => {
+    response.resume()
+    response.on('end', () => resolve(response.statusCode))
+  }).on('error', reject)
+})
+
+const callbackUrlFor = (url, params) => {
+  const query = new URL(url).searchParams
+  const callbackUrl = new URL(query.get('redirect_uri'))
+  Object.entries(params(query)).forEach(([key, value]) =>
+    callbackUrl.searchParams.set(key, value))
+  return callbackUrl.toString()
+}
+
+const loginWith = (params, options = {}) => {
+  let openedUrl
+
+  const result = obtainAuthorizationCode({
+    authorizationUrl,
+    clientId: 'fly',
+    scope: 'openid offline_access',
+    open: async url => {
+      openedUrl = url
+      setImmediate(() => get(callbackUrlFor(url, params)))
+    },
+    ...options
+  })
+
+  return {
+    result,
+    openedUrl: () => openedUrl
+  }
+}
+
+describe('obtainAuthorizationCode', () => {
+  it('opens the authorization URL for the loopback listener', async () => {
+    const login = loginWith(query => ({
+      code: 'some-code',
+      state: query.get('state')
+    }))
+
+    const { redirectUri } = await login.result
+
+    const openedUrl = new URL(login.openedUrl())
+    const query = openedUrl.searchParams
+    expect(`${openedUrl.origin}${openedUrl.pathname}`)
+      .to.eql(authorizationUrl)
+    expect(query.get('client_id')).to.eql('fly')
+    expect(query.get('response_type')).to.eql('code')
+    expect(query.get('scope')).to.eql('openid offline_access')
+    expect(query.get('redirect_uri')).to.eql(redirectUri)
+    expect(query.get('code_challenge_method')).to.eql('S256')
+    expect(redirectUri)
+      .to.match(/^http:\/\/127\.0\.0\.1:\d+\/auth\/callback$/)
+  })
+
+  it('returns the code and verifier from the callback', async () => {
+    const login = loginWith(query => ({
+      code: 'some-code',
+      state: query.get('state')
+    }))
+
+    const { code, codeVerifier } = await login.result
+
+    expect(code).to.eql('some-code')
+    expect(codeVerifier).to.match(/^[A-Za-z0-9_-]{43}$/)
+  })
+
+  it('throws an authentication error when the state does not match',
+    async () => {
+      const login = loginWith(() => ({
+        code: 'some-code',
+        state: 'other-state'
+      }))
+
+      try {
+        await login.result
+      } catch (error) {
+        expect(error).to.be.an.instanceOf(AuthenticationError)
+        expect(error.message).to.eql(
+          'Login failed: state mismatch in authorization callback.')
+        return
+      }
+      expect.fail('Expected an authentication error.')
+    })
+
+  it('throws an authentication error when authorization is denied',
+    async () => {
+      const login = loginWith(query => ({
+        error: 'access_denied',
+        error_description: 'user declined',
+        state: query.get('state')
+      }))
+
+      try {
+        await login.result
+      } catch (error) {
+        expect(error).to.be.an.instanceOf(AuthenticationError)
+        expect(error.message).to.eql('Login failed: user declined.')
+        return
+      }
+      expect.fail('Expected an authentication error.')
+    })
+
+  it('throws a timeout error when login is not completed in time',
+    async () => {
+      try {
+        await obtainAuthorizationCode({
+          authorizationUrl,
+          clientId: 'fly',
+          scope: 'openid',
+          open: async () => {},
+          timeout: 50
+        })
+      } catch (error) {
+        expect(error).to.be.an.instanceOf(TimeoutError)
+        expect(error.message).to.eql('Login was not completed within 50ms.')
+        return
+      }
+      expect.fail('Expected a timeout error.')
+    })
+})
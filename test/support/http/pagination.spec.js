@@ -0,0 +1,231 @@
+import 'core-js/stable'
+import 'regenerator-runtime/runtime'
+import { expect } from 'chai'
+import axios from 'axios'
+import MockAdapter from 'axios-mock-adapter'
+
+import {
+  iteratePages,
+  parseLinkHeader,
+  toBuildWindow,
+  toVersionWindow
+} from '../../../src/support/http/pagination'
+import { collect } from '../../testsupport/iterables'
+
+const apiUrl = 'https://ci.example.com/api/v1'
+
+describe('parseLinkHeader', () => {
+  it('returns the URL of each relation', () => {
+    const links = parseLinkHeader(
+      `<${apiUrl}/builds?from=12&limit=2>; rel="previous", ` +
+      `<${apiUrl}/builds?to=9&limit=2>; rel="next"`)
+
+    expect(links).to.eql({
+      previous: `${apiUrl}/builds?from=12&limit=2`,
+      next: `${apiUrl}/builds?to=9&limit=2`
+    })
+  })
+
+  it('returns no relations when there is no header', () => {
+    expect(parseLinkHeader(undefined)).to.eql({})
+  })
+})
+
+describe('iteratePages', () => {
+  it('follows next links until there are none', async () => {
+    const httpClient = axios.create()
+    const mock = new MockAdapter(httpClient)
+
+    mock.onGet(`${apiUrl}/builds`, { params: { limit: 2 } })
+      .reply(200, [{ id: 12 }, { id: 11 }], {
+        link: `<${apiUrl}/builds?to=10&limit=2>; rel="next"`
+      })
+    mock.onGet(`${apiUrl}/builds?to=10&limit=2`)
+      .reply(200, [{ id: 10 }, { id: 9 }], {
+        link: `<${apiUrl}/builds?from=11&limit=2>; rel="previous", ` +
+          '</api/v1/builds?to=8&limit=2>; rel="next"'
+      })
+    mock.onGet(`${apiUrl}/builds?to=8&limit=2`)
+      .reply(200, [{ id: 8 }], {
+        link: `<${apiUrl}/builds?from=9&limit=2>; rel="previous"`
+      })
+
+    const items = await collect(iteratePages({
+      httpClient,
+      url: `${apiUrl}/builds`,
+      params: { limit: 2 }
+    }))
+
+    expect(items).to.eql(
+      [{ id: 12 }, { id: 11 }, { id: 10 }, { id: 9 }, { id: 8 }])
+  })
+
+  it('stops at an empty page', async () => {
+    const httpClient = axios.create()
+    const mock = new MockAdapter(httpClient)
+
+    mock.onGet(`${apiUrl}/builds`)
+      .reply(200, [], {
+        link: `<${apiUrl}/builds?to=1&limit=2>; rel="next"`
+      })
+
+    const items = await collect(iteratePages({
+      httpClient,
+      url: `${apiUrl}/builds`
+    }))
+
+    expect(items).to.eql([])
+    expect(mock.history.get).to.have.length(1)
+  })
+
+  it('only fetches pages as they are consumed', async () => {
+    const httpClient = axios.create()
+    const mock = new MockAdapter(httpClient)
+
+    mock.onGet(`${apiUrl}/builds`)
+      .reply(200, [{ id: 12 }, { id: 11 }], {
+        link: `<${apiUrl}/builds?to=10&limit=2>; rel="next"`
+      })
+
+    const iterator = iteratePages({
+      httpClient,
+      url: `${apiUrl}/builds`
+    })[Symbol.asyncIterator]()
+    const { value } = await iterator.next()
+    await iterator.return()
+
+    expect(value).to.eql({ id: 12 })
+
+    expect(mock.history.get).to.have.length(1)
+  })
+
+  it('stops at the first item beyond the window', async () => {
+    const httpClient = axios.create()
+    const mock = new MockAdapter(httpClient)
+
+    mock.onGet(`${apiUrl}/builds`)
+      .reply(200, [{ id: 12 }, { id: 11 }], {
+        link: `<${apiUrl}/builds?to=10&limit=2>; rel="next"`
+      })
+    mock.onGet(`${apiUrl}/builds?to=10&limit=2`)
+      .reply(200, [{ id: 10 }, { id: 9 }], {
+        link: `<${apiUrl}/builds?to=8&limit=2>; rel="next"`
+      })
+
+    const items = await collect(iteratePages({
+      httpClient,
+      url: `${apiUrl}/builds`,
+      isBeyondWindow: item => item.id < 10
+    }))
+
+    expect(items).to.eql([{ id: 12 }, { id: 11 }, { id: 10 }])
+    expect(mock.history.get).to.have.length(2)
+  })
+})
+
+describe('toBuildWindow', () => {
+  it('requests timestamps up to the end of the window', () => {
+    const from = new Date('2020-03-14T00:00:00Z')
+    const to = new Date('2020-03-15T00:00:00Z')
+
+    const { params } = toBuildWindow({ limit: 50, from, to })
+
+    expect(params).to.eql({
+      limit: 50,
+      to: 1584230400,
+      timestamps: true
+    })
+  })
+
+  it('requests no lower bound when only the start of a window is given',
+    () => {
+      const from = new Date('2020-03-14T00:00:00Z')
+
+      const { params } = toBuildWindow({ limit: 50, from })
+
+      expect(params).to.eql({ limit: 50 })
+    })
+
+  it('iterates a window spanning more than one page', async () => {
+    const httpClient = axios.create()
+    const mock = new MockAdapter(httpClient)
+
+    mock.onGet(`${apiUrl}/builds`, { params: { limit: 2 } })
+      .reply(200, [
+        { id: 12, startTime: 1584144300 },
+        { id: 11, startTime: 1584144200 }
+      ], {
+        link: `<${apiUrl}/builds?to=10&limit=2>; rel="next"`
+      })
+    mock.onGet(`${apiUrl}/builds?to=10&limit=2`)
+      .reply(200, [
+        { id: 10, startTime: 1584144100 },
+        { id: 9, startTime: 1584143900 }
+      ], {
+        link: `<${apiUrl}/builds?to=8&limit=2>; rel="next"`
+      })
+
+    const items = await collect(iteratePages({
+      httpClient,
+      url: `${apiUrl}/builds`,
+      ...toBuildWindow({
+        limit: 2,
+        from: new Date('2020-03-14T00:00:00Z')
+      })
+    }))
+
+    expect(items.map(item => item.id)).to.eql([12, 11, 10])
+    expect(mock.history.get).to.have.length(2)
+  })
+
+  it('requests no window when none is given', () => {
+    const { params, isBeyondWindow } = toBuildWindow({})
+
+    expect(params).to.eql({})
+    expect(isBeyondWindow({ startTime: 1 })).to.eql(false)
+  })
+
+  it('treats builds started before the window as beyond it', () => {
+    const from = new Date('2020-03-14T00:00:00Z')
+
+    const { isBeyondWindow } = toBuildWindow({ from })
+
+    expect(isBeyondWindow({ startTime: 1584143999 })).to.eql(true)
+    expect(isBeyondWindow({ startTime: 1584144000 })).to.eql(false)
+    expect(isBeyondWindow({})).to.eql(false)
+  })
+})
+
+describe('toVersionWindow', () => {
+  it('windows versions by ID', () => {
+    const { params, isBeyondWindow } =
+      toVersionWindow({ limit: 10, from: 5, to: 20 })
+
+    expect(params).to.eql({ limit: 10, to: 20 })
+    expect(isBeyondWindow({ id: 4 })).to.eql(true)
+    expect(isBeyondWindow({ id: 5 })).to.eql(false)
+  })
+
+  it('iterates a window spanning more than one page', async () => {
+    const httpClient = axios.create()
+    const mock = new MockAdapter(httpClient)
+
+    mock.onGet(`${apiUrl}/versions`, { params: { limit: 2 } })
+      .reply(200, [{ id: 12 }, { id: 11 }], {
+        link: `<${apiUrl}/versions?to=10&limit=2>; rel="next"`
+      })
+    mock.onGet(`${apiUrl}/versions?to=10&limit=2`)
+      .reply(200, [{ id: 10 }, { id: 9 }], {
+        link: `<${apiUrl}/versions?to=8&limit=2>; rel="next"`
+      })
+
+    const items = await collect(iteratePages({
+      httpClient,
+      url: `${apiUrl}/versions`,
+      ...toVersionWindow({ limit: 2, from: 10 })
+    }))
+
+    expect(items).to.eql([{ id: 12 }, { id: 11 }, { id: 10 }])
+    expect(mock.history.get).to.have.length(2)
+  })
+})
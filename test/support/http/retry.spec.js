@@ -0,0 +1,185 @@
+import 'core-js/stable'
+import 'regenerator-runtime/runtime'
+import { expect } from 'chai'
+import axios from 'axios'
+import MockAdapter from 'axios-mock-adapter'
+
+import data from '../../testsupport/data'
+
+import {
+  createRetryInterceptor,
+  retryPolicyFor
+} from '../../../src/support/http/retry'
+
+const buildHttpClient = (retry = {}) => {
+  const httpClient = axios.create()
+  const retryInterceptor = createRetryInterceptor({
+    httpClient,
+    retry: { baseDelay: 1, ...retry }
+  })
+  httpClient.interceptors.request.use(retryInterceptor.request)
+  httpClient.interceptors.response.use(
+    (response) => response,
+    retryInterceptor.response)
+  const mock = new MockAdapter(httpClient)
+
+  return { httpClient, mock }
+}
+
+const errorFrom = async (promise) => {
+  try {
+    await promise
+  } catch (e) {
+    return e
+  }
+  expect.fail(null, null, 'Expected exception but none was thrown.')
+}
+
+describe('retry interceptor', () => {
+  it('uses a default policy when none is provided', () => {
+    expect(retryPolicyFor()).to.eql({
+      maxAttempts: 3,
+      baseDelay: 200,
+      maxDelay: 10000,
+      jitter: true,
+      retryableStatuses: [408, 429, 500, 502, 503, 504],
+      methods: ['get', 'head', 'options', 'put']
+    })
+  })
+
+  it('throws an exception if the policy is invalid', () => {
+    expect(() => retryPolicyFor({ maxAttempts: 0 }))
+      .to.throw(
+        Error,
+        'Invalid parameter(s): ' +
+        '["maxAttempts" must be greater than or equal to 1].')
+  })
+
+  it('retries GET requests on retryable statuses until they succeed',
+    async () => {
+      const { httpClient, mock } = buildHttpClient()
+      const url = `${data.randomApiUrl()}/teams`
+
+      mock.onGet(url).replyOnce(503)
+      mock.onGet(url).replyOnce(502)
+      mock.onGet(url).replyOnce(200, [{ id: 1, name: 'main' }])
+
+      const response = await httpClient.get(url)
+
+      expect(response.data).to.eql([{ id: 1, name: 'main' }])
+      expect(mock.history.get).to.have.length(3)
+    })
+
+  it('retries PUT requests on network errors', async () => {
+    const { httpClient, mock } = buildHttpClient()
+    const url = `${data.randomApiUrl()}/teams/main/pipelines/example/pause`
+
+    mock.onPut(url).networkErrorOnce()
+    mock.onPut(url).replyOnce(200)
+
+    await httpClient.put(url)
+
+    expect(mock.history.put).to.have.length(2)
+  })
+
+  it('gives up after the maximum number of attempts', async () => {
+    const { httpClient, mock } = buildHttpClient({ maxAttempts: 4 })
+    const url = `${data.randomApiUrl()}/teams`
+
+    mock.onGet(url).reply(500)
+
+    const error = await errorFrom(httpClient.get(url))
+
+    expect(error.response.status).to.eql(500)
+    expect(mock.history.get).to.have.length(4)
+  })
+
+  it('does not retry non-retryable statuses', async () => {
+    const { httpClient, mock } = buildHttpClient()
+    const url = `${data.randomApiUrl()}/teams/missing`
+
+    mock.onGet(url).reply(404)
+
+    const error = await errorFrom(httpClient.get(url))
+
+    expect(error.response.status).to.eql(404)
+    expect(mock.history.get).to.have.length(1)
+  })
+
+  it('does not retry POST requests by default', async () => {
+    const { httpClient, mock } = buildHttpClient()
+    const url =
+      `${data.randomApiUrl()}/teams/main/pipelines/example/jobs/build/builds`
+
+    mock.onPost(url).reply(503)
+
+    await errorFrom(httpClient.post(url))
+
+    expect(mock.history.post).to.have.length(1)
+  })
+
+  it('retries POST requests when explicitly opted in', async () => {
+    const { httpClient, mock } = buildHttpClient({ methods: ['get', 'post'] })
+    const url =
+      `${data.randomApiUrl()}/teams/main/pipelines/example/jobs/build/builds`
+
+    mock.onPost(url).replyOnce(503)
+    mock.onPost(url).replyOnce(200, { id: 1 })
+
+    const response = await httpClient.post(url)
+
+    expect(response.data).to.eql({ id: 1 })
+    expect(mock.history.post).to.have.length(2)
+  })
+
+  it('waits for the duration specified by the Retry-After header',
+    async () => {
+      const { httpClient, mock } = buildHttpClient({ baseDelay: 0 })
+      const url = `${data.randomApiUrl()}/teams`
+
+      mock.onGet(url).replyOnce(429, '', { 'retry-after': '0.05' })
+      mock.onGet(url).replyOnce(200, [])
+
+      const start = Date.now()
+      await httpClient.get(url)
+
+      expect(Date.now() - start).to.be.at.least(45)
+      expect(mock.history.get).to.have.length(2)
+    })
+
+  it('caps the Retry-After delay at the maximum delay', async () => {
+    const { httpClient, mock } = buildHttpClient({ maxDelay: 10 })
+    const url = `${data.randomApiUrl()}/teams`
+
+    mock.onGet(url).replyOnce(503, '', { 'retry-after': '3600' })
+    mock.onGet(url).replyOnce(200, [])
+
+    const start = Date.now()
+    await httpClient.get(url)
+
+    expect(Date.now() - start).to.be.below(1000)
+    expect(mock.history.get).to.have.length(2)
+  })
+
+  it('does not retry requests it did not send', async () => {
+    const { mock } = buildHttpClient()
+    const retryInterceptor = createRetryInterceptor({
+      httpClient: axios.create(),
+      retry: { baseDelay: 1 }
+    })
+    const url = `${data.randomApiUrl()}/info`
+
+    mock.onGet(url).reply(503)
+
+    const otherHttpClient = axios.create()
+    const otherMock = new MockAdapter(otherHttpClient)
+    otherMock.onGet(url).reply(503)
+
+    const error = await errorFrom(otherHttpClient.get(url))
+    const rethrownError = await errorFrom(retryInterceptor.response(error))
+
+    expect(rethrownError).to.equal(error)
+    expect(otherMock.history.get).to.have.length(1)
+    expect(mock.history.get).to.have.length(0)
+  })
+})
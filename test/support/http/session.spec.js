@@ -25,6 +25,8 @@ import {
   csrfTokenHeader
 } from '../../../src/support/http/headers'
 import { currentUnixTime } from '../../../src/support/date'
+import { InMemoryTokenStore } from '../../../src/tokenStores'
+import { AuthenticationError } from '../../../src/errors'
 
 const oneHourInSeconds = 60 * 60
 
@@ -1234,4 +1236,464 @@ describe('session interceptor', () => {
       expect(tokenRequests).to.have.length(1)
     })
   })
+
+  context('with a token store', () => {
+    const credentialsFor = concourseUrl => {
+      const apiUrl = `${concourseUrl}/api/v1`
+
+      return {
+        username: data.randomUsername(),
+        password: data.randomPassword(),
+        tokenUrlPreVersion4: teamAuthTokenUrl(apiUrl, data.randomTeamName()),
+        tokenUrlPreVersion6_1: skyTokenUrl(concourseUrl),
+        tokenUrlCurrent: skyIssuerTokenUrl(concourseUrl),
+        infoUrl: infoUrl(apiUrl),
+        authenticationState: undefined
+      }
+    }
+
+    it('uses a valid stored token without authenticating', async () => {
+      const concourseUrl = data.randomConcourseUrl()
+      const credentials = credentialsFor(concourseUrl)
+      const httpClient = axios.create()
+      const mock = new MockAdapter(httpClient)
+
+      const bearerToken = data.randomBearerTokenCurrent()
+      const tokenStore = new InMemoryTokenStore({
+        accessToken: bearerToken,
+        tokenType: 'bearer',
+        expiresAt: currentUnixTime() + oneHourInSeconds,
+        idToken: bearerToken
+      })
+
+      mock
+        .onGet(credentials.infoUrl)
+        .reply(200, build.api.info({ version: '7.4.0' }))
+
+      const interceptor = createSessionInterceptor({
+        credentials,
+        httpClient,
+        tokenStore
+      })
+
+      const updatedConfig = await interceptor({ method: 'get' })
+
+      expect(updatedConfig.headers)
+        .to.eql(bearerAuthorizationHeader(bearerToken))
+      expect(mock.history.post).to.have.length(0)
+      expect((await tokenStore.load()).accessToken).to.eql(bearerToken)
+    })
+
+    it('saves the token after authenticating', async () => {
+      const concourseUrl = data.randomConcourseUrl()
+      const credentials = credentialsFor(concourseUrl)
+      const httpClient = axios.create()
+      const mock = new MockAdapter(httpClient)
+
+      const idToken = data.randomIdTokenCurrent()
+      const bearerToken = data.randomBearerTokenCurrent()
+      const tokenStore = new InMemoryTokenStore()
+
+      mock
+        .onGet(credentials.infoUrl)
+        .reply(200, build.api.info({ version: '6.1.0' }))
+      mock
+        .onPost(credentials.tokenUrlCurrent)
+        .reply(200, build.api.tokenResponseBodyCurrent({
+          idToken,
+          accessToken: bearerToken
+        }), {
+          date: toRFC7231String(currentUnixTime())
+        })
+
+      const interceptor = createSessionInterceptor({
+        credentials,
+        httpClient,
+        tokenStore
+      })
+
+      await interceptor({ method: 'get' })
+
+      const storedAuthenticationState = await tokenStore.load()
+      expect(storedAuthenticationState.accessToken).to.eql(bearerToken)
+      expect(storedAuthenticationState.idToken).to.eql(idToken)
+      expect(storedAuthenticationState.serverVersion).to.eql('6.1.0')
+    })
+
+    it('re-authenticates and saves the token when the stored token has ' +
+      'expired',
+    async () => {
+      const concourseUrl = data.randomConcourseUrl()
+      const credentials = credentialsFor(concourseUrl)
+      const httpClient = axios.create()
+      const mock = new MockAdapter(httpClient)
+
+      const expiredBearerToken = data.randomBearerTokenCurrent()
+      const bearerToken = data.randomBearerTokenCurrent()
+      const tokenStore = new InMemoryTokenStore({
+        accessToken: expiredBearerToken,
+        tokenType: 'bearer',
+        expiresAt: currentUnixTime() - oneHourInSeconds,
+        idToken: expiredBearerToken,
+        serverVersion: '6.1.0'
+      })
+
+      mock
+        .onGet(credentials.infoUrl)
+        .reply(200, build.api.info({ version: '6.1.0' }))
+      mock
+        .onPost(credentials.tokenUrlCurrent)
+        .reply(200, build.api.tokenResponseBodyCurrent({
+          idToken: data.randomIdTokenCurrent(),
+          accessToken: bearerToken
+        }), {
+          date: toRFC7231String(currentUnixTime())
+        })
+
+      const interceptor = createSessionInterceptor({
+        credentials,
+        httpClient,
+        tokenStore
+      })
+
+      const updatedConfig = await interceptor({ method: 'get' })
+
+      expect(updatedConfig.headers)
+        .to.eql(bearerAuthorizationHeader(bearerToken))
+      expect((await tokenStore.load()).accessToken).to.eql(bearerToken)
+    })
+  })
+
+  context('with an externally supplied token', () => {
+    const credentialsFor = (concourseUrl, overrides = {}) => ({
+      infoUrl: infoUrl(`${concourseUrl}/api/v1`),
+      tokenUrlCurrent: skyIssuerTokenUrl(concourseUrl),
+      ...overrides
+    })
+
+    const tokenExpiringIn = seconds =>
+      data.randomIdTokenCurrent({}, {
+        expiresIn: seconds
+      })
+
+    it('uses the token without authenticating', async () => {
+      const concourseUrl = data.randomConcourseUrl()
+      const token = tokenExpiringIn(oneHourInSeconds)
+      const credentials = credentialsFor(concourseUrl, { token })
+      const httpClient = axios.create()
+      const mock = new MockAdapter(httpClient)
+
+      mock
+        .onGet(credentials.infoUrl)
+        .reply(200, build.api.info({ version: '7.4.0' }))
+
+      const interceptor = createSessionInterceptor({
+        credentials,
+        httpClient
+      })
+
+      const updatedConfig = await interceptor({ method: 'get' })
+
+      expect(updatedConfig.headers)
+        .to.eql(bearerAuthorizationHeader(token))
+      expect(mock.history.post).to.have.length(0)
+    })
+
+    it('uses an opaque token with an unknown expiry', async () => {
+      const concourseUrl = data.randomConcourseUrl()
+      const token = data.randomBearerTokenCurrent()
+      const credentials = credentialsFor(concourseUrl, { token })
+      const httpClient = axios.create()
+      const mock = new MockAdapter(httpClient)
+
+      mock
+        .onGet(credentials.infoUrl)
+        .reply(200, build.api.info({ version: '7.4.0' }))
+
+      const interceptor = createSessionInterceptor({
+        credentials,
+        httpClient
+      })
+
+      const updatedConfig = await interceptor({ method: 'get' })
+
+      expect(updatedConfig.headers)
+        .to.eql(bearerAuthorizationHeader(token))
+    })
+
+    it('throws an authentication error when the token has expired',
+      async () => {
+        const concourseUrl = data.randomConcourseUrl()
+        const token = tokenExpiringIn(-oneHourInSeconds)
+        const credentials = credentialsFor(concourseUrl, { token })
+        const httpClient = axios.create()
+        const mock = new MockAdapter(httpClient)
+
+        mock
+          .onGet(credentials.infoUrl)
+          .reply(200, build.api.info({ version: '7.4.0' }))
+
+        const interceptor = createSessionInterceptor({
+          credentials,
+          httpClient
+        })
+
+        try {
+          await interceptor({ method: 'get' })
+        } catch (error) {
+          expect(error).to.be.an.instanceOf(AuthenticationError)
+          expect(error.message)
+            .to.eql('Access token has expired and cannot be refreshed.')
+          return
+        }
+        expect.fail('Expected an authentication error.')
+      })
+
+    it('throws an authentication error when there is no token',
+      async () => {
+        const concourseUrl = data.randomConcourseUrl()
+        const credentials = credentialsFor(concourseUrl)
+
+        const interceptor = createSessionInterceptor({
+          credentials,
+          httpClient: axios.create()
+        })
+
+        try {
+          await interceptor({ method: 'get' })
+        } catch (error) {
+          expect(error).to.be.an.instanceOf(AuthenticationError)
+          expect(error.message).to.eql(
+            'No access token available and no credentials to obtain one.')
+          return
+        }
+        expect.fail('Expected an authentication error.')
+      })
+
+    it('refreshes the token when it is about to expire', async () => {
+      const concourseUrl = data.randomConcourseUrl()
+      const expiringToken = tokenExpiringIn(60)
+      const refreshedToken = tokenExpiringIn(oneHourInSeconds)
+      let refreshes = 0
+      const refreshToken = async () => {
+        refreshes += 1
+        return refreshedToken
+      }
+      const credentials = credentialsFor(concourseUrl, {
+        token: expiringToken,
+        refreshToken
+      })
+      const httpClient = axios.create()
+      const mock = new MockAdapter(httpClient)
+      const tokenStore = new InMemoryTokenStore()
+
+      mock
+        .onGet(credentials.infoUrl)
+        .reply(200, build.api.info({ version: '7.4.0' }))
+
+      const interceptor = createSessionInterceptor({
+        credentials,
+        httpClient,
+        tokenStore
+      })
+
+      const firstConfig = await interceptor({ method: 'get' })
+      const secondConfig = await interceptor({ method: 'get' })
+
+      expect(firstConfig.headers)
+        .to.eql(bearerAuthorizationHeader(refreshedToken))
+      expect(secondConfig.headers)
+        .to.eql(bearerAuthorizationHeader(refreshedToken))
+      expect(refreshes).to.eql(1)
+      expect((await tokenStore.load()).accessToken).to.eql(refreshedToken)
+    })
+  })
+
+  context('with browser login', () => {
+    const credentialsFor = (concourseUrl, login) => ({
+      infoUrl: infoUrl(`${concourseUrl}/api/v1`),
+      tokenUrlCurrent: skyIssuerTokenUrl(concourseUrl),
+      authorizationUrl: `${concourseUrl}/sky/issuer/auth`,
+      login
+    })
+
+    const completingLogin = code => ({
+      open: async url => {
+        const query = new URL(url).searchParams
+        const callbackUrl = new URL(query.get('redirect_uri'))
+        callbackUrl.searchParams.set('code', code)
+        callbackUrl.searchParams.set('state', query.get('state'))
+        setImmediate(() => axios.get(callbackUrl.toString()))
+      }
+    })
+
+    it('exchanges the authorization code for a token', async () => {
+      const concourseUrl = data.randomConcourseUrl()
+      const credentials =
+        credentialsFor(concourseUrl, completingLogin('some-code'))
+      const httpClient = axios.create()
+      const mock = new MockAdapter(httpClient)
+
+      const bearerToken = data.randomBearerTokenCurrent()
+      const refreshToken = data.randomBearerTokenCurrent()
+      const tokenStore = new InMemoryTokenStore()
+
+      mock
+        .onGet(credentials.infoUrl)
+        .reply(200, build.api.info({ version: '7.4.0' }))
+      mock
+        .onPost(credentials.tokenUrlCurrent)
+        .reply(200, build.api.tokenResponseBodyCurrent({
+          idToken: data.randomIdTokenCurrent(),
+          accessToken: bearerToken,
+          refreshToken
+        }), {
+          date: toRFC7231String(currentUnixTime())
+        })
+
+      const interceptor = createSessionInterceptor({
+        credentials,
+        httpClient,
+        tokenStore
+      })
+
+      const updatedConfig = await interceptor({ method: 'get' })
+
+      const tokenRequest = new URLSearchParams(mock.history.post[0].data)
+      expect(tokenRequest.get('grant_type')).to.eql('authorization_code')
+      expect(tokenRequest.get('code')).to.eql('some-code')
+      expect(tokenRequest.get('code_verifier')).to.match(/^[A-Za-z0-9_-]+$/)
+      expect(tokenRequest.get('redirect_uri'))
+        .to.match(/^http:\/\/127\.0\.0\.1:\d+\/auth\/callback$/)
+      expect(mock.history.post[0].headers)
+        .to.include(basicAuthorizationHeader('fly', 'Zmx5'))
+      expect(updatedConfig.headers)
+        .to.eql(bearerAuthorizationHeader(bearerToken))
+      expect((await tokenStore.load()).refreshToken).to.eql(refreshToken)
+    })
+
+    it('uses the refresh token when the token has expired', async () => {
+      const concourseUrl = data.randomConcourseUrl()
+      const credentials = credentialsFor(concourseUrl, {
+        open: async () => expect.fail('Expected no browser login.')
+      })
+      const httpClient = axios.create()
+      const mock = new MockAdapter(httpClient)
+
+      const refreshToken = data.randomBearerTokenCurrent()
+      const bearerToken = data.randomBearerTokenCurrent()
+      const tokenStore = new InMemoryTokenStore({
+        accessToken: data.randomBearerTokenCurrent(),
+        tokenType: 'bearer',
+        expiresAt: currentUnixTime() - oneHourInSeconds,
+        idToken: data.randomIdTokenCurrent(),
+        refreshToken,
+        serverVersion: '7.4.0'
+      })
+
+      mock
+        .onGet(credentials.infoUrl)
+        .reply(200, build.api.info({ version: '7.4.0' }))
+      mock
+        .onPost(credentials.tokenUrlCurrent, formurlencoded({
+          grant_type: 'refresh_token',
+          refresh_token: refreshToken
+        }))
+        .reply(200, build.api.tokenResponseBodyCurrent({
+          idToken: data.randomIdTokenCurrent(),
+          accessToken: bearerToken
+        }), {
+          date: toRFC7231String(currentUnixTime())
+        })
+
+      const interceptor = createSessionInterceptor({
+        credentials,
+        httpClient,
+        tokenStore
+      })
+
+      const updatedConfig = await interceptor({ method: 'get' })
+
+      const storedAuthenticationState = await tokenStore.load()
+      expect(updatedConfig.headers)
+        .to.eql(bearerAuthorizationHeader(bearerToken))
+      expect(storedAuthenticationState.accessToken).to.eql(bearerToken)
+      expect(storedAuthenticationState.refreshToken).to.eql(refreshToken)
+    })
+
+    it('logs in afresh when the refresh token is rejected', async () => {
+      const concourseUrl = data.randomConcourseUrl()
+      const credentials =
+        credentialsFor(concourseUrl, completingLogin('some-code'))
+      const httpClient = axios.create()
+      const mock = new MockAdapter(httpClient)
+
+      const bearerToken = data.randomBearerTokenCurrent()
+      const tokenStore = new InMemoryTokenStore({
+        accessToken: data.randomBearerTokenCurrent(),
+        tokenType: 'bearer',
+        expiresAt: currentUnixTime() - oneHourInSeconds,
+        idToken: data.randomIdTokenCurrent(),
+        refreshToken: data.randomBearerTokenCurrent(),
+        serverVersion: '7.4.0'
+      })
+
+      mock
+        .onGet(credentials.infoUrl)
+        .reply(200, build.api.info({ version: '7.4.0' }))
+      mock
+        .onPost(credentials.tokenUrlCurrent)
+        .replyOnce(400, { error: 'invalid_grant' })
+      mock
+        .onPost(credentials.tokenUrlCurrent)
+        .reply(200, build.api.tokenResponseBodyCurrent({
+          idToken: data.randomIdTokenCurrent(),
+          accessToken: bearerToken
+        }), {
+          date: toRFC7231String(currentUnixTime())
+        })
+
+      const interceptor = createSessionInterceptor({
+        credentials,
+        httpClient,
+        tokenStore
+      })
+
+      const updatedConfig = await interceptor({ method: 'get' })
+
+      const grantTypes = mock.history.post
+        .map(request => new URLSearchParams(request.data).get('grant_type'))
+      expect(grantTypes).to.eql(['refresh_token', 'authorization_code'])
+      expect(updatedConfig.headers)
+        .to.eql(bearerAuthorizationHeader(bearerToken))
+    })
+
+    it('throws an authentication error for servers before 6.1.0',
+      async () => {
+        const concourseUrl = data.randomConcourseUrl()
+        const credentials =
+          credentialsFor(concourseUrl, completingLogin('some-code'))
+        const httpClient = axios.create()
+        const mock = new MockAdapter(httpClient)
+
+        mock
+          .onGet(credentials.infoUrl)
+          .reply(200, build.api.info({ version: '6.0.0' }))
+
+        const interceptor = createSessionInterceptor({
+          credentials,
+          httpClient
+        })
+
+        try {
+          await interceptor({ method: 'get' })
+        } catch (error) {
+          expect(error).to.be.an.instanceOf(AuthenticationError)
+          expect(error.message)
+            .to.eql('Browser login requires Concourse 6.1.0 or later.')
+          return
+        }
+        expect.fail('Expected an authentication error.')
+      })
+  })
 })
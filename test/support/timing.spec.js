@@ -0,0 +1,53 @@
+import 'core-js/stable'
+import 'regenerator-runtime/runtime'
+import sinon from 'sinon'
+import { expect } from 'chai'
+
+import { pollUntil } from '../../src/support/timing'
+import { TimeoutError } from '../../src/errors'
+
+describe('pollUntil', () => {
+  it('polls until the polled value is done', async () => {
+    const poll = sinon.stub()
+    poll.onCall(0).resolves('pending')
+    poll.onCall(1).resolves('started')
+    poll.onCall(2).resolves('finished')
+
+    const value = await pollUntil(
+      poll,
+      status => status === 'finished',
+      { timeout: 1000, interval: 1, timeoutMessage: 'Timed out.' })
+
+    expect(value).to.eql('finished')
+    expect(poll.callCount).to.eql(3)
+  })
+
+  it('returns without waiting when the first value is done', async () => {
+    const poll = sinon.stub().resolves('finished')
+
+    const value = await pollUntil(
+      poll,
+      status => status === 'finished',
+      { timeout: 0, interval: 1000, timeoutMessage: 'Timed out.' })
+
+    expect(value).to.eql('finished')
+    expect(poll.callCount).to.eql(1)
+  })
+
+  it('throws a timeout error if the value is not done in time', async () => {
+    const poll = sinon.stub().resolves('pending')
+
+    try {
+      await pollUntil(
+        poll,
+        status => status === 'finished',
+        { timeout: 20, interval: 5, timeoutMessage: 'Timed out.' })
+    } catch (e) {
+      expect(e).to.be.instanceOf(TimeoutError)
+      expect(e.timeout).to.eql(20)
+      expect(e.message).to.eql('Timed out.')
+      return
+    }
+    expect.fail(null, null, 'Expected exception but none was thrown.')
+  })
+})
@@ -0,0 +1,40 @@
+import 'core-js/stable'
+import 'regenerator-runtime/runtime'
+import { expect } from 'chai'
+
+import {
+  integer,
+  schemaFor,
+  string,
+  validateOptions
+} from '../../src/support/validation'
+import { ValidationError } from '../../src/errors'
+
+describe('validateOptions', () => {
+  it('returns the validated options when valid', () => {
+    const schema = schemaFor({
+      name: string().required(),
+      limit: integer().default(10)
+    })
+
+    expect(validateOptions(schema, { name: 'build' }))
+      .to.eql({ name: 'build', limit: 10 })
+  })
+
+  it('throws a validation error with details when invalid', () => {
+    const schema = schemaFor({
+      name: string().required(),
+      limit: integer()
+    })
+
+    try {
+      validateOptions(schema, { limit: 'ten' })
+    } catch (e) {
+      expect(e).to.be.instanceOf(ValidationError)
+      expect(e.details).to.eql(['"name" is required'])
+      expect(e.message).to.eql('Invalid parameter(s): ["name" is required].')
+      return
+    }
+    expect.fail(null, null, 'Expected exception but none was thrown.')
+  })
+})
@@ -0,0 +1,83 @@
+import 'core-js/stable'
+import 'regenerator-runtime/runtime'
+import { promises as fs } from 'fs'
+import os from 'os'
+import path from 'path'
+import { expect } from 'chai'
+
+import { interpolate, loadVarsFiles } from '../../src/support/vars'
+
+describe('interpolate', () => {
+  it('replaces whole value placeholders with typed values', () => {
+    const { value } = interpolate(
+      { tags: '((tags))', replicas: '((replicas))' },
+      { tags: ['a', 'b'], replicas: 3 })
+
+    expect(value).to.eql({ tags: ['a', 'b'], replicas: 3 })
+  })
+
+  it('replaces embedded placeholders with string values', () => {
+    const { value } = interpolate(
+      { uri: 'https://((host)):((port))/repo.git' },
+      { host: 'example.com', port: 443 })
+
+    expect(value).to.eql({ uri: 'https://example.com:443/repo.git' })
+  })
+
+  it('resolves fields of nested values', () => {
+    const { value } = interpolate(
+      ['((git.private_key))', '(("with.dots".field))'],
+      {
+        git: { private_key: 'secret' },
+        'with.dots': { field: 'value' }
+      })
+
+    expect(value).to.eql(['secret', 'value'])
+  })
+
+  it('resolves var source placeholders by their full name', () => {
+    const { value } = interpolate(
+      { password: '((vault:db.password))' },
+      { 'vault:db': { password: 'hunter2' } })
+
+    expect(value).to.eql({ password: 'hunter2' })
+  })
+
+  it('leaves unresolved placeholders untouched and reports them', () => {
+    const { value, unresolvedVars } = interpolate(
+      { a: '((missing))', b: 'x-((missing))', c: '((git.unknown))' },
+      { git: { private_key: 'secret' } })
+
+    expect(value).to.eql(
+      { a: '((missing))', b: 'x-((missing))', c: '((git.unknown))' })
+    expect(unresolvedVars).to.eql(['missing', 'git.unknown'])
+  })
+
+  it('leaves credential manager vars untouched when requested', () => {
+    const { value, unresolvedVars } = interpolate(
+      { password: '((vault:db.password))', user: '((user))' },
+      { 'vault:db': { password: 'hunter2' }, user: 'admin' },
+      { leaveCredentialVars: true })
+
+    expect(value).to.eql(
+      { password: '((vault:db.password))', user: 'admin' })
+    expect(unresolvedVars).to.eql([])
+  })
+})
+
+describe('loadVarsFiles', () => {
+  it('merges vars files with later files taking precedence', async () => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'vars-'))
+    const first = path.join(directory, 'first.yml')
+    const second = path.join(directory, 'second.yml')
+    await fs.writeFile(first, 'branch: main\nreplicas: 2\n')
+    await fs.writeFile(second, 'replicas: 3\n')
+
+    try {
+      expect(await loadVarsFiles([first, second]))
+        .to.eql({ branch: 'main', replicas: 3 })
+    } finally {
+      await fs.rm(directory, { recursive: true })
+    }
+  })
+})
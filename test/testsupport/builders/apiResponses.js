@@ -72,7 +72,8 @@ export const tokenResponseBodyCurrent =
      '5sv-YBV55TCNZn6bpyF-cbycAN8IGqCa4Xbl7uS1AolKqIO1f0X86K_zlU0VZwERD5FuRnGGo' +
      'yCk-3ZQDZJDTs-paNol29NsbLG7j3sy6tvUsssqinxVt7-N85pc3nQQPmt4y7zQer1rSof1e_' +
      'zLI3X3x4FWt6j94v--vZIWwPOyUIe9uXY_FQr_BwUC630eo8d6UFYRry3apkJBrcm_sAJbv-p' +
-     'eSBnp-Du7_gGBzytBuJpxDPJHRU5EbxASG4dVVr3JEgiBnqcnwRoO8'
+     'eSBnp-Du7_gGBzytBuJpxDPJHRU5EbxASG4dVVr3JEgiBnqcnwRoO8',
+    refreshToken
   } = {}) => {
     const resolvedExpiresIn = expiresIn ||
       (currentUnixTime() - jwt.decode(idToken).exp)
@@ -80,7 +81,8 @@ export const tokenResponseBodyCurrent =
       access_token: accessToken,
       token_type: tokenType,
       expires_in: resolvedExpiresIn,
-      id_token: idToken
+      id_token: idToken,
+      ...(refreshToken && { refresh_token: refreshToken })
     })
   }
 
@@ -123,12 +125,14 @@ export const pipeline =
     name = 'example-pipeline',
     isPaused = false,
     isPublic = false,
+    isArchived = false,
     teamName = 'example-team'
   } = {}) => ({
     id,
     name,
     paused: isPaused,
     public: isPublic,
+    archived: isArchived,
     team_name: teamName
   })
 
@@ -378,3 +382,61 @@ export const job =
     outputs,
     groups
   })
+
+export const check =
+  ({
+    id = 1234,
+    status = 'succeeded',
+    createTime = 1524830890,
+    startTime = 1524830894,
+    endTime = 1524830899,
+    checkError = null
+  } = {}) => ({
+    id,
+    status,
+    create_time: createTime,
+    start_time: startTime,
+    end_time: endTime,
+    check_error: checkError
+  })
+
+export const user =
+  ({
+    userId = 'local:example-user',
+    userName = 'example-user',
+    name = 'Example User',
+    email = 'example-user@example.com',
+    isAdmin = false,
+    isSystem = false,
+    teams = { main: ['owner'] }
+  } = {}) => ({
+    user_id: userId,
+    user_name: userName,
+    name,
+    email,
+    is_admin: isAdmin,
+    is_system: isSystem,
+    teams
+  })
+
+export const activeUser =
+  ({
+    username = 'example-user',
+    connector = 'local',
+    lastLogin = 1524830890
+  } = {}) => ({
+    username,
+    connector,
+    last_login: lastLogin
+  })
+
+export const authMethod =
+  ({
+    type = 'oauth',
+    displayName = 'GitHub',
+    authUrl = 'https://ci.example.com/auth/github?team_name=main'
+  } = {}) => ({
+    type,
+    display_name: displayName,
+    auth_url: authUrl
+  })
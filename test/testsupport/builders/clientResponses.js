@@ -39,12 +39,14 @@ export const pipeline =
     name = 'example-pipeline',
     isPaused = false,
     isPublic = false,
+    isArchived = false,
     teamName = 'example-team'
   } = {}) => ({
     id,
     name,
     paused: isPaused,
     public: isPublic,
+    archived: isArchived,
     teamName
   })
 
@@ -298,3 +300,61 @@ export const job =
       groups
     })
   }
+
+export const check =
+  ({
+    id = 1234,
+    status = 'succeeded',
+    createTime = 1524830890,
+    startTime = 1524830894,
+    endTime = 1524830899,
+    checkError = null
+  } = {}) => ({
+    id,
+    status,
+    createTime,
+    startTime,
+    endTime,
+    checkError
+  })
+
+export const user =
+  ({
+    userId = 'local:example-user',
+    userName = 'example-user',
+    name = 'Example User',
+    email = 'example-user@example.com',
+    isAdmin = false,
+    isSystem = false,
+    teams = { main: ['owner'] }
+  } = {}) => ({
+    userId,
+    userName,
+    name,
+    email,
+    isAdmin,
+    isSystem,
+    teams
+  })
+
+export const activeUser =
+  ({
+    username = 'example-user',
+    connector = 'local',
+    lastLogin = 1524830890
+  } = {}) => ({
+    username,
+    connector,
+    lastLogin
+  })
+
+export const authMethod =
+  ({
+    type = 'oauth',
+    displayName = 'GitHub',
+    authUrl = 'https://ci.example.com/auth/github?team_name=main'
+  } = {}) => ({
+    type,
+    displayName,
+    authUrl
+  })
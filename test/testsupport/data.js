@@ -127,6 +127,7 @@ const randomPipelineId = () => faker.random.number()
 const randomPipelineName = () => randomLowerCaseWord()
 const randomPipelineIsPaused = () => randomBoolean()
 const randomPipelineIsPublic = () => randomBoolean()
+const randomPipelineIsArchived = () => randomBoolean()
 
 const randomInputName = () => randomLowerCaseWord()
 const randomInputTrigger = () => randomBoolean()
@@ -229,12 +230,39 @@ const randomTeam = (overrides = {}) => ({
   ...overrides
 })
 
+const randomUser = (overrides = {}) => {
+  const username = randomUsername()
+  return {
+    userId: `local:${username}`,
+    userName: username,
+    name: faker.name.findName(),
+    email: randomEmail(),
+    isAdmin: false,
+    isSystem: false,
+    teams: { [randomTeamName()]: ['member'] },
+    ...overrides
+  }
+}
+const randomActiveUser = (overrides = {}) => ({
+  username: randomUsername(),
+  connector: faker.random.arrayElement(['local', 'github', 'oidc']),
+  lastLogin: toUnixTime(faker.date.recent()),
+  ...overrides
+})
+const randomAuthMethod = (overrides = {}) => ({
+  type: faker.random.arrayElement(['basic', 'oauth']),
+  displayName: faker.random.arrayElement(['Basic Auth', 'GitHub']),
+  authUrl: faker.internet.url(),
+  ...overrides
+})
+
 const randomPipelineConfig = () => randomLowerCaseWord()
 const randomPipeline = (overrides = {}) => ({
   id: randomPipelineId(),
   name: randomPipelineName(),
   paused: randomPipelineIsPaused(),
   public: randomPipelineIsPublic(),
+  archived: randomPipelineIsArchived(),
   teamName: randomTeamName(),
   ...overrides
 })
@@ -293,6 +321,18 @@ const randomResourceVersion = (overrides = {}) => ({
   ...overrides
 })
 
+const randomCheckId = () => faker.random.number({ min: 1 })
+const randomCheckStatus = () =>
+  faker.random.arrayElement(['started', 'succeeded', 'errored'])
+const randomCheck = (overrides = {}) => ({
+  id: randomCheckId(),
+  status: randomCheckStatus(),
+  createTime: toUnixTime(faker.date.past()),
+  startTime: toUnixTime(faker.date.past()),
+  endTime: toUnixTime(faker.date.recent()),
+  ...overrides
+})
+
 const randomResourceVersionCause = (overrides = {}) => ({
   versionedResourceId: randomResourceVersionId(),
   buildId: randomBuildId(),
@@ -318,6 +358,19 @@ const randomBuild = (overrides = {}) => ({
   ...overrides
 })
 
+const randomBuildPlan = (overrides = {}) => ({
+  id: randomLowerHex(8),
+  task: {
+    name: randomStepName(),
+    privileged: false,
+    config: {
+      platform: randomPlatform(),
+      run: { path: 'echo', args: [randomLowerCaseWord()] }
+    }
+  },
+  ...overrides
+})
+
 const randomJob = (overrides = {}) => ({
   id: randomJobId(),
   name: randomJobName(),
@@ -448,6 +501,7 @@ export default {
 
   randomBuildName,
   randomBuild,
+  randomBuildPlan,
 
   randomPipelineName,
   randomPipelineConfig,
@@ -465,18 +519,27 @@ export default {
 
   randomResource,
   randomResourceType,
+  randomResourceTypeName,
   randomResourceName,
 
   randomResourceVersionId,
   randomResourceVersion,
+  randomResourceVersionVersion,
 
   randomResourceVersionCause,
 
+  randomCheckId,
+  randomCheck,
+
   randomWorker,
   randomWorkerName,
 
   randomContainer,
   randomContainerId,
 
-  randomVolume
+  randomVolume,
+
+  randomUser,
+  randomActiveUser,
+  randomAuthMethod
 }
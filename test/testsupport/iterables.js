@@ -0,0 +1,18 @@
+export const collect = async iterable => {
+  const items = []
+  for await (const item of iterable) {
+    items.push(item)
+  }
+  return items
+}
+
+// Records each item in consumed as it is yielded, allowing tests to assert
+// how far an iterable was read.
+export const asyncIterableOf = (items, consumed = []) => ({
+  [Symbol.asyncIterator]: async function * () {
+    for (const item of items) {
+      consumed.push(item)
+      yield item
+    }
+  }
+})
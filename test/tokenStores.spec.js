@@ -0,0 +1,162 @@
+import 'core-js/stable'
+import 'regenerator-runtime/runtime'
+import { promises as fs } from 'fs'
+import os from 'os'
+import path from 'path'
+import YAML from 'yaml'
+import { expect } from 'chai'
+
+import data from './testsupport/data'
+import {
+  FlyrcTokenStore,
+  InMemoryTokenStore,
+  JsonFileTokenStore
+} from '../src/tokenStores'
+import { currentUnixTime } from '../src/support/date'
+
+const withTemporaryDirectory = async fn => {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'token-stores-'))
+  try {
+    return await fn(directory)
+  } finally {
+    await fs.rm(directory, { recursive: true })
+  }
+}
+
+const randomAuthenticationState = () => {
+  const bearerToken = data.randomBearerTokenCurrent()
+
+  return {
+    accessToken: bearerToken,
+    tokenType: 'bearer',
+    expiresAt: currentUnixTime() + 3600,
+    idToken: data.randomIdTokenCurrent(),
+    serverVersion: '7.4.0'
+  }
+}
+
+describe('InMemoryTokenStore', () => {
+  it('loads the initial authentication state', async () => {
+    const authenticationState = randomAuthenticationState()
+    const tokenStore = new InMemoryTokenStore(authenticationState)
+
+    expect(await tokenStore.load()).to.eql(authenticationState)
+  })
+
+  it('loads the saved authentication state', async () => {
+    const authenticationState = randomAuthenticationState()
+    const tokenStore = new InMemoryTokenStore()
+
+    await tokenStore.save(authenticationState)
+
+    expect(await tokenStore.load()).to.eql(authenticationState)
+  })
+})
+
+describe('JsonFileTokenStore', () => {
+  it('loads nothing when the file does not exist', async () => {
+    await withTemporaryDirectory(async directory => {
+      const tokenStore =
+        new JsonFileTokenStore({ path: path.join(directory, 'token.json') })
+
+      expect(await tokenStore.load()).to.eql(undefined)
+    })
+  })
+
+  it('saves the authentication state to a private file', async () => {
+    await withTemporaryDirectory(async directory => {
+      const tokenPath = path.join(directory, 'tokens', 'token.json')
+      const authenticationState = randomAuthenticationState()
+
+      await new JsonFileTokenStore({ path: tokenPath })
+        .save(authenticationState)
+
+      const tokenStore = new JsonFileTokenStore({ path: tokenPath })
+      expect(await tokenStore.load()).to.eql(authenticationState)
+      expect((await fs.stat(tokenPath)).mode & 0o777).to.eql(0o600)
+    })
+  })
+
+  it('throws an exception if the path is not provided', () => {
+    expect(() => new JsonFileTokenStore({}))
+      .to.throw('Invalid parameter(s): ["path" is required].')
+  })
+})
+
+describe('FlyrcTokenStore', () => {
+  it('loads the token for the target', async () => {
+    await withTemporaryDirectory(async directory => {
+      const flyrcPath = path.join(directory, '.flyrc')
+      const token = data.randomIdTokenCurrent()
+      await fs.writeFile(flyrcPath, YAML.stringify({
+        targets: {
+          ci: {
+            api: 'https://ci.example.com',
+            team: 'main',
+            token: { type: 'bearer', value: token }
+          }
+        }
+      }))
+
+      const tokenStore =
+        new FlyrcTokenStore({ target: 'ci', path: flyrcPath })
+      const authenticationState = await tokenStore.load()
+
+      expect(authenticationState.accessToken).to.eql(token)
+      expect(authenticationState.idToken).to.eql(token)
+      expect(authenticationState.tokenType).to.eql('bearer')
+      expect(authenticationState.expiresAt).to.be.above(currentUnixTime())
+    })
+  })
+
+  it('loads nothing when the target has no token', async () => {
+    await withTemporaryDirectory(async directory => {
+      const flyrcPath = path.join(directory, '.flyrc')
+      await fs.writeFile(flyrcPath, YAML.stringify({
+        targets: { ci: { api: 'https://ci.example.com', team: 'main' } }
+      }))
+
+      const tokenStore =
+        new FlyrcTokenStore({ target: 'other', path: flyrcPath })
+
+      expect(await tokenStore.load()).to.eql(undefined)
+    })
+  })
+
+  it('saves the token to the target, keeping other settings',
+    async () => {
+      await withTemporaryDirectory(async directory => {
+        const flyrcPath = path.join(directory, '.flyrc')
+        await fs.writeFile(flyrcPath, YAML.stringify({
+          targets: {
+            ci: { api: 'https://ci.example.com', team: 'main' },
+            other: { api: 'https://other.example.com', team: 'ops' }
+          }
+        }))
+        const authenticationState = randomAuthenticationState()
+
+        await new FlyrcTokenStore({ target: 'ci', path: flyrcPath })
+          .save(authenticationState)
+
+        const flyrc = YAML.parse(await fs.readFile(flyrcPath, 'utf8'))
+        expect(flyrc).to.eql({
+          targets: {
+            ci: {
+              api: 'https://ci.example.com',
+              team: 'main',
+              token: {
+                type: 'bearer',
+                value: authenticationState.accessToken
+              }
+            },
+            other: { api: 'https://other.example.com', team: 'ops' }
+          }
+        })
+      })
+    })
+
+  it('throws an exception if the target is not provided', () => {
+    expect(() => new FlyrcTokenStore({}))
+      .to.throw('Invalid parameter(s): ["target" is required].')
+  })
+})